@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// markdownify command-line tool: converts HTML from stdin, files,
+// directories or glob patterns to Markdown.
+//
+//    markdownify page.html > page.md
+//    curl -s https://example.com | markdownify --heading-style atx
+//    markdownify 'site/**/*.html' --out-dir md --config markdownify.config.js
+//
+// Every MarkdownConverter option is a flag (heading_style is
+// --heading-style); options taking functions can be set in a config file.
+// Exit status: 0 on success, 1 when any input could not be read or
+// converted, 2 on usage errors.
+const fs = require('fs');
+const path = require('path');
+const { MarkdownConverter } = require('./markdownify');
+
+const USAGE_ERROR = 2;
+const INPUT_ERROR = 1;
+
+const htmlExtensionRe = /\.(?:html?|xhtml)$/i;
+const globMagicRe = /[*?[{]/;
+
+// Options taking a comma-separated list of tag or extension names
+const listOptions = ['convert', 'extensions', 'keep_html', 'keep_inline_images_in', 'presets', 'strip'];
+
+// Options taking functions or objects, only settable from a config file
+const configOnlyOptions = [
+    'code_language_callback', 'front_matter_extractor', 'image_handler', 'image_writer', 'parser', 'rules',
+    'transforms', 'url_transform',
+];
+
+class UsageError extends Error {}
+
+function optionType(name, value) {
+    if (listOptions.includes(name)) return 'list';
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return 'number';
+    return 'string';
+}
+
+// The converter options with their types, from the converter's defaults
+function converterOptions() {
+    const defaults = new MarkdownConverter().options;
+    const options = new Map();
+    for (const name of Object.keys(defaults)) {
+        if (configOnlyOptions.includes(name)) continue;
+        options.set(name, { type: optionType(name, defaults[name]), value: defaults[name] });
+    }
+    return options;
+}
+
+function flagName(option) {
+    return '--' + option.replace(/_/g, '-');
+}
+
+function parseValue(name, type, value) {
+    if (type === 'list') return value.split(',').map(item => item.trim()).filter(Boolean);
+    if (type === 'boolean') {
+        if (/^(?:true|yes|1)$/i.test(value)) return true;
+        if (/^(?:false|no|0)$/i.test(value)) return false;
+        throw new UsageError(`${flagName(name)} expects true or false, got "${value}"`);
+    }
+    if (type === 'number') {
+        const number = Number(value);
+        if (value === '' || Number.isNaN(number)) {
+            throw new UsageError(`${flagName(name)} expects a number, got "${value}"`);
+        }
+        return number;
+    }
+    return value;
+}
+
+// parseArgs: split the command line into converter options, tool settings
+// and input paths
+function parseArgs(argv) {
+    const known = converterOptions();
+    const args = { options: {}, inputs: [], config: null, output: null, outDir: null, help: false, version: false };
+    const takeValue = (flag, inline, i) => {
+        if (inline !== undefined) return [inline, i];
+        if (i + 1 >= argv.length) throw new UsageError(`${flag} expects a value`);
+        return [argv[i + 1], i + 1];
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-' || !arg.startsWith('-')) {
+            args.inputs.push(arg);
+            continue;
+        }
+        if (arg === '--') {
+            args.inputs.push(...argv.slice(i + 1));
+            break;
+        }
+        const eq = arg.indexOf('=');
+        const flag = eq === -1 ? arg : arg.slice(0, eq);
+        const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+        if (flag === '-h' || flag === '--help') {
+            args.help = true;
+        } else if (flag === '-V' || flag === '--version') {
+            args.version = true;
+        } else if (flag === '-c' || flag === '--config') {
+            [args.config, i] = takeValue(flag, inline, i);
+        } else if (flag === '-o' || flag === '--output') {
+            [args.output, i] = takeValue(flag, inline, i);
+        } else if (flag === '-d' || flag === '--out-dir') {
+            [args.outDir, i] = takeValue(flag, inline, i);
+        } else if (flag.startsWith('--')) {
+            const negated = flag.startsWith('--no-');
+            const name = (negated ? flag.slice(5) : flag.slice(2)).replace(/-/g, '_');
+            const option = known.get(name);
+            if (!option) throw new UsageError(`unknown option ${flag}`);
+            if (negated) {
+                if (inline !== undefined) throw new UsageError(`${flag} does not take a value`);
+                // --no-<flag> turns a boolean off and clears anything else
+                args.options[name] = option.type === 'boolean' ? false : null;
+            } else if (option.type === 'boolean' && inline === undefined) {
+                args.options[name] = true;
+            } else {
+                let value;
+                [value, i] = takeValue(flag, inline, i);
+                args.options[name] = parseValue(name, option.type, value);
+            }
+        } else {
+            throw new UsageError(`unknown option ${flag}`);
+        }
+    }
+    return args;
+}
+
+// loadConfig: options from a JSON file or a JS module exporting an object
+function loadConfig(file) {
+    const resolved = path.resolve(file);
+    let config;
+    try {
+        config = /\.json$/i.test(file) ?
+            JSON.parse(fs.readFileSync(resolved, 'utf8')) :
+            require(resolved);
+    } catch (error) {
+        throw new UsageError(`cannot load config ${file}: ${error.message}`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new UsageError(`config ${file} must contain an object of options`);
+    }
+    return config;
+}
+
+// globToRegExp: `**` matches across directories, `*` and `?` within one
+// path segment, `{a,b}` either alternative and `[...]` a character class
+function globToRegExp(pattern) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*' && pattern[i + 1] === '*') {
+            const slash = pattern[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                i = end;
+            }
+        } else if (c === '{') {
+            braces++;
+            source += '(?:';
+        } else if (c === '}' && braces) {
+            braces--;
+            source += ')';
+        } else if (c === ',' && braces) {
+            source += '|';
+        } else {
+            source += c.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$');
+}
+
+// The directory part of a glob pattern before its first wildcard
+function globBase(pattern) {
+    const segments = pattern.split('/');
+    const index = segments.findIndex(segment => globMagicRe.test(segment));
+    return segments.slice(0, index).join('/') || '.';
+}
+
+function walk(dir, files = []) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            walk(full, files);
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+// expandInputs: the HTML files named by the inputs, each with its path
+// relative to where the output tree is mirrored from
+function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (input === '-') {
+            files.push({ file: '-', relative: 'stdin.html' });
+        } else if (globMagicRe.test(input) && !fs.existsSync(input)) {
+            const pattern = input.split(path.sep).join('/');
+            const base = globBase(pattern);
+            const re = globToRegExp(pattern.startsWith('./') ? pattern.slice(2) : pattern);
+            const matches = fs.existsSync(base) ? walk(base).filter(file => (
+                re.test(file.split(path.sep).join('/'))
+            )) : [];
+            if (!matches.length) throw new UsageError(`no files match ${input}`);
+            for (const file of matches) files.push({ file, relative: path.relative(base, file) });
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            for (const file of walk(input).filter(file => htmlExtensionRe.test(file))) {
+                files.push({ file, relative: path.relative(input, file) });
+            }
+        } else {
+            files.push({ file: input, relative: path.basename(input) });
+        }
+    }
+    return files;
+}
+
+function markdownPath(relative) {
+    return htmlExtensionRe.test(relative) ? relative.replace(htmlExtensionRe, '.md') : relative + '.md';
+}
+
+function usage() {
+    const lines = [
+        'Usage: markdownify [options] [file | directory | glob | -]...',
+        '',
+        'Converts HTML to Markdown. Reads stdin when no input is given.',
+        '',
+        '  -o, --output <file>     write the Markdown to a file (single input)',
+        '  -d, --out-dir <dir>     write one .md file per input, mirroring the input tree',
+        '  -c, --config <file>     read options from a JSON file or a JS module',
+        '  -h, --help              show this help',
+        '  -V, --version           show the version',
+        '',
+        'Converter options (--no-<option> turns one off or clears it):',
+        '',
+    ];
+    for (const [name, { type, value }] of converterOptions()) {
+        const arg = type === 'boolean' ? '' : type === 'list' ? ' <a,b,...>' : type === 'number' ? ' <n>' : ' <value>';
+        const shown = type === 'list' && value ? value.join(',') : value;
+        const defaultText = shown === null || shown === '' || (Array.isArray(shown) && !shown.length) ?
+            '' : ` (default: ${shown})`;
+        lines.push(`  ${(flagName(name) + arg).padEnd(40)}${defaultText}`.trimEnd());
+    }
+    return lines.join('\n') + '\n';
+}
+
+function readInput(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+// fileImageWriter: an image_writer for Markdown written to `target`, which
+// saves extracted data: images in `imageDir` and links to them relative to
+// the file, so the links hold wherever the output tree is read from
+function fileImageWriter(imageDir, target) {
+    return (data, { name }) => {
+        fs.mkdirSync(imageDir, { recursive: true });
+        fs.writeFileSync(path.join(imageDir, name), data);
+        return path.relative(path.dirname(target), path.join(imageDir, name)).split(path.sep).join('/');
+    };
+}
+
+// main: run the tool; returns the exit status
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    const report = message => io.stderr.write(`markdownify: ${message}\n`);
+    let args;
+    let files;
+    let options;
+    let imageDir;
+    try {
+        args = parseArgs(argv);
+        if (args.help) {
+            io.stdout.write(usage());
+            return 0;
+        }
+        if (args.version) {
+            io.stdout.write(require('./package.json').version + '\n');
+            return 0;
+        }
+        if (args.output && args.outDir) throw new UsageError('use either --output or --out-dir, not both');
+        options = Object.assign(args.config ? loadConfig(args.config) : {}, args.options);
+        // fail early on invalid option combinations
+        imageDir = new MarkdownConverter(options).options.image_dir;
+        files = expandInputs(args.inputs.length ? args.inputs : ['-']);
+        if (args.output && files.length > 1) {
+            throw new UsageError('--output takes a single input; use --out-dir for several');
+        }
+    } catch (error) {
+        report(error.message);
+        if (error instanceof UsageError) io.stderr.write('Try markdownify --help\n');
+        return USAGE_ERROR;
+    }
+
+    let status = 0;
+    let written = false;
+    // a relative image_dir is taken from the output directory, not the cwd
+    const outputRoot = args.outDir || (args.output && path.dirname(args.output));
+    if (outputRoot) imageDir = path.resolve(outputRoot, imageDir);
+    files.forEach(({ file, relative }) => {
+        const target = args.outDir ? path.join(args.outDir, markdownPath(relative)) : args.output;
+        const fileOptions = target && !options.image_writer ?
+            Object.assign({}, options, { image_writer: fileImageWriter(imageDir, target) }) : options;
+        let markdown;
+        try {
+            markdown = new MarkdownConverter(fileOptions).convert(readInput(file));
+        } catch (error) {
+            report(`${file === '-' ? 'stdin' : file}: ${error.message}`);
+            status = INPUT_ERROR;
+            return;
+        }
+        try {
+            if (args.outDir) {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.writeFileSync(target, markdown + '\n');
+            } else if (args.output) {
+                fs.writeFileSync(args.output, markdown + '\n');
+            } else {
+                io.stdout.write((written ? '\n' : '') + markdown + '\n');
+                written = true;
+            }
+        } catch (error) {
+            report(error.message);
+            status = INPUT_ERROR;
+        }
+    });
+    return status;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, globToRegExp };
@@ -0,0 +1,663 @@
+// A small, forgiving HTML parser that builds a DOM-like tree.
+//
+// It is not a spec-compliant HTML5 parser; it handles the things markdownify
+// needs (void elements, raw text elements, entities, comments and the common
+// implied end tags) so the converter can run where there is no DOM at all
+// (Node, Deno, workers). The node objects expose the subset of the DOM API
+// the converter relies on.
+
+const selectors = require('./selector');
+
+// Node type constants, identical to the DOM's Node.*_NODE values
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+const DOCUMENT_TYPE_NODE = 10;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+const voidElements = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr',
+];
+
+// Elements whose content is raw text (no tags, no entities)
+const rawTextElements = ['script', 'style', 'xmp', 'noembed', 'noframes'];
+
+// Elements whose content is text with entities but no tags
+const escapableRawTextElements = ['textarea', 'title'];
+
+// Start tags that implicitly close an open <p>
+const closesParagraph = [
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3',
+    'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol',
+    'p', 'pre', 'section', 'table', 'ul',
+];
+
+const namedEntities = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+    copy: '©', reg: '®', trade: '™', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+    bull: '•', middot: '·', laquo: '«', raquo: '»',
+    times: '×', divide: '÷', deg: '°', plusmn: '±',
+    para: '¶', sect: '§', cent: '¢', pound: '£',
+    euro: '€', yen: '¥', shy: '\u00ad', iexcl: '¡',
+    iquest: '¿', larr: '←', rarr: '→', uarr: '↑',
+    darr: '↓', harr: '↔', hearts: '♥', check: '✓',
+    ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c',
+    zwj: '\u200d', lrm: '\u200e', rlm: '\u200f', dagger: '†',
+    Dagger: '‡', permil: '‰', prime: '′', Prime: '″',
+    micro: 'µ', frac12: '½', frac14: '¼', frac34: '¾',
+    sup1: '¹', sup2: '²', sup3: '³', ordf: 'ª',
+    ordm: 'º', not: '¬', macr: '¯', acute: '´',
+    cedil: '¸', uml: '¨', szlig: 'ß', agrave: 'à',
+    aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä',
+    aring: 'å', aelig: 'æ', ccedil: 'ç', egrave: 'è',
+    eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì',
+    iacute: 'í', icirc: 'î', iuml: 'ï', ntilde: 'ñ',
+    ograve: 'ò', oacute: 'ó', ocirc: 'ô', otilde: 'õ',
+    ouml: 'ö', oslash: 'ø', ugrave: 'ù', uacute: 'ú',
+    ucirc: 'û', uuml: 'ü', yacute: 'ý', yuml: 'ÿ',
+    Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã',
+    Auml: 'Ä', Aring: 'Å', AElig: 'Æ', Ccedil: 'Ç',
+    Egrave: 'È', Eacute: 'É', Ecirc: 'Ê', Euml: 'Ë',
+    Ntilde: 'Ñ', Oacute: 'Ó', Ouml: 'Ö', Oslash: 'Ø',
+    Uacute: 'Ú', Uuml: 'Ü', alpha: 'α', beta: 'β',
+    gamma: 'γ', delta: 'δ', epsilon: 'ε', lambda: 'λ',
+    mu: 'μ', pi: 'π', sigma: 'σ', omega: 'ω',
+    Delta: 'Δ', Sigma: 'Σ', Omega: 'Ω', infin: '∞',
+    ne: '≠', le: '≤', ge: '≥', asymp: '≈',
+    minus: '−', radic: '√', sum: '∑', prod: '∏',
+    part: '∂', int: '∫', isin: '∈', empty: '∅',
+};
+
+// Entities that browsers also recognise without the trailing semicolon
+const legacyEntityRe = /^(amp|lt|gt|quot|nbsp|copy|reg)/;
+const entityRe = /&(?:#(\d{1,7})|#[xX]([0-9a-fA-F]{1,6})|([A-Za-z][A-Za-z0-9]*));?/g;
+
+const tagNameRe = /^[A-Za-z][^\t\n\f\r />]*/;
+// Sticky, so it matches at lastIndex without copying the rest of the input
+const attributeRe = /([^\t\n\f\r "'>\/=][^\t\n\f\r "'>\/=]*)(?:[\t\n\f\r ]*=[\t\n\f\r ]*(?:"([^"]*)"|'([^']*)'|([^\t\n\f\r >]+)))?/y;
+
+// decodeEntities: replace character references with the characters they name
+function decodeEntities(text) {
+    if (text.indexOf('&') === -1) return text;
+    return text.replace(entityRe, (match, dec, hex, name) => {
+        if (dec || hex) {
+            const code = parseInt(dec || hex, dec ? 10 : 16);
+            if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+                return '�';
+            }
+            return String.fromCodePoint(code);
+        }
+        if (match.endsWith(';') && Object.prototype.hasOwnProperty.call(namedEntities, name)) {
+            return namedEntities[name];
+        }
+        const legacy = legacyEntityRe.exec(name);
+        if (legacy) {
+            return namedEntities[legacy[1]] + match.slice(legacy[1].length + 1);
+        }
+        return match;
+    });
+}
+
+//
+// Node classes
+//
+
+class Node {
+    constructor(nodeType, nodeName, ownerDocument) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.ownerDocument = ownerDocument || null;
+        this.parentNode = null;
+        this.previousSibling = null;
+        this.nextSibling = null;
+        this.childNodes = [];
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get children() {
+        return this.childNodes.filter(child => child.nodeType === ELEMENT_NODE);
+    }
+
+    get textContent() {
+        if (this.nodeType === TEXT_NODE || this.nodeType === CDATA_SECTION_NODE ||
+            this.nodeType === COMMENT_NODE) {
+            return this.nodeValue;
+        }
+        let text = '';
+        const stack = [this];
+        while (stack.length) {
+            const node = stack.pop();
+            if (node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE) {
+                text += node.nodeValue;
+            } else if (node.nodeType !== COMMENT_NODE) {
+                for (let i = node.childNodes.length - 1; i >= 0; i--) {
+                    stack.push(node.childNodes[i]);
+                }
+            }
+        }
+        return text;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    insertBefore(child, reference) {
+        if (child.nodeType === DOCUMENT_FRAGMENT_NODE) {
+            for (const grandchild of child.childNodes.slice()) {
+                this.insertBefore(grandchild, reference);
+            }
+            return child;
+        }
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        const position = index === -1 ? this.childNodes.length : index;
+        const previous = this.childNodes[position - 1] || null;
+        const next = this.childNodes[position] || null;
+        this.childNodes.splice(position, 0, child);
+        child.parentNode = this;
+        child.previousSibling = previous;
+        child.nextSibling = next;
+        if (previous) previous.nextSibling = child;
+        if (next) next.previousSibling = child;
+        return child;
+    }
+
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index === -1) {
+            throw new Error('The node to be removed is not a child of this node.');
+        }
+        this.childNodes.splice(index, 1);
+        if (child.previousSibling) child.previousSibling.nextSibling = child.nextSibling;
+        if (child.nextSibling) child.nextSibling.previousSibling = child.previousSibling;
+        child.parentNode = null;
+        child.previousSibling = null;
+        child.nextSibling = null;
+        return child;
+    }
+
+    replaceChild(newChild, oldChild) {
+        this.insertBefore(newChild, oldChild);
+        return this.removeChild(oldChild);
+    }
+
+    contains(other) {
+        let current = other;
+        while (current) {
+            if (current === this) return true;
+            current = current.parentNode;
+        }
+        return false;
+    }
+}
+
+class CharacterData extends Node {
+    constructor(nodeType, nodeName, data, ownerDocument) {
+        super(nodeType, nodeName, ownerDocument);
+        this.nodeValue = data;
+    }
+
+    get data() {
+        return this.nodeValue;
+    }
+
+    set data(value) {
+        this.nodeValue = value;
+    }
+
+    cloneNode() {
+        return new CharacterData(this.nodeType, this.nodeName, this.nodeValue, this.ownerDocument);
+    }
+}
+
+class Element extends Node {
+    constructor(tagName, ownerDocument) {
+        super(ELEMENT_NODE, tagName.toUpperCase(), ownerDocument);
+        this.tagName = this.nodeName;
+        this.localName = tagName.toLowerCase();
+        this.attributes = [];
+        this.nodeValue = null;
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    get previousElementSibling() {
+        let sibling = this.previousSibling;
+        while (sibling && sibling.nodeType !== ELEMENT_NODE) sibling = sibling.previousSibling;
+        return sibling;
+    }
+
+    get nextElementSibling() {
+        let sibling = this.nextSibling;
+        while (sibling && sibling.nodeType !== ELEMENT_NODE) sibling = sibling.nextSibling;
+        return sibling;
+    }
+
+    getAttribute(name) {
+        const lowerName = name.toLowerCase();
+        const attr = this.attributes.find(a => a.name === lowerName);
+        return attr ? attr.value : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    setAttribute(name, value) {
+        const lowerName = name.toLowerCase();
+        const attr = this.attributes.find(a => a.name === lowerName);
+        if (attr) {
+            attr.value = String(value);
+        } else {
+            this.attributes.push({ name: lowerName, value: String(value) });
+        }
+    }
+
+    removeAttribute(name) {
+        const lowerName = name.toLowerCase();
+        this.attributes = this.attributes.filter(a => a.name !== lowerName);
+    }
+
+    cloneNode(deep) {
+        const clone = new Element(this.localName, this.ownerDocument);
+        clone.attributes = this.attributes.map(a => ({ name: a.name, value: a.value }));
+        if (deep) {
+            for (const child of this.childNodes) {
+                clone.appendChild(child.cloneNode(true));
+            }
+        }
+        return clone;
+    }
+
+    getElementsByTagName(name) {
+        const lowerName = name.toLowerCase();
+        return descendantElements(this).filter(el => lowerName === '*' || el.localName === lowerName);
+    }
+
+    // Selectors are matched by ./selector, which covers the commonly used
+    // subset of CSS (see there)
+    matches(selector) {
+        return selectors.matches(this, selector);
+    }
+
+    closest(selector) {
+        return selectors.closest(this, selector);
+    }
+
+    querySelector(selector) {
+        return selectors.querySelector(this, selector);
+    }
+
+    querySelectorAll(selector) {
+        return selectors.querySelectorAll(this, selector);
+    }
+}
+
+class Document extends Node {
+    constructor() {
+        super(DOCUMENT_NODE, '#document', null);
+        this.nodeValue = null;
+    }
+
+    get documentElement() {
+        return this.children[0] || null;
+    }
+
+    createElement(tagName) {
+        return new Element(tagName, this);
+    }
+
+    createTextNode(data) {
+        return new CharacterData(TEXT_NODE, '#text', data, this);
+    }
+
+    createComment(data) {
+        return new CharacterData(COMMENT_NODE, '#comment', data, this);
+    }
+
+    createDocumentFragment() {
+        const fragment = new Node(DOCUMENT_FRAGMENT_NODE, '#document-fragment', this);
+        fragment.nodeValue = null;
+        return fragment;
+    }
+
+    cloneNode(deep) {
+        const clone = new Document();
+        if (deep) {
+            for (const child of this.childNodes) {
+                clone.appendChild(child.cloneNode(true));
+            }
+        }
+        return clone;
+    }
+
+    getElementsByTagName(name) {
+        return Element.prototype.getElementsByTagName.call(this, name);
+    }
+
+    querySelector(selector) {
+        return Element.prototype.querySelector.call(this, selector);
+    }
+
+    querySelectorAll(selector) {
+        return Element.prototype.querySelectorAll.call(this, selector);
+    }
+}
+
+// descendantElements: all element descendants of a node in document order
+function descendantElements(node) {
+    const result = [];
+    const stack = node.childNodes.slice().reverse();
+    while (stack.length) {
+        const current = stack.pop();
+        if (current.nodeType !== ELEMENT_NODE) continue;
+        result.push(current);
+        for (let i = current.childNodes.length - 1; i >= 0; i--) {
+            stack.push(current.childNodes[i]);
+        }
+    }
+    return result;
+}
+
+//
+// Parser
+//
+
+class TreeBuilder {
+    constructor() {
+        this.document = new Document();
+        this.stack = [this.document];
+    }
+
+    get current() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    // Index of the innermost open element named `name`, not looking past
+    // any of the `boundaries`; -1 if there is none.
+    findOpen(names, boundaries) {
+        for (let i = this.stack.length - 1; i > 0; i--) {
+            const name = this.stack[i].localName;
+            if (names.includes(name)) return i;
+            if (boundaries.includes(name)) return -1;
+        }
+        return -1;
+    }
+
+    popTo(index) {
+        if (index > 0) this.stack.length = index;
+    }
+
+    text(data) {
+        const current = this.current;
+        const last = current.lastChild;
+        if (last && last.nodeType === TEXT_NODE) {
+            last.nodeValue += data;
+        } else {
+            current.appendChild(this.document.createTextNode(data));
+        }
+    }
+
+    comment(data) {
+        this.current.appendChild(this.document.createComment(data));
+    }
+
+    doctype(name) {
+        const node = new Node(DOCUMENT_TYPE_NODE, name || 'html', this.document);
+        node.nodeValue = null;
+        this.current.appendChild(node);
+    }
+
+    openTag(name, attributes, selfClosing) {
+        this.closeImplied(name);
+        const el = this.document.createElement(name);
+        el.attributes = attributes;
+        this.current.appendChild(el);
+        if (!selfClosing && !voidElements.includes(name)) {
+            this.stack.push(el);
+        }
+        return el;
+    }
+
+    closeTag(name) {
+        if (name === 'br') {
+            this.openTag('br', [], true);
+            return;
+        }
+        const index = this.findOpen([name], []);
+        if (index !== -1) this.popTo(index);
+    }
+
+    // Close elements that the start tag `name` implicitly ends
+    closeImplied(name) {
+        if (closesParagraph.includes(name)) {
+            this.popTo(this.findOpen(['p'], ['button', 'table', 'td', 'th', 'li', 'dd', 'dt', 'blockquote', 'div', 'section', 'article']));
+        }
+        if (name === 'li') {
+            this.popTo(this.findOpen(['li'], ['ul', 'ol', 'menu', 'table']));
+        } else if (name === 'dt' || name === 'dd') {
+            this.popTo(this.findOpen(['dt', 'dd'], ['dl', 'table']));
+        } else if (name === 'tr') {
+            this.popTo(this.findOpen(['tr'], ['table', 'thead', 'tbody', 'tfoot']));
+        } else if (name === 'td' || name === 'th') {
+            this.popTo(this.findOpen(['td', 'th'], ['tr', 'table']));
+        } else if (name === 'thead' || name === 'tbody' || name === 'tfoot') {
+            this.popTo(this.findOpen(['thead', 'tbody', 'tfoot'], ['table']));
+        } else if (name === 'option') {
+            this.popTo(this.findOpen(['option'], ['select', 'datalist', 'optgroup']));
+        }
+    }
+}
+
+// parseAttributes: parse the attribute part of a start tag, returning the
+// attribute list and the offset just past the closing `>`.
+function parseAttributes(html, start) {
+    const attributes = [];
+    let i = start;
+    let selfClosing = false;
+    while (i < html.length) {
+        const ch = html[i];
+        if (ch === '>') {
+            return { attributes, end: i + 1, selfClosing, closed: true };
+        }
+        if (ch === '/' ) {
+            selfClosing = html[i + 1] === '>';
+            i++;
+            continue;
+        }
+        if (/[\t\n\f\r ]/.test(ch)) {
+            i++;
+            continue;
+        }
+        attributeRe.lastIndex = i;
+        const match = attributeRe.exec(html);
+        if (!match) {
+            i++;
+            continue;
+        }
+        selfClosing = false;
+        if (match[4] !== undefined && /^["']/.test(match[4]) && html.indexOf(match[4][0], i + match[0].length - match[4].length + 1) === -1) {
+            // an unterminated quoted value: the rest of the tag is still to come
+            return { attributes, end: html.length, selfClosing, closed: false };
+        }
+        const name = match[1].toLowerCase();
+        const raw = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        if (!attributes.some(a => a.name === name)) {
+            attributes.push({ name, value: raw === undefined ? '' : decodeEntities(raw) });
+        }
+        i += match[0].length;
+    }
+    return { attributes, end: html.length, selfClosing, closed: false };
+}
+
+// HTMLTokenizer: an incremental, SAX-style tokenizer. HTML is fed in with
+// write() (in chunks of any size) and end(); the handler receives
+// text(data), comment(data), doctype(name), openTag(name, attributes,
+// selfClosing) and closeTag(name) calls as soon as each token is complete.
+class HTMLTokenizer {
+    constructor(handler) {
+        this.handler = handler;
+        this.buffer = '';
+        this.rawTag = null; // inside <script>, <style>, <textarea>...
+        this.pendingCR = false;
+    }
+
+    write(chunk) {
+        chunk = String(chunk);
+        if (this.pendingCR) chunk = '\r' + chunk;
+        this.pendingCR = chunk.endsWith('\r');
+        if (this.pendingCR) chunk = chunk.slice(0, -1);
+        this.buffer += chunk.replace(/\r\n?/g, '\n');
+        this.run(false);
+        return this;
+    }
+
+    end() {
+        if (this.pendingCR) {
+            this.buffer += '\n';
+            this.pendingCR = false;
+        }
+        this.run(true);
+        return this;
+    }
+
+    // Consume as many complete tokens as the buffer holds; with `final`,
+    // consume everything, closing unterminated constructs at the end.
+    run(final) {
+        const html = this.buffer;
+        const handler = this.handler;
+        let i = 0;
+
+        // `end` is the index of the terminator, -1 if not found yet; returns
+        // false if we must wait for more input.
+        const complete = end => end !== -1 || final;
+
+        while (i < html.length) {
+            if (this.rawTag) {
+                const name = this.rawTag;
+                const closeRe = new RegExp(`</${name}[\\t\\n\\f\\r />]`, 'ig');
+                closeRe.lastIndex = i;
+                const match = closeRe.exec(final ? html + ' ' : html);
+                const tagEnd = match ? html.indexOf('>', match.index) : -1;
+                if (!complete(tagEnd)) break;
+                const contentEnd = match ? match.index : html.length;
+                const content = html.slice(i, contentEnd);
+                if (content) {
+                    handler.text(rawTextElements.includes(name) ? content : decodeEntities(content));
+                }
+                handler.closeTag(name);
+                this.rawTag = null;
+                i = tagEnd === -1 ? html.length : tagEnd + 1;
+                continue;
+            }
+
+            const lt = html.indexOf('<', i);
+            if (lt !== i) {
+                // Text up to the next tag; without one, up to the last
+                // whitespace so no character reference is cut in half.
+                let end = lt;
+                if (lt === -1) {
+                    end = final ? html.length : Math.max(html.lastIndexOf(' '), html.lastIndexOf('\n')) + 1;
+                }
+                if (end > i) handler.text(decodeEntities(html.slice(i, end)));
+                if (lt === -1) {
+                    i = Math.max(i, end);
+                    break;
+                }
+                i = lt;
+            }
+            if (!final && html.length - i < 9) {
+                break; // too short to tell what this is yet ("<![CDATA[")
+            }
+            const next = html[i + 1];
+
+            if (html.startsWith('<!--', i)) {
+                const end = html.indexOf('-->', i + 4);
+                if (!complete(end)) break;
+                handler.comment(html.slice(i + 4, end === -1 ? html.length : end));
+                i = end === -1 ? html.length : end + 3;
+            } else if (html.startsWith('<![CDATA[', i)) {
+                const end = html.indexOf(']]>', i + 9);
+                if (!complete(end)) break;
+                handler.text(html.slice(i + 9, end === -1 ? html.length : end));
+                i = end === -1 ? html.length : end + 3;
+            } else if (next === '!' || next === '?') {
+                const end = html.indexOf('>', i + 2);
+                if (!complete(end)) break;
+                const content = html.slice(i + 2, end === -1 ? html.length : end);
+                const doctype = /^doctype\s*([^\s>]*)/i.exec(content);
+                if (doctype && next === '!') {
+                    handler.doctype(doctype[1].toLowerCase());
+                } else {
+                    handler.comment(content);
+                }
+                i = end === -1 ? html.length : end + 1;
+            } else if (next === '/' && tagNameRe.test(html.slice(i + 2, i + 3))) {
+                const end = html.indexOf('>', i + 2);
+                if (!complete(end)) break;
+                handler.closeTag(tagNameRe.exec(html.slice(i + 2, i + 256))[0].toLowerCase());
+                i = end === -1 ? html.length : end + 1;
+            } else if (next && tagNameRe.test(next)) {
+                const name = tagNameRe.exec(html.slice(i + 1, i + 256))[0].toLowerCase();
+                const { attributes, end, selfClosing, closed } = parseAttributes(html, i + 1 + name.length);
+                if (!closed && !final) break;
+                handler.openTag(name, attributes, selfClosing);
+                i = end;
+                if (!selfClosing && (rawTextElements.includes(name) || escapableRawTextElements.includes(name))) {
+                    this.rawTag = name;
+                }
+            } else {
+                // a "<" that does not start a tag is text
+                handler.text('<');
+                i++;
+            }
+        }
+        this.buffer = html.slice(i);
+    }
+}
+
+// parseHTML: parse an HTML string into a Document
+function parseHTML(html) {
+    const builder = new TreeBuilder();
+    new HTMLTokenizer(builder).write(html).end();
+    return builder.document;
+}
+
+module.exports = {
+    parseHTML,
+    HTMLTokenizer,
+    TreeBuilder,
+    decodeEntities,
+    Node,
+    Element,
+    Document,
+    ELEMENT_NODE,
+    TEXT_NODE,
+    CDATA_SECTION_NODE,
+    COMMENT_NODE,
+    DOCUMENT_NODE,
+    DOCUMENT_TYPE_NODE,
+    DOCUMENT_FRAGMENT_NODE,
+};
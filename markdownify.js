@@ -1,3 +1,14 @@
+const {
+    parseHTML,
+    HTMLTokenizer,
+    TreeBuilder,
+    ELEMENT_NODE,
+    TEXT_NODE,
+    COMMENT_NODE,
+    DOCUMENT_TYPE_NODE,
+} = require('./html-parser');
+const { compileSelector, querySelectorAll } = require('./selector');
+
 // Regex and constant definitions
 const convertHeadingRe = /convert_h(\d+)/;
 const lineWithContentRe = /^(.*)$/gm;
@@ -5,6 +16,14 @@ const whitespaceRe = /[\t ]+/g;
 const allWhitespaceRe = /[\t \r\n]+/g;
 const newlineWhitespaceRe = /[\t \r\n]*[\r\n][\t \r\n]*/g;
 const htmlHeadingRe = /^h[1-6]$/;
+const fenceOpenRe = /^[\t >]*(?:(?:[*+-]|\d{1,9}[.)]) +)?(`{3,}|~{3,})/;
+const hardBreakRe = /[^\t ][\t ]* {2}$/;
+// Marks a character that escape() may need to backslash-escape in
+// escape_mode 'smart'; resolved by resolveEscapes once the whole document
+// (and so each character's context) is known.
+const ESCAPE_MARK = '\uE000';
+const escapeMarkRe = /\uE000/g;
+const smartEscapeRe = /[\\&<`\[\]>~=+|#.)-]/g;
 
 const ATX = 'atx';
 const ATX_CLOSED = 'atx_closed';
@@ -16,6 +35,39 @@ const BACKSLASH = 'backslash';
 const ASTERISK = '*';
 const UNDERSCORE = '_';
 
+const HTML = 'html';
+const UNKNOWN = 'unknown';
+
+const INLINE = 'inline';
+const REFERENCE = 'reference';
+const COLLAPSED = 'collapsed';
+
+const ALWAYS = 'always';
+const SMART = 'smart';
+
+const TASK_LISTS = 'task_lists';
+const FOOTNOTES = 'footnotes';
+const MATH = 'math';
+
+const EXTRA = 'extra';
+const BOLD = 'bold';
+
+const YAML = 'yaml';
+const TOML = 'toml';
+const JSON_FORMAT = 'json';
+
+const ATTRIBUTE = 'attribute';
+const SLUG = 'slug';
+
+const SRC = 'src';
+const LARGEST = 'largest';
+
+const KEEP = 'keep';
+const DROP = 'drop';
+const EXTRACT = 'extract';
+
+const AUTO = 'auto';
+
 const LSTRIP = 'lstrip';
 const RSTRIP = 'rstrip';
 const STRIP = 'strip';
@@ -38,7 +90,7 @@ function findAncestor(el, tagNames) {
     let current = el.parentNode;
     while (current) {
         if (
-            current.nodeType === Node.ELEMENT_NODE &&
+            current.nodeType === ELEMENT_NODE &&
             tagNames.includes(current.tagName.toLowerCase())
         ) {
             return current;
@@ -48,16 +100,31 @@ function findAncestor(el, tagNames) {
     return null;
 }
 
+// findElement: the first element (in document order) below `root` for
+// which `predicate` returns true, or null
+function findElement(root, predicate) {
+    const stack = Array.from(root.childNodes || []).reverse();
+    while (stack.length) {
+        const node = stack.pop();
+        if (node.nodeType !== ELEMENT_NODE) continue;
+        if (predicate(node)) return node;
+        for (let i = node.childNodes.length - 1; i >= 0; i--) {
+            stack.push(node.childNodes[i]);
+        }
+    }
+    return null;
+}
+
 // isBlockContent: returns true if the node is an element or non‑whitespace text.
 function isBlockContent(node) {
     if (!node) return false;
-    if (node.nodeType === Node.ELEMENT_NODE) return true;
+    if (node.nodeType === ELEMENT_NODE) return true;
     if (
-        node.nodeType === Node.COMMENT_NODE ||
-        node.nodeType === Node.DOCUMENT_TYPE_NODE
+        node.nodeType === COMMENT_NODE ||
+        node.nodeType === DOCUMENT_TYPE_NODE
     )
         return false;
-    if (node.nodeType === Node.TEXT_NODE) return node.nodeValue.trim() !== '';
+    if (node.nodeType === TEXT_NODE) return node.nodeValue.trim() !== '';
     return false;
 }
 
@@ -103,15 +170,93 @@ function shouldRemoveWhitespaceInside(el) {
     ].includes(tag);
 }
 
+// canIgnoreChild: true for child nodes that produce no output: comments,
+// doctypes, and whitespace-only text next to block elements (or at the
+// edges of a block, when `removeInside`).
+function canIgnoreChild(child, removeInside) {
+    if (child.nodeType === ELEMENT_NODE) {
+        return false;
+    }
+    if (
+        child.nodeType === COMMENT_NODE ||
+        child.nodeType === DOCUMENT_TYPE_NODE
+    ) {
+        return true;
+    }
+    if (child.nodeType === TEXT_NODE) {
+        if (child.nodeValue.trim() !== '') {
+            return false;
+        }
+        if (removeInside && (!child.previousSibling || !child.nextSibling)) {
+            return true;
+        }
+        if (
+            shouldRemoveWhitespaceOutside(child.previousSibling) ||
+            shouldRemoveWhitespaceOutside(child.nextSibling)
+        ) {
+            return true;
+        }
+        return false;
+    }
+    return false;
+}
+
+function trailingNewlines(text) {
+    let count = 0;
+    while (count < text.length && text[text.length - 1 - count] === '\n') count++;
+    return count;
+}
+
+// OutputJoiner: accumulates the converted children of a node. Text is
+// appended as is; converted elements are joined keeping the larger of the
+// two newline runs where they meet. Trailing newlines are held back as a
+// count so joining stays linear on large documents.
+class OutputJoiner {
+    constructor() {
+        this.parts = [];
+        this.newlines = 0;
+    }
+
+    addText(text) {
+        const trailing = trailingNewlines(text);
+        if (trailing === text.length) {
+            this.newlines += trailing;
+            return;
+        }
+        this.push(text, 0, trailing);
+    }
+
+    addBlock(text) {
+        let leading = 0;
+        while (leading < text.length && text[leading] === '\n') leading++;
+        if (leading === text.length) {
+            this.newlines = Math.max(this.newlines, leading);
+            return;
+        }
+        this.newlines = Math.max(this.newlines, leading);
+        this.push(text, leading, trailingNewlines(text));
+    }
+
+    push(text, leading, trailing) {
+        if (this.newlines) this.parts.push('\n'.repeat(this.newlines));
+        this.parts.push(text.slice(leading, text.length - trailing));
+        this.newlines = trailing;
+    }
+
+    toString() {
+        return this.parts.join('') + '\n'.repeat(this.newlines);
+    }
+}
+
 // shouldRemoveWhitespaceOutside: same plus <pre>
 function shouldRemoveWhitespaceOutside(el) {
-    if (!el || el.nodeType !== Node.ELEMENT_NODE) return false;
+    if (!el || el.nodeType !== ELEMENT_NODE) return false;
     return shouldRemoveWhitespaceInside(el) || el.tagName.toLowerCase() === 'pre';
 }
 
 // abstractInlineConversion: helper to wrap inline text (for tags like <b>, <em>, etc.)
 function abstractInlineConversion(markupFn, context, el, text, convertAsInline) {
-    if (findAncestor(el, ['pre', 'code', 'kbd', 'samp'])) {
+    if (context.insideCode(el)) {
         return text;
     }
     const [prefix, suffix, chompedText] = chomp(text);
@@ -124,136 +269,3115 @@ function abstractInlineConversion(markupFn, context, el, text, convertAsInline)
     return prefix + markupPrefix + chompedText + markupSuffix + suffix;
 }
 
-// A simple word-wrap implementation for <p> wrapping.
-function wordWrap(str, width) {
-    const words = str.split(' ');
+// codeSpan: `code` as a code span. The delimiter must be longer than any
+// backtick run in the code, and padded with spaces when the code starts or
+// ends with one.
+function codeSpan(code) {
+    const delimiter = '`'.repeat(longestRun(code, '`') + 1);
+    const padding = /^`|`$/.test(code) ? ' ' : '';
+    return delimiter + padding + code + padding + delimiter;
+}
+
+// longestRun: length of the longest run of `char` in `text`
+function longestRun(text, char) {
+    let longest = 0;
+    let run = 0;
+    for (const c of text) {
+        run = c === char ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    }
+    return longest;
+}
+
+const codeLanguageClassRe = /(?:^|\s)(?:language|lang|highlight-source)-([^\s]+)/;
+
+// detectCodeLanguage: the language named by a `language-xx`, `lang-xx` or
+// `highlight-source-xx` class on a <pre>, its <code> child or its wrapper
+// (as GitHub renders it), or 'mermaid' for a Mermaid diagram's
+// `<pre class="mermaid">`; '' if there is none.
+function detectCodeLanguage(pre) {
+    const candidates = [pre];
+    const code = Array.from(pre.childNodes).find(child => (
+        child.nodeType === ELEMENT_NODE && child.tagName.toLowerCase() === 'code'
+    ));
+    if (code) candidates.unshift(code);
+    if (pre.parentNode && pre.parentNode.nodeType === ELEMENT_NODE) {
+        candidates.push(pre.parentNode);
+    }
+    for (const el of candidates) {
+        const match = codeLanguageClassRe.exec(el.getAttribute('class') || '');
+        if (match) return match[1];
+    }
+    return hasClass(pre, 'mermaid') ? 'mermaid' : '';
+}
+
+// isMermaidDiagram: a `<div class="mermaid">` Mermaid has not rendered to
+// an SVG yet, so it still holds the diagram's source
+function isMermaidDiagram(el) {
+    return el.tagName.toLowerCase() === 'div' && hasClass(el, 'mermaid') &&
+        !findElement(el, child => child.tagName.toLowerCase() === 'svg');
+}
+
+// diagramSource: the text of a diagram element without its common
+// indentation and surrounding blank lines
+function diagramSource(el) {
+    const lines = (el.textContent || '').replace(/^\s*\n|\s+$/g, '').split('\n');
+    const indent = Math.min(...lines.filter(line => line.trim()).map(line => /^[\t ]*/.exec(line)[0].length));
+    return lines.map(line => line.slice(indent)).join('\n');
+}
+
+// Math extension: the TeX source of equations, written as `$tex$` or as a
+// `$$` block
+
+const mathTexEncodingRe = /tex/i;
+const mathScriptTypeRe = /^\s*math\/tex\s*(;\s*mode\s*=\s*display\s*)?$/i;
+
+// The MathJax 2 renderings of the <script type="math/tex"> after them
+const mathJaxRenderingClasses = [
+    'MathJax_Preview', 'MathJax', 'MathJax_Display', 'MathJax_SVG', 'MathJax_SVG_Display', 'MathJax_CHTML',
+];
+
+// mathTex: the TeX annotation of a MathML <math> element, or null
+function mathTex(math) {
+    const annotation = findElement(math, el => (
+        el.tagName.toLowerCase() === 'annotation' && mathTexEncodingRe.test(el.getAttribute('encoding') || '')
+    ));
+    return annotation ? annotation.textContent.trim() : null;
+}
+
+// mathScript: { tex, display } for a MathJax <script type="math/tex">, or
+// null for other scripts
+function mathScript(script) {
+    const match = mathScriptTypeRe.exec(script.getAttribute('type') || '');
+    return match ? { tex: (script.textContent || '').trim(), display: Boolean(match[1]) } : null;
+}
+
+// isMathRendering: KaTeX's visual markup beside its MathML, or MathJax 2's
+// rendering of the math/tex script that follows it
+function isMathRendering(el) {
+    if (hasClass(el, 'katex-html')) {
+        return Boolean(el.parentNode && childElements(el.parentNode, ['span']).some(span => hasClass(span, 'katex-mathml')));
+    }
+    if (!mathJaxRenderingClasses.some(name => hasClass(el, name))) return false;
+    let next = el.nextElementSibling;
+    while (next && mathJaxRenderingClasses.some(name => hasClass(next, name))) next = next.nextElementSibling;
+    return Boolean(next && next.tagName.toLowerCase() === 'script' && mathScript(next));
+}
+
+// Markdown-aware word wrapping, applied to the whole document by postProcess.
+//
+// Each line is wrapped on its own (with `wrap` on, paragraphs are single
+// lines apart from hard breaks). Continuation lines repeat the line's
+// blockquote markers and indent past its list marker or definition colon.
+// Code spans, links, images and inline HTML are never broken, and a line is
+// never broken where the next line would start with a block marker.
+
+// Line prefix: blockquote markers, indentation, then an optional list
+// marker, definition colon or footnote label
+const wrapPrefixRe = /^((?:[\t ]*>[\t ]?)*)([\t ]*)((?:[*+\-•]|\d{1,9}[.)])[\t ]+|:[\t ]+|\[\^[^\]]+\]:[\t ]+)?/;
+// Spans that must stay on one line: code spans, links, images, autolinks
+// and HTML tags, and inline math
+const unbreakableRe = /(`+)[^`][\s\S]*?\1|!?\[(?:\\.|[^\]\\])*\](?:\((?:\\.|[^)\\])*\)|\[[^\]]*\])?|<[^>\n]+>|(?<!\\)\$[^\s$](?:[^$\n]*[^\s$\\])?\$/g;
+// Words that would start a block if they began a line
+const blockStartWordRe = /^(?:[*+\-]|#{1,6}|>.*|\d{1,9}[.)]|=+|-+|\*+|_+|`{3,}.*|~{3,}.*)$/;
+// A line left with only these reads as a thematic break
+const thematicBreakRe = /^(?:[*_-][\t ]*){3,}$/;
+// A word ending in a backslash that is not itself escaped, which would be a
+// hard break at the end of a line
+const trailingBackslashRe = /(?:^|[^\\])(?:\\\\)*\\$/;
+// Lines left alone: headings, table rows, thematic breaks, HTML blocks,
+// reference definitions and setext underlines
+const unwrappableRe = /^(?:#{1,6}(?:[\t ]|$)|\||(?:[*_-][\t ]*){3,}$|<[A-Za-z\/!?]|\[[^\]]+\]:(?!\s*$)(?!\s*\^)|[=-]+[\t ]*$)/;
+const WRAP_SPACE = '\uE001';
+
+function textWidth(text) {
+    return Array.from(text).length;
+}
+
+function wrapMarkdown(text, width) {
+    return splitFencedCode(text).map(segment => {
+        if (segment.code) return segment.lines.join('\n');
+        return segment.lines.map((line, i) => {
+            const nextLine = segment.lines[i + 1];
+            if (nextLine !== undefined && /^[\t >]*(?:=+|-+)[\t ]*$/.test(nextLine) && nextLine.trim()) {
+                return line; // setext heading text
+            }
+            return wrapLine(line, width);
+        }).join('\n');
+    }).join('\n');
+}
+
+function wrapLine(line, width) {
+    if (textWidth(line) <= width) return line;
+    const [prefix, quote, indent, marker] = wrapPrefixRe.exec(line);
+    let body = line.slice(prefix.length);
+    if (!body.trim() || unwrappableRe.test(body)) {
+        return line;
+    }
+    let hardBreak = '';
+    const breakMatch = /(?: {2}|\\)$/.exec(body);
+    if (breakMatch && /\S/.test(body.slice(0, -breakMatch[0].length))) {
+        hardBreak = breakMatch[0];
+        body = body.slice(0, -hardBreak.length);
+    }
+    const continuation = quote + indent + ' '.repeat(
+        marker ? (/^\[\^/.test(marker) ? 4 : textWidth(marker)) : 0
+    );
+
+    const protectedBody = body.replace(unbreakableRe, match => match.replace(/ /g, WRAP_SPACE));
+    const words = protectedBody.split(/ +/).filter(Boolean).map(word => word.split(WRAP_SPACE).join(' '));
+
     const lines = [];
-    let currentLine = '';
+    let current = prefix;
+    let currentStart = prefix.length;
+    let previous = null;
     for (const word of words) {
-        if ((currentLine + word).length > width) {
-            lines.push(currentLine.trim());
-            currentLine = word + ' ';
+        const fits = textWidth(current) + 1 + textWidth(word) <= width;
+        if (previous !== null && !fits && !blockStartWordRe.test(word) && !trailingBackslashRe.test(previous) &&
+            !thematicBreakRe.test(current.slice(currentStart))) {
+            lines.push(current);
+            current = continuation + word;
+            currentStart = continuation.length;
         } else {
-            currentLine += word + ' ';
+            current += (previous !== null ? ' ' : '') + word;
         }
+        previous = word;
     }
-    if (currentLine) {
-        lines.push(currentLine.trim());
-    }
+    lines.push(current + hardBreak);
     return lines.join('\n');
 }
 
-//
-// MarkdownConverter class
-//
-class MarkdownConverter {
-    constructor(options = {}) {
-        // Set default options and merge with any provided overrides.
-        this.options = Object.assign(
-            {
-                autolinks: true,
-                bullets: '*+-',
-                code_language: '',
-                code_language_callback: null,
-                convert: null,
-                default_title: false,
-                escape_asterisks: true,
-                escape_underscores: true,
-                escape_misc: false,
-                heading_style: UNDERLINED,
-                keep_inline_images_in: [],
-                newline_style: SPACES,
-                strip: null,
-                strip_document: STRIP,
-                strong_em_symbol: ASTERISK,
-                sub_symbol: '',
-                sup_symbol: '',
-                table_infer_header: false,
-                wrap: false,
-                wrap_width: 80,
-            },
-            options
-        );
-        if (this.options.strip !== null && this.options.convert !== null) {
-            throw new Error(
-                'You may specify either tags to strip or tags to convert, but not both.'
-            );
+// childElements: the child elements of `el` whose tag is one of `tagNames`
+function childElements(el, tagNames) {
+    return Array.from(el.childNodes).filter(child => (
+        child.nodeType === ELEMENT_NODE &&
+        tagNames.includes(child.tagName.toLowerCase())
+    ));
+}
+
+// spanAttribute: a cell's colspan or rowspan, defaulting to 1
+function spanAttribute(cell, name) {
+    const span = parseInt(cell.getAttribute(name), 10);
+    return span > 0 ? Math.min(span, 1000) : 1;
+}
+
+// cellAlignment: 'left', 'center', 'right' or null, from the align
+// attribute or an inline text-align style
+function cellAlignment(cell) {
+    let align = cell.getAttribute("align");
+    const style = cell.getAttribute("style");
+    const match = style && /text-align\s*:\s*(left|center|right)/i.exec(style);
+    if (match) align = match[1];
+    align = align ? align.toLowerCase() : null;
+    return ["left", "center", "right"].includes(align) ? align : null;
+}
+
+// escapeTableCell: escape pipes (that are not already escaped) so they do
+// not end the cell
+function escapeTableCell(text) {
+    return text.replace(/\uE000\|/g, "|").replace(/\\?\|/g, match => (match === "|" ? "\\|" : match));
+}
+
+// Block containers: processTag opens a block context for each of these (see
+// MarkdownConverter.openBlock)
+const blockContainerElements = ['ul', 'ol', 'li', 'blockquote'];
+
+// CommonMark list item numbers have at most nine digits
+const maxListNumber = 999999999;
+
+// isLooseList: true if the list's items hold paragraphs, which is how
+// CommonMark renders a loose list (items separated by blank lines)
+function isLooseList(list) {
+    return childElements(list, ["li"]).some(li => childElements(li, ["p"]).length > 0);
+}
+
+// Attributes lazy-loading scripts keep the real image in, used when the
+// src is missing or a data: placeholder
+const lazySrcAttributes = ['data-src', 'data-lazy-src', 'data-original', 'data-url'];
+const lazySrcsetAttributes = ['data-srcset', 'data-lazy-srcset'];
+
+const imageSizeModes = [ATTRIBUTE, HTML];
+const imageSourceModes = [SRC, LARGEST];
+const imageDataModes = [KEEP, DROP, EXTRACT];
+
+const dataUriRe = /^\s*data:([^,]*?)(;base64)?,/i;
+
+// File extensions of the image types whose subtype is not one
+const imageExtensions = {
+    'image/jpeg': 'jpg',
+    'image/svg+xml': 'svg',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico',
+};
+
+// parseSrcset: the candidates of a srcset attribute, as { url, width,
+// density } with width from a `w` and density from an `x` descriptor.
+// URLs end at whitespace, so data: URIs with commas stay whole.
+function parseSrcset(srcset) {
+    const candidates = [];
+    let i = 0;
+    while (i < srcset.length) {
+        while (i < srcset.length && /[\s,]/.test(srcset[i])) i++;
+        const start = i;
+        while (i < srcset.length && !/\s/.test(srcset[i])) i++;
+        let url = srcset.slice(start, i);
+        let descriptors = '';
+        if (/,$/.test(url)) {
+            url = url.replace(/,+$/, '');
+        } else {
+            const end = srcset.indexOf(',', i);
+            descriptors = srcset.slice(i, end === -1 ? srcset.length : end);
+            i = end === -1 ? srcset.length : end + 1;
         }
+        if (!url) continue;
+        const width = /(?:^|\s)(\d+)w(?:\s|$)/.exec(descriptors);
+        const density = /(?:^|\s)(\d*\.?\d+)x(?:\s|$)/.exec(descriptors);
+        candidates.push({
+            url,
+            width: width ? Number(width[1]) : null,
+            density: density ? Number(density[1]) : 1,
+        });
     }
+    return candidates;
+}
 
-    // Main entry point: pass in a DOM node (or document fragment)
-    convert(dom) {
-        return this.processTag(dom, false);
+// largestCandidate: the widest srcset candidate by `w` descriptor, or
+// failing those the one with the highest density
+function largestCandidate(candidates) {
+    const size = candidate => (candidate.width === null ? [0, candidate.density] : [1, candidate.width]);
+    let best = null;
+    for (const candidate of candidates) {
+        if (!best) {
+            best = candidate;
+            continue;
+        }
+        const [kind, value] = size(candidate);
+        const [bestKind, bestValue] = size(best);
+        if (kind > bestKind || (kind === bestKind && value > bestValue)) best = candidate;
     }
+    return best;
+}
 
-    // Recursively process a node
-    processTag(node, convertAsInline) {
-        let text = '';
+// imageCandidates: the srcset candidates of an <img> and of the <source>s
+// of its <picture> that have no media condition, so apply to any screen
+function imageCandidates(img) {
+    const srcset = el => lazySrcsetAttributes.map(name => el.getAttribute(name)).find(Boolean) ||
+        el.getAttribute('srcset');
+    const sets = [srcset(img)];
+    const picture = img.parentNode;
+    if (picture && picture.nodeType === ELEMENT_NODE && picture.tagName.toLowerCase() === 'picture') {
+        for (const source of childElements(picture, ['source'])) {
+            if (!source.getAttribute('media')) sets.push(srcset(source));
+        }
+    }
+    return sets.filter(Boolean).flatMap(parseSrcset);
+}
+
+// imageDimension: a width or height attribute as a number of pixels, or
+// null unless it is one
+function imageDimension(value) {
+    const match = /^\s*(\d+)(?:px)?\s*$/i.exec(value || '');
+    return match ? Number(match[1]) : null;
+}
+
+// decodeDataUri: the media type and bytes of a data: URI, or null if it is
+// not one
+function decodeDataUri(uri) {
+    const match = dataUriRe.exec(uri);
+    if (!match) return null;
+    const mimeType = match[1].split(';')[0].trim().toLowerCase() || 'text/plain';
+    const payload = uri.trim().slice(match[0].trim().length);
+    let data;
+    if (match[2]) {
+        const base64 = payload.replace(/\s+/g, '');
+        data = typeof Buffer !== 'undefined' ?
+            Buffer.from(base64, 'base64') :
+            Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    } else {
+        let text = payload;
+        try {
+            text = decodeURIComponent(payload);
+        } catch (e) {
+            // keep malformed escapes as they are
+        }
+        data = new TextEncoder().encode(text);
+    }
+    return { mimeType, data };
+}
+
+// imageFileName: a file name for image bytes, from a hash of the content so
+// that the same image is written once
+function imageFileName(data, mimeType) {
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (const byte of data) {
+        hash = Math.imul(hash ^ byte, 0x01000193);
+    }
+    const subtype = mimeType.split('/')[1] || '';
+    const extension = imageExtensions[mimeType] || subtype.replace(/[^a-z0-9]/g, '') || 'bin';
+    return `image-${(hash >>> 0).toString(16).padStart(8, '0')}.${extension}`;
+}
+
+// writeImageFile: the default image_writer, which writes the image to
+// options.image_dir and links to it there
+function writeImageFile(data, { name }, converter) {
+    const fs = require('fs');
+    const path = require('path');
+    const dir = converter.options.image_dir;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, name), data);
+    return `${dir.split(path.sep).join('/').replace(/\/+$/, '')}/${name}`;
+}
+
+const youTubeEmbedRe = /^(?:https?:)?\/\/(?:www\.)?(?:youtube(?:-nocookie)?\.com\/embed\/|youtu\.be\/)([\w-]{11})/;
+
+// mediaSource: the URL of an <audio> or <video>, from its src or its first
+// <source> with one
+function mediaSource(el) {
+    if (el.getAttribute('src')) return el.getAttribute('src');
+    const source = childElements(el, ['source']).find(child => child.getAttribute('src'));
+    return source ? source.getAttribute('src') : null;
+}
+
+// Elements that a pipe table cell cannot hold
+const tableCellBlockElements = [
+    'table', 'ul', 'ol', 'dl', 'pre', 'blockquote', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'hr',
+];
+
+// isSimpleTable: true if a table can be written as a GFM pipe table without
+// losing structure: no rowspan, no nested tables or block content in cells
+// and at most one paragraph per cell.
+function isSimpleTable(table) {
+    if (hasTableBlockContent(table)) return false;
+    const elements = table.getElementsByTagName ? Array.from(table.getElementsByTagName("*")) : [];
+    return !elements.some(el => (
+        ["td", "th"].includes(el.tagName.toLowerCase()) && spanAttribute(el, "rowspan") > 1
+    ));
+}
+
+// hasTableBlockContent: true if a table has nested tables, block content or
+// several paragraphs in a cell
+function hasTableBlockContent(table) {
+    const cells = table.getElementsByTagName ? Array.from(table.getElementsByTagName("*")) : [];
+    for (const el of cells) {
+        const tag = el.tagName.toLowerCase();
+        if (tableCellBlockElements.includes(tag) && findAncestor(el, ["td", "th"])) return true;
+        if ((tag === "p" || tag === "div") && findAncestor(el, ["td", "th"]) &&
+            (prevBlockContentSibling(el) || nextBlockContentSibling(el))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// buildTableGrid: lay out the rows of a <table> as a rectangular grid,
+// expanding colspan/rowspan into empty cells and padding short rows.
+// <thead> rows come first and <tfoot> rows last, as browsers render them.
+// Returns { rows, width, headerRows, alignments } where each cell is
+// { el, text, header }.
+function buildTableGrid(table, cellText) {
+    const sections = childElements(table, ["thead", "tbody", "tfoot", "tr"]);
+    const rowsOf = section => (
+        section.tagName.toLowerCase() === "tr" ? [section] : childElements(section, ["tr"])
+    );
+    const head = [];
+    const body = [];
+    const foot = [];
+    for (const section of sections) {
+        const tag = section.tagName.toLowerCase();
+        (tag === "thead" ? head : tag === "tfoot" ? foot : body).push(...rowsOf(section));
+    }
+    const trs = [...head, ...body, ...foot];
+
+    const rows = [];
+    const pending = []; // pending[r][c]: a cell covered by a rowspan
+    trs.forEach((tr, r) => {
+        const row = pending[r] || [];
+        let col = 0;
+        for (const cellEl of childElements(tr, ["td", "th"])) {
+            while (row[col]) col++;
+            const colspan = spanAttribute(cellEl, "colspan");
+            const rowspan = Math.min(spanAttribute(cellEl, "rowspan"), trs.length - r);
+            const header = cellEl.tagName.toLowerCase() === "th";
+            for (let dr = 0; dr < rowspan; dr++) {
+                const target = dr === 0 ? row : (pending[r + dr] = pending[r + dr] || []);
+                for (let dc = 0; dc < colspan; dc++) {
+                    const origin = dr === 0 && dc === 0;
+                    target[col + dc] = {
+                        el: cellEl,
+                        text: origin ? cellText(cellEl) : "",
+                        header,
+                        spanned: !origin,
+                    };
+                }
+            }
+            col += colspan;
+        }
+        rows.push(row);
+    });
+
+    const width = Math.max(0, ...rows.map(row => row.length));
+    for (const row of rows) {
+        for (let c = 0; c < width; c++) {
+            if (!row[c]) row[c] = { el: null, text: "", header: false, spanned: false };
+        }
+    }
+
+    let headerRows = head.length ? 1 : 0;
+    if (!headerRows && rows.length && rows[0].every(cell => !cell.el || cell.header)) {
+        headerRows = 1;
+    }
+
+    const alignments = [];
+    for (let c = 0; c < width; c++) {
+        const source = rows.find(row => row[c].el && !row[c].spanned);
+        alignments.push(source ? cellAlignment(source[c].el) : null);
+    }
+    return { rows, width, headerRows, alignments };
+}
+
+// Elements dropped entirely from HTML passed through to the output
+const unsafeElements = [
+    'script', 'style', 'template', 'object', 'embed', 'frame', 'frameset',
+    'noscript', 'link', 'meta', 'base', 'form', 'input', 'button', 'select',
+    'textarea',
+];
+
+// Attributes kept on HTML passed through to the output, by tag ('*' = any)
+const defaultAllowedAttributes = {
+    '*': ['title', 'lang', 'dir', 'colspan', 'rowspan', 'align', 'scope', 'headers'],
+    a: ['href', 'name'],
+    audio: ['src', 'controls', 'loop', 'muted', 'preload'],
+    del: ['cite', 'datetime'],
+    details: ['open'],
+    iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'loading', 'referrerpolicy', 'sandbox'],
+    img: ['src', 'alt', 'width', 'height'],
+    ins: ['cite', 'datetime'],
+    ol: ['start', 'type'],
+    q: ['cite'],
+    source: ['src', 'type', 'media'],
+    td: ['valign'],
+    th: ['valign', 'abbr'],
+    time: ['datetime'],
+    track: ['src', 'kind', 'srclang', 'label', 'default'],
+    video: ['src', 'controls', 'loop', 'muted', 'preload', 'poster', 'width', 'height', 'playsinline'],
+};
+
+// Attributes holding a URL, dropped when the URL is unsafe
+const urlAttributes = ['href', 'src', 'poster', 'cite'];
+
+const voidHtmlElements = ['area', 'br', 'col', 'hr', 'img', 'source', 'track', 'wbr'];
+
+const htmlBlockElements = [
+    'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'ul', 'ol', 'li',
+    'dl', 'dt', 'dd', 'p', 'div', 'blockquote', 'pre',
+];
+
+// Tags that start an HTML block in CommonMark (block condition 6); other
+// kept elements are written as inline HTML
+const commonMarkBlockTags = [
+    'address', 'article', 'aside', 'base', 'basefont', 'blockquote', 'body', 'caption', 'center',
+    'col', 'colgroup', 'dd', 'details', 'dialog', 'dir', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'frame', 'frameset', 'h1', 'h2', 'h3', 'h4', 'h5',
+    'h6', 'head', 'header', 'hr', 'html', 'iframe', 'legend', 'li', 'link', 'main', 'menu',
+    'menuitem', 'nav', 'noframes', 'ol', 'optgroup', 'option', 'p', 'param', 'search', 'section',
+    'summary', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'track', 'ul',
+];
+
+// Elements Markdown has no syntax for; their converters approximate them
+// unless keep_html keeps them, which keep_html: 'unknown' does
+const htmlOnlyElements = ['details', 'video', 'audio', 'iframe'];
+
+// Document and layout wrappers, which keep_html: 'unknown' still unwraps
+const wrapperElements = [
+    'html', 'head', 'body', 'main', 'header', 'footer', 'nav', 'aside', 'figure', 'hgroup',
+    'address', 'search', 'span', 'font', 'center',
+];
+
+// Elements whose content is code: markup inside them is not converted
+const codeElements = ['pre', 'code', 'kbd', 'samp'];
+
+// Elements that only hold other elements, not text
+const htmlContainerElements = ['table', 'thead', 'tbody', 'tfoot', 'tr', 'ul', 'ol', 'dl'];
+
+// isHtmlBlock: true for block elements (whitespace around them is insignificant)
+function isHtmlBlock(node) {
+    return Boolean(node && node.nodeType === ELEMENT_NODE &&
+        htmlBlockElements.includes(node.tagName.toLowerCase()));
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeHtmlAttribute(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// URLs written into HTML may be relative or use one of these schemes;
+// data: URIs only for raster images, as an SVG can hold script. Browsers
+// drop tabs and newlines anywhere in a URL and trim control characters and
+// spaces around it, so the scheme is read with all of those removed.
+const safeUrlSchemes = ['http', 'https', 'mailto', 'tel'];
+const urlIgnoredRe = /[\u0000-\u0020\u007f]/g;
+const urlSchemeRe = /^([a-z][a-z\d+.-]*):/i;
+const safeDataUrlRe = /^data:image\/(?:avif|bmp|gif|jpeg|jpg|png|webp)[;,]/i;
+
+function isSafeUrl(url) {
+    url = url.replace(urlIgnoredRe, '');
+    const scheme = urlSchemeRe.exec(url);
+    return !scheme || safeUrlSchemes.includes(scheme[1].toLowerCase()) || safeDataUrlRe.test(url);
+}
+
+// htmlAttributes: the allowlisted attributes of an element, serialized
+function htmlAttributes(el, allowedAttributes = defaultAllowedAttributes) {
+    const tag = el.tagName.toLowerCase();
+    const allowed = (allowedAttributes['*'] || []).concat(allowedAttributes[tag] || []);
+    let attributes = '';
+    for (const name of allowed) {
+        const value = el.getAttribute(name);
+        if (value === null || /^on/i.test(name)) continue;
+        if (urlAttributes.includes(name) && !isSafeUrl(value)) continue;
+        attributes += ` ${name}="${escapeHtmlAttribute(value)}"`;
+    }
+    return attributes;
+}
+
+// serializeHtml: serialize a node and its descendants as sanitized HTML.
+// Unsafe elements are dropped, only allowlisted attributes are kept, and
+// the result has no blank lines, so it stays a single Markdown HTML block.
+function serializeHtml(node, allowedAttributes = defaultAllowedAttributes) {
+    let html = '';
+    const stack = [{ node, open: true }];
+    while (stack.length) {
+        const { node: current, open } = stack.pop();
+        if (current.nodeType === TEXT_NODE) {
+            if (findAncestor(current, ['pre'])) {
+                html += escapeHtml(current.nodeValue).replace(/\n(?=\n)/g, '&#10;');
+            } else if (current.nodeValue.trim() || !(
+                htmlContainerElements.includes(current.parentNode.tagName && current.parentNode.tagName.toLowerCase()) ||
+                isHtmlBlock(current.previousSibling) ||
+                isHtmlBlock(current.nextSibling)
+            )) {
+                html += escapeHtml(current.nodeValue.replace(allWhitespaceRe, ' '));
+            }
+            continue;
+        }
+        if (current.nodeType !== ELEMENT_NODE) {
+            if (open && current.childNodes && current.nodeType !== COMMENT_NODE) {
+                for (let i = current.childNodes.length - 1; i >= 0; i--) {
+                    stack.push({ node: current.childNodes[i], open: true });
+                }
+            }
+            continue;
+        }
+        const tag = current.tagName.toLowerCase();
+        if (unsafeElements.includes(tag)) continue;
+        const block = htmlBlockElements.includes(tag);
+        if (!open) {
+            html += `</${tag}>` + (block ? '\n' : '');
+            continue;
+        }
+        html += `<${tag}${htmlAttributes(current, allowedAttributes)}>`;
+        if (block && !['li', 'dt', 'dd', 'p', 'pre', 'caption'].includes(tag)) html += '\n';
+        if (voidHtmlElements.includes(tag)) continue;
+        stack.push({ node: current, open: false });
+        for (let i = current.childNodes.length - 1; i >= 0; i--) {
+            stack.push({ node: current.childNodes[i], open: true });
+        }
+    }
+    return html.replace(/\n+/g, '\n').trim();
+}
+
+// linkDefinition: a link reference definition, `[label]: href "title"`
+function linkDefinition(label, href, title) {
+    const destination = /[\s<>]/.test(href) ? `<${href.replace(/[<>]/g, encodeURIComponent)}>` : href;
+    const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+    return `[${label}]: ${destination}${titlePart}`;
+}
+
+// referenceLabelText: link text usable as a reference label (collapsed to
+// one line, without brackets)
+function referenceLabelText(text) {
+    return text.replace(/\uE000(.)/g, '\\$1').replace(/[\[\]]/g, '').replace(allWhitespaceRe, ' ').trim().slice(0, 999);
+}
+
+// slugify: a lowercase, dash-separated identifier for `text`
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/\\(.)/g, '$1')
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .trim()
+        .replace(/[\s_]+/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+const headingAnchorModes = [ATTRIBUTE, SLUG];
+
+// An id usable as it is in a `{#id}` heading attribute
+const anchorIdRe = /^[^\s{}]+$/;
+
+// githubSlug: the anchor GitHub gives a heading with the text `text`, as
+// the github-slugger package computes it (before numbering repeats)
+function githubSlug(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-');
+}
+
+// uniqueSlug: `slug`, or `slug-1`, `slug-2`, ... when it is taken; `used`
+// maps the slugs handed out so far to the number of repeats seen
+function uniqueSlug(slug, used) {
+    let unique = slug;
+    while (used.has(unique)) {
+        const count = used.get(slug) + 1;
+        used.set(slug, count);
+        unique = `${slug}-${count}`;
+    }
+    used.set(unique, 0);
+    return unique;
+}
+
+// hasClass: whether an element's class attribute contains `name`
+function hasClass(el, name) {
+    return (el.getAttribute('class') || '').split(/\s+/).includes(name);
+}
+
+// isFootnoteSection: the container of a document's footnote definitions,
+// as written by Pandoc, markdown-it, GitHub and most blogging tools
+function isFootnoteSection(node) {
+    if (!node || node.nodeType !== ELEMENT_NODE) return false;
+    return hasClass(node, 'footnotes') ||
+        node.hasAttribute('data-footnotes') ||
+        node.getAttribute('role') === 'doc-endnotes';
+}
+
+function isFootnoteDefinition(li) {
+    let current = li.parentNode;
+    while (current && current.nodeType === ELEMENT_NODE) {
+        if (isFootnoteSection(current)) return true;
+        current = current.parentNode;
+    }
+    return false;
+}
+
+// isFootnoteBackref: the "↩" link from a footnote back to its reference
+function isFootnoteBackref(a) {
+    return hasClass(a, 'footnote-backref') ||
+        a.hasAttribute('data-footnote-backref') ||
+        a.getAttribute('role') === 'doc-backlink';
+}
+
+// footnoteLabelFromId: "fn1", "fn:1", "fn-1" and "user-content-fn-1" all
+// become "1"
+function footnoteLabelFromId(id) {
+    const label = id.replace(/^(?:user-content-)?(?:fn|footnote|note)(?:ref)?[-:_]?/i, '');
+    return (label || id).replace(/[\s\[\]^]+/g, '-');
+}
+
+// findTaskCheckbox: the checkbox that makes a list item a task, i.e. an
+// <input type="checkbox"> before any of the item's text
+function findTaskCheckbox(li) {
+    const stack = Array.from(li.childNodes).reverse();
+    while (stack.length) {
+        const node = stack.pop();
+        if (node.nodeType === TEXT_NODE) {
+            if (node.nodeValue.trim()) return null;
+            continue;
+        }
+        if (node.nodeType !== ELEMENT_NODE) continue;
+        const tag = node.tagName.toLowerCase();
+        if (tag === 'input') {
+            return (node.getAttribute('type') || '').toLowerCase() === 'checkbox' ? node : null;
+        }
+        if (tag === 'ul' || tag === 'ol') return null;
+        for (let i = node.childNodes.length - 1; i >= 0; i--) {
+            stack.push(node.childNodes[i]);
+        }
+    }
+    return null;
+}
+
+// splitFencedCode: split Markdown into alternating segments outside and
+// inside fenced code blocks, so text transforms can leave code untouched.
+// Returns [{ code: boolean, lines: [...] }].
+function splitFencedCode(text) {
+    const segments = [];
+    let current = { code: false, lines: [] };
+    let fence = null;
+    for (const line of text.split('\n')) {
+        if (fence === null) {
+            const match = fenceOpenRe.exec(line);
+            if (match) {
+                segments.push(current);
+                current = { code: true, lines: [line] };
+                fence = match[1];
+                continue;
+            }
+        } else {
+            const body = line.replace(/^[\t >]*/, '');
+            if (body.startsWith(fence) && body.replace(/\s+$/, '').split('').every(c => c === fence[0])) {
+                current.lines.push(line);
+                segments.push(current);
+                current = { code: false, lines: [] };
+                fence = null;
+                continue;
+            }
+        }
+        current.lines.push(line);
+    }
+    segments.push(current);
+    return segments.filter(segment => segment.lines.length);
+}
+
+// normalizeWhitespace: outside code blocks, drop trailing whitespace from each
+// line (keeping the hard breaks written by convert_br, as exactly two spaces
+// when the text before the <br> ended in a space) and collapse runs of blank
+// lines into one.
+function normalizeWhitespace(text) {
+    return splitFencedCode(text).map(segment => {
+        if (segment.code) return segment.lines.join('\n');
+        const lines = segment.lines.map(line => (
+            line.replace(/[\t ]+$/, hardBreakRe.test(line) ? '  ' : '')
+        ));
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n');
+    }).join('\n');
+}
+
+const asciiPunctuationRe = /[!-\/:-@\[-`{-~]/;
+const punctuationRe = /[\p{P}\p{S}]/u;
+const entityLikeRe = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/;
+const containerPrefixRe = /^(?:[\t ]*(?:>|[*+-]|\d{1,9}[.)])(?=[\t ]|$))*[\t ]*/;
+
+// resolveEscapes: replace each ESCAPE_MARK + character left by escape() in
+// 'smart' mode with either the escaped or the bare character, escaping only
+// where a CommonMark parser would otherwise read the character as markup:
+// emphasis delimiters that could pair up (per the flanking rules), block
+// markers at the start of a line, link brackets, code spans, HTML, entities
+// and hard line breaks.
+function resolveEscapes(text) {
+    return splitFencedCode(text).map(segment => {
+        if (segment.code) return segment.lines.join('\n').replace(escapeMarkRe, '');
+        const paragraphs = [];
+        let current = [];
+        for (const line of segment.lines) {
+            // a marked `>` is text (and escaped), so the line is not blank
+            if (/^[\t >]*$/.test(line)) {
+                paragraphs.push(current, [line]);
+                current = [];
+            } else {
+                current.push(line);
+            }
+        }
+        paragraphs.push(current);
+        return paragraphs
+            .filter(lines => lines.length)
+            .map(lines => resolveParagraphEscapes(lines.join('\n')))
+            .join('\n');
+    }).join('\n');
+}
+
+function resolveParagraphEscapes(paragraph) {
+    if (!paragraph.includes(ESCAPE_MARK)) return paragraph;
+    // plain: the paragraph without marks; marked[i]: plain[i] was marked
+    let plain = '';
+    const marked = [];
+    for (let i = 0; i < paragraph.length; i++) {
+        if (paragraph[i] === ESCAPE_MARK && i + 1 < paragraph.length) {
+            marked[plain.length] = true;
+            continue;
+        }
+        plain += paragraph[i];
+    }
+    // Where each line's content starts, after container markers such as
+    // "> " or "* " (which are never marked)
+    const lineStarts = new Set();
+    let offset = 0;
+    const firstLineEnd = plain.indexOf('\n') === -1 ? plain.length : plain.indexOf('\n');
+    for (const line of plain.split('\n')) {
+        let prefix = containerPrefixRe.exec(line)[0].length;
+        for (let k = 0; k < prefix; k++) {
+            if (marked[offset + k]) {
+                // a literal list marker such as "1." is content, digits included
+                prefix = k;
+                while (prefix > 0 && /\d/.test(line[prefix - 1])) prefix--;
+                break;
+            }
+        }
+        lineStarts.add(offset + prefix);
+        offset += line.length + 1;
+    }
+    const atLineStart = i => lineStarts.has(i);
+    const contentOf = i => {
+        let start = i;
+        while (start > 0 && plain[start - 1] !== '\n' && !lineStarts.has(start)) start--;
+        const end = plain.indexOf('\n', i);
+        return plain.slice(start, end === -1 ? plain.length : end);
+    };
+    const isSpace = c => c === undefined || /\s/.test(c);
+    const isPunct = c => c !== undefined && punctuationRe.test(c);
+    const occursOutside = (char, from, to) => {
+        for (let i = 0; i < plain.length; i++) {
+            // a backslash from the text is escaped itself, leaving `char` live
+            if ((i < from || i >= to) && plain[i] === char && (plain[i - 1] !== '\\' || marked[i - 1])) return true;
+        }
+        return false;
+    };
+
+    const shouldEscape = i => {
+        const c = plain[i];
+        const next = plain[i + 1];
+        const startOfLine = atLineStart(i);
+        const content = startOfLine ? contentOf(i) : '';
+        let runStart = i;
+        let runEnd = i + 1;
+        while (runStart > 0 && plain[runStart - 1] === c) runStart--;
+        while (runEnd < plain.length && plain[runEnd] === c) runEnd++;
+        const runAtLineStart = atLineStart(runStart);
+
+        switch (c) {
+        case '\\':
+            return next === undefined || next === '\n' || asciiPunctuationRe.test(next);
+        case '*':
+        case '_':
+        case '-': {
+            if (runAtLineStart && /^([*_-])(?:[\t ]*\1){2,}[\t ]*$/.test(contentOf(runStart))) return true;
+            if (runAtLineStart && (c === '*' || c === '-') && runEnd - runStart === 1 && isSpace(plain[runEnd])) return true;
+            if (c === '-') {
+                return runAtLineStart && plain.slice(0, firstLineEnd).length < runStart &&
+                    /^-+[\t ]*$/.test(contentOf(runStart));
+            }
+            const before = runStart > 0 ? plain[runStart - 1] : undefined;
+            const after = plain[runEnd];
+            const leftFlanking = !isSpace(after) && (!isPunct(after) || isSpace(before) || isPunct(before));
+            const rightFlanking = !isSpace(before) && (!isPunct(before) || isSpace(after) || isPunct(after));
+            let canOpen = leftFlanking;
+            let canClose = rightFlanking;
+            if (c === '_') {
+                canOpen = leftFlanking && (!rightFlanking || isPunct(before));
+                canClose = rightFlanking && (!leftFlanking || isPunct(after));
+            }
+            return (canOpen || canClose) && occursOutside(c, runStart, runEnd);
+        }
+        case '+':
+            return runAtLineStart && runEnd - runStart === 1 && isSpace(plain[runEnd]);
+        case '=':
+            return runAtLineStart && runStart > firstLineEnd && /^=+[\t ]*$/.test(contentOf(runStart));
+        case '#':
+            return runAtLineStart && runEnd - runStart <= 6 && isSpace(plain[runEnd]);
+        case '>':
+            return startOfLine;
+        case '.':
+        case ')': {
+            const digits = /(\d{1,9})$/.exec(plain.slice(0, i));
+            return Boolean(digits) && atLineStart(i - digits[1].length) && isSpace(next);
+        }
+        case '<':
+            return next !== undefined && /[A-Za-z\/!?]/.test(next);
+        case '&':
+            return entityLikeRe.test(plain.slice(i));
+        case '[':
+            return plain.indexOf(']', i + 1) !== -1;
+        case ']':
+            return plain.lastIndexOf('[', i - 1) !== -1;
+        case '`':
+        case '~':
+            if (runAtLineStart && runEnd - runStart >= 3) return true;
+            return occursOutside(c, runStart, runEnd);
+        case '|':
+            return plain.includes('\n');
+        case '$':
+            // an equation needs a closing `$`
+            return occursOutside(c, runStart, runEnd);
+        default:
+            return false;
+        }
+    };
+
+    let result = '';
+    for (let i = 0; i < plain.length; i++) {
+        result += marked[i] && shouldEscape(i) ? '\\' + plain[i] : plain[i];
+    }
+    return result;
+}
+
+// stripDocument: remove leading and/or trailing newlines from the output
+function stripDocument(text, mode) {
+    if (mode === LSTRIP) return text.replace(/^\n+/, '');
+    if (mode === RSTRIP) return text.replace(/\n+$/, '');
+    if (mode === STRIP) return text.replace(/^\n+|\n+$/g, '');
+    return text;
+}
+
+//
+// Main content extraction
+//
+// With `main_content`, only the subtree holding the page's main text is
+// converted, leaving out menus, sidebars and footers. As in Readability,
+// each paragraph-like element with enough text adds a score (more for
+// longer text and commas) to its ancestors, decreasing with distance;
+// class names and ids push the score up or down, and the best candidates
+// are weighed down by their link density.
+//
+
+const contentParagraphElements = ['p', 'pre', 'td', 'blockquote'];
+const contentCandidateElements = ['article', 'main', 'section', 'div', 'body'];
+const skippedContentElements = ['nav', 'aside', 'footer', 'header', 'form', 'script', 'style', 'noscript'];
+const contentBlockElements = [
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'main', 'nav', 'ol', 'p', 'pre',
+    'section', 'table', 'ul',
+];
+const unlikelyContentRe = /banner|breadcrumb|combx|comment|community|cookie|disqus|footer|gdpr|menu|nav|pager|pagination|popup|related|remark|replies|share|shoutbox|sidebar|skyscraper|social|sponsor|(?:^|[\s_-])ad(?:s|vert)?(?:$|[\s_-])/i;
+const maybeContentRe = /and|article|body|column|content|main|shadow/i;
+const positiveContentRe = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const negativeContentRe = /hidden|banner|combx|comment|com-|contact|footer|footnote|masthead|media|meta|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu/i;
+const minContentLength = 25;
+
+function normalizedText(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+// contentClassWeight: +/-25 for content-like or boilerplate class and id
+function contentClassWeight(el) {
+    let weight = 0;
+    for (const name of [el.getAttribute('class'), el.getAttribute('id')]) {
+        if (!name) continue;
+        if (negativeContentRe.test(name)) weight -= 25;
+        if (positiveContentRe.test(name)) weight += 25;
+    }
+    if (el.getAttribute('role') === 'main') weight += 25;
+    return weight;
+}
+
+function contentBaseScore(el) {
+    switch (el.tagName.toLowerCase()) {
+        case 'article':
+        case 'main':
+            return 10;
+        case 'div':
+        case 'section':
+            return 5;
+        case 'pre':
+        case 'td':
+        case 'blockquote':
+            return 3;
+        case 'address':
+        case 'ol':
+        case 'ul':
+        case 'dl':
+        case 'dd':
+        case 'dt':
+        case 'li':
+        case 'form':
+            return -3;
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+        case 'th':
+            return -5;
+    }
+    return 0;
+}
+
+function isUnlikelyContent(el) {
+    const tag = el.tagName.toLowerCase();
+    if (skippedContentElements.includes(tag)) return true;
+    if (tag === 'body' || tag === 'main' || tag === 'article' || el.getAttribute('role') === 'main') return false;
+    const names = `${el.getAttribute('class') || ''} ${el.getAttribute('id') || ''}`;
+    return unlikelyContentRe.test(names) && !maybeContentRe.test(names);
+}
+
+// A <div> without block children reads as a paragraph
+function isContentParagraph(el) {
+    const tag = el.tagName.toLowerCase();
+    if (contentParagraphElements.includes(tag)) return true;
+    return tag === 'div' && !Array.from(el.children).some(child => contentBlockElements.includes(child.tagName.toLowerCase()));
+}
+
+function linkDensity(el, textLength) {
+    if (!textLength) return 0;
+    const linkLength = querySelectorAll(el, 'a').reduce((sum, link) => sum + normalizedText(link).length, 0);
+    return linkLength / textLength;
+}
+
+// findMainContent: the element holding the main content of a document, or
+// null when no element stands out
+function findMainContent(root) {
+    const scores = new Map();
+    const addScore = (el, score) => {
+        if (!scores.has(el)) scores.set(el, contentBaseScore(el) + contentClassWeight(el));
+        scores.set(el, scores.get(el) + score);
+    };
+    const stack = Array.from(root.childNodes || []).reverse();
+    while (stack.length) {
+        const el = stack.pop();
+        if (el.nodeType !== ELEMENT_NODE || isUnlikelyContent(el)) continue;
+        if (!isContentParagraph(el)) {
+            for (let i = el.childNodes.length - 1; i >= 0; i--) stack.push(el.childNodes[i]);
+            continue;
+        }
+        const text = normalizedText(el);
+        if (text.length < minContentLength) continue;
+        const score = 1 + text.split(',').length - 1 + Math.min(Math.floor(text.length / 100), 3);
+        let level = 0;
+        for (let ancestor = el.parentNode; ancestor && ancestor.nodeType === ELEMENT_NODE && level < 3;
+            ancestor = ancestor.parentNode, level++) {
+            addScore(ancestor, level === 0 ? score : level === 1 ? score / 2 : score / (level * 3));
+        }
+        if (el.tagName.toLowerCase() !== 'p') addScore(el, score);
+    }
+
+    const candidates = Array.from(scores)
+        .filter(([el]) => contentCandidateElements.includes(el.tagName.toLowerCase()) ||
+            el.getAttribute('role') === 'main')
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5);
+    let best = null;
+    let bestScore = 0;
+    for (const [el, score] of candidates) {
+        const text = normalizedText(el);
+        const finalScore = score * (1 - linkDensity(el, text.length));
+        if (finalScore > bestScore && text.length >= minContentLength) {
+            best = el;
+            bestScore = finalScore;
+        }
+    }
+    return best;
+}
+
+//
+// Front matter
+//
+// With `front_matter`, metadata from the page (mostly its <head>) is written
+// as a YAML, TOML or JSON block before the Markdown, as static site
+// generators such as Hugo and Jekyll expect it.
+//
+
+const frontMatterFormats = [YAML, TOML, JSON_FORMAT];
+const yamlPlainRe = /^[A-Za-z_][\w .,/@()-]*$/;
+const yamlReservedRe = /^(?:true|false|yes|no|on|off|y|n|null)$/i;
+const tomlBareKeyRe = /^[A-Za-z0-9_-]+$/;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// extractMetadata: the title, description, author, dates, tags, image,
+// canonical URL and language of a document, leaving out what it lacks.
+// URLs are resolved against `baseUrl`.
+function extractMetadata(doc, baseUrl) {
+    const metas = new Map();
+    for (const meta of querySelectorAll(doc, 'meta[content]')) {
+        const key = (meta.getAttribute('property') || meta.getAttribute('name') || '').trim().toLowerCase();
+        if (key && !metas.has(key)) metas.set(key, meta.getAttribute('content').trim());
+    }
+    const meta = (...keys) => keys.map(key => metas.get(key)).find(Boolean);
+    const text = selector => {
+        const el = querySelectorAll(doc, selector)[0];
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    };
+    const resolve = url => {
+        try {
+            return new URL(url, baseUrl || undefined).href;
+        } catch (e) {
+            return url;
+        }
+    };
+    const time = querySelectorAll(doc, 'time[datetime]')[0];
+    const canonical = querySelectorAll(doc, 'link[rel~=canonical i][href]')[0];
+    const html = querySelectorAll(doc, 'html[lang]')[0];
+    const tags = querySelectorAll(doc, 'meta[property="article:tag" i][content]')
+        .map(el => el.getAttribute('content').trim());
+    if (!tags.length && metas.get('keywords')) tags.push(...metas.get('keywords').split(','));
+
+    const metadata = {
+        title: text('title') || meta('og:title', 'twitter:title'),
+        description: meta('description', 'og:description', 'twitter:description'),
+        author: meta('author', 'article:author'),
+        date: meta('article:published_time', 'date', 'dc.date') || (time && time.getAttribute('datetime').trim()),
+        updated: meta('article:modified_time', 'og:updated_time'),
+        tags: [...new Set(tags.map(tag => tag.trim()).filter(Boolean))],
+        image: meta('og:image', 'twitter:image') && resolve(meta('og:image', 'twitter:image')),
+        canonical: canonical && resolve(canonical.getAttribute('href').trim()),
+        lang: html && html.getAttribute('lang').trim(),
+    };
+    for (const key of Object.keys(metadata)) {
+        const value = metadata[key];
+        if (!value || (Array.isArray(value) && !value.length)) delete metadata[key];
+    }
+    return metadata;
+}
+
+function yamlKey(key) {
+    return /^[\w-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function yamlScalar(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value === null || typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (typeof value === 'object') return JSON.stringify(value); // JSON is YAML flow syntax
+    const text = String(value);
+    return yamlPlainRe.test(text) && text === text.trim() && !yamlReservedRe.test(text) ?
+        text : JSON.stringify(text);
+}
+
+function toYaml(data, indent = '') {
+    const lines = [];
+    for (const [key, value] of Object.entries(data)) {
+        if (Array.isArray(value) && value.length) {
+            lines.push(`${indent}${yamlKey(key)}:`);
+            for (const item of value) lines.push(`${indent}  - ${yamlScalar(item)}`);
+        } else if (isPlainObject(value) && Object.keys(value).length) {
+            lines.push(`${indent}${yamlKey(key)}:`, toYaml(value, indent + '  '));
+        } else {
+            lines.push(`${indent}${yamlKey(key)}: ${Array.isArray(value) ? '[]' : yamlScalar(value)}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function tomlKey(key) {
+    return tomlBareKeyRe.test(key) ? key : JSON.stringify(key);
+}
+
+// TOML has no null, so null values are left out by toToml
+function tomlValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return `[${value.filter(item => item != null).map(tomlValue).join(', ')}]`;
+    if (isPlainObject(value)) {
+        const pairs = Object.entries(value).filter(([, item]) => item != null);
+        return pairs.length ? `{ ${pairs.map(([k, v]) => `${tomlKey(k)} = ${tomlValue(v)}`).join(', ')} }` : '{}';
+    }
+    return JSON.stringify(String(value)).replace(/\x7f/g, '\\u007F');
+}
+
+function toToml(data, table = '') {
+    const lines = [];
+    const tables = [];
+    for (const [key, value] of Object.entries(data)) {
+        if (value == null) continue;
+        if (isPlainObject(value)) {
+            tables.push([key, value]);
+        } else {
+            lines.push(`${tomlKey(key)} = ${tomlValue(value)}`);
+        }
+    }
+    for (const [key, value] of tables) {
+        const name = table ? `${table}.${tomlKey(key)}` : tomlKey(key);
+        lines.push('', `[${name}]`, toToml(value, name));
+    }
+    return lines.join('\n').replace(/^\n+/, '');
+}
+
+// formatFrontMatter: the front matter block for `data` in a format
+function formatFrontMatter(data, format) {
+    if (format === JSON_FORMAT) return JSON.stringify(data, null, 2);
+    const [delimiter, body] = format === TOML ? ['+++', toToml(data)] : ['---', toYaml(data)];
+    return body ? `${delimiter}\n${body}\n${delimiter}` : `${delimiter}\n${delimiter}`;
+}
+
+//
+// Conversion report
+//
+// convertWithReport() lists what the Markdown does not carry over from the
+// HTML, each entry with the path of the node it comes from:
+//
+//   dropped  content left out of the output (scripts, excluded elements,
+//            URLs rejected by url_transform)
+//   lossy    content written with less structure or meaning than it had
+//   escaped  characters backslash-escaped so they stay literal text
+//
+
+const DROPPED = 'dropped';
+const LOSSY = 'lossy';
+const ESCAPED = 'escaped';
+
+// Elements without a converter whose markup the Markdown does not miss:
+// table parts laid out by convert_table, media sources, the wrappers and
+// the document's metadata
+const transparentElements = [
+    ...wrapperElements, 'thead', 'tbody', 'tfoot', 'colgroup', 'col', 'picture', 'source', 'track',
+    'meta', 'link', 'base', 'noscript',
+];
+
+// Attributes whose content is lost when their element is converted
+const reportedAttributes = ['title', 'cite', 'datetime'];
+
+// nodePath: a selector for the element a node is in, from the top of its
+// tree, e.g. `body > div:nth-of-type(2) > p`; compileSelector accepts it
+function nodePath(node) {
+    const parts = [];
+    let el = node && node.nodeType === ELEMENT_NODE ? node : node && node.parentNode;
+    for (; el && el.nodeType === ELEMENT_NODE; el = el.parentNode) {
+        const tag = el.tagName.toLowerCase();
+        const siblings = el.parentNode ? Array.from(el.parentNode.childNodes).filter(sibling => (
+            sibling.nodeType === ELEMENT_NODE && sibling.tagName.toLowerCase() === tag
+        )) : [el];
+        parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(el) + 1})` : tag);
+    }
+    return parts.join(' > ');
+}
+
+// escapedSequences: the characters `escape()` backslash-escaped in turning
+// `text` into `escaped`, which only adds backslashes (and doubles existing
+// ones when `backslashes` is set)
+function escapedSequences(text, escaped, backslashes) {
+    const sequences = [];
+    for (let i = 0, j = 0; j < escaped.length; i++, j++) {
+        if (escaped[j] === '\\' && (text[i] !== '\\' || backslashes) && escaped[j + 1] === text[i]) {
+            sequences.push('\\' + text[i]);
+            j++;
+        }
+    }
+    return sequences;
+}
+
+// resolvedEscapes: the escapes resolveEscapes() kept in turning `marked`
+// into `resolved`
+function resolvedEscapes(marked, resolved) {
+    const sequences = [];
+    for (let i = 0, j = 0; i < marked.length && j < resolved.length; i++, j++) {
+        if (marked[i] === ESCAPE_MARK && i + 1 < marked.length) {
+            i++;
+            if (resolved[j] === '\\' && resolved[j + 1] === marked[i]) {
+                sequences.push('\\' + marked[i]);
+                j++;
+            }
+        }
+    }
+    return sequences;
+}
+
+//
+// Markdown AST
+//
+// convertToAst() builds an mdast tree (https://github.com/syntax-tree/mdast,
+// the tree remark and unified work on) from the DOM instead of writing
+// Markdown, and serializeAst() writes an mdast tree as Markdown with the
+// converter's options. Trees use the GFM nodes (table, delete,
+// footnoteDefinition, listItem.checked), remark-frontmatter's yaml and
+// toml nodes and remark-math's math and inlineMath. Rules produce text, so
+// they do not apply to the tree.
+//
+
+const mdastPhrasingTypes = [
+    'text', 'emphasis', 'strong', 'delete', 'inlineCode', 'break', 'link', 'image',
+    'linkReference', 'imageReference', 'footnoteReference', 'html', 'inlineMath',
+];
+
+function mdastText(value) {
+    return { type: 'text', value };
+}
+
+// trimNodes: remove the whitespace at the start (or, with `atEnd`, the
+// end) of phrasing content in place; returns the whitespace removed. The
+// phrasing parents MdastBuilder makes have none at their own ends.
+function trimNodes(nodes, atEnd) {
+    let removed = '';
+    while (nodes.length) {
+        const node = nodes[atEnd ? nodes.length - 1 : 0];
+        if (node.type !== 'text') break;
+        const value = atEnd ? node.value.replace(/\s+$/, '') : node.value.replace(/^\s+/, '');
+        removed = atEnd ? node.value.slice(value.length) + removed :
+            removed + node.value.slice(0, node.value.length - value.length);
+        if (value) {
+            node.value = value;
+            break;
+        }
+        if (atEnd) nodes.pop(); else nodes.shift();
+    }
+    return removed;
+}
+
+// MdastBuilder: the tree for convertToAst. The DOM is walked as processTag
+// walks it, with the same exclude/include selectors, strip/convert tags,
+// keep_html and flavor rules, and each element's mdast nodes are built from
+// its children's.
+class MdastBuilder {
+    constructor(converter) {
+        this.converter = converter;
+        this.options = converter.options;
+        this.flowHtml = new WeakSet(); // html nodes standing as blocks
+        this.cells = new WeakMap(); // td, th and caption => their content
+        this.footnotes = [];
+    }
+
+    // The root node for the DOM `node` of document `doc`
+    build(node, doc) {
+        const converter = this.converter;
+        const content = [];
+        if (!converter.isExcluded(node)) {
+            const included = !converter.includeSelector || converter.isIncluded(node);
+            const stack = [this.frame(node, false, included, Boolean(findAncestor(node, codeElements)))];
+            while (stack.length) {
+                const frame = stack[stack.length - 1];
+                if (frame.index < frame.children.length) {
+                    const child = frame.children[frame.index++];
+                    if (child.nodeType === TEXT_NODE) {
+                        const value = frame.included ? converter.normalizeText(child) : '';
+                        if (value) frame.content.push(mdastText(value));
+                        continue;
+                    }
+                    const childIncluded = frame.included || converter.includeSelector(child);
+                    converter.state.code = { node: child, inside: frame.childrenInCode };
+                    const leaf = childIncluded && this.leaf(child, frame.childrenAsInline);
+                    if (leaf) {
+                        frame.content.push(...leaf);
+                    } else {
+                        stack.push(this.frame(child, frame.childrenAsInline, childIncluded, frame.childrenInCode));
+                    }
+                    continue;
+                }
+                stack.pop();
+                converter.state.code = { node: frame.node, inside: frame.inCode };
+                const nodes = frame.included ? this.element(frame.node, frame.content, frame.inline) : frame.content;
+                const target = stack.length ? stack[stack.length - 1].content : content;
+                for (const built of nodes) target.push(built);
+            }
+        }
+        const children = [];
+        const format = this.options.front_matter;
+        if (format) {
+            const data = converter.frontMatterData(doc);
+            // json is no remark-frontmatter type; its node holds the object
+            const value = format === JSON_FORMAT ? JSON.stringify(data, null, 2) :
+                format === TOML ? toToml(data) : toYaml(data);
+            children.push({ type: format, value });
+        }
+        return { type: 'root', children: children.concat(this.flow(content), this.footnotes) };
+    }
+
+    frame(node, inline, included, inCode) {
+        const tag = node.nodeType === ELEMENT_NODE ? node.tagName.toLowerCase() : '';
+        return {
+            node,
+            inline,
+            included,
+            childrenAsInline: inline || htmlHeadingRe.test(tag) || tag === 'td' || tag === 'th',
+            inCode,
+            childrenInCode: inCode || codeElements.includes(tag),
+            children: this.converter.childrenToProcess(node),
+            index: 0,
+            content: [],
+        };
+    }
+
+    html(value, flow) {
+        const node = { type: 'html', value };
+        if (flow) this.flowHtml.add(node);
+        return node;
+    }
+
+    isPhrasing(node) {
+        return mdastPhrasingTypes.includes(node.type) && !this.flowHtml.has(node);
+    }
+
+    // The nodes for elements built without their children, or null
+    leaf(el, inline) {
+        const converter = this.converter;
+        const options = this.options;
+        const tag = el.tagName.toLowerCase();
+        if (!converter.shouldConvertTag(tag)) return null;
+        if (converter.flavorRule(tag) === htmlTable) return [this.html(serializeHtml(el), true)];
+        if (!htmlOnlyElements.includes(tag) && tag !== 'summary' && converter.shouldKeepHtml(el)) return null;
+        switch (tag) {
+        case 'script': {
+            const math = converter.hasExtension(MATH) ? mathScript(el) : null;
+            return math ? this.math(math.tex, math.display && !inline) : [];
+        }
+        case 'style':
+            return [];
+        case 'math': {
+            const tex = converter.hasExtension(MATH) ? mathTex(el) : null;
+            return tex === null ? null : this.math(tex, el.getAttribute('display') === 'block' && !inline);
+        }
+        case 'span':
+        case 'div':
+            if (isMermaidDiagram(el)) {
+                const value = diagramSource(el);
+                if (!value) return [];
+                return inline ? [{ type: 'inlineCode', value: value.replace(allWhitespaceRe, ' ') }] :
+                    [{ type: 'code', lang: 'mermaid', meta: null, value }];
+            }
+            return converter.hasExtension(MATH) && isMathRendering(el) ? [] : null;
+        case 'head':
+        case 'title':
+            return options.front_matter ? [] : null;
+        case 'pre': {
+            const value = el.textContent || '';
+            return value ? [{ type: 'code', lang: converter.codeLanguage(el) || null, meta: null, value }] : [];
+        }
+        case 'code':
+        case 'kbd':
+        case 'samp': {
+            const [prefix, suffix, value] = chomp((el.textContent || '').replace(allWhitespaceRe, ' '));
+            if (!value) return [];
+            return [
+                ...(prefix ? [mdastText(prefix)] : []),
+                { type: 'inlineCode', value },
+                ...(suffix ? [mdastText(suffix)] : []),
+            ];
+        }
+        case 'img':
+            return this.image(el, inline);
+        case 'br':
+            return inline ? [] : [{ type: 'break' }];
+        case 'hr':
+            return [{ type: 'thematicBreak' }];
+        case 'iframe':
+            return this.embed(el, [], inline, 'Embedded content', el.getAttribute('src'));
+        case 'audio':
+        case 'video':
+            return converter.shouldKeepHtml(el) ? [this.html(serializeHtml(el))] : null;
+        case 'dl':
+            return options.definition_list_style === HTML ? [this.html(serializeHtml(el), true)] : null;
+        case 'table':
+            return options.table_fallback === HTML && !isSimpleTable(el) ?
+                [this.html(serializeHtml(el), true)] : null;
+        default:
+            return null;
+        }
+    }
+
+    // The nodes for an element given the nodes built from its children
+    element(node, content, inline) {
+        const converter = this.converter;
+        if (node.nodeType !== ELEMENT_NODE) return content;
+        const tag = node.tagName.toLowerCase();
+        if (!converter.shouldConvertTag(tag)) return content;
+        const rule = converter.flavorRule(tag);
+        if (rule === plainText) return content;
+        if (rule === strikethrough) return this.wrap('delete', content);
+        if (!htmlOnlyElements.includes(tag) && tag !== 'summary' && converter.shouldKeepHtml(node)) {
+            return this.keptHtml(node, content, inline);
+        }
+        if (converter.hasExtension(FOOTNOTES) && isFootnoteSection(node)) return [];
+        if (htmlHeadingRe.test(tag)) {
+            const children = this.trimmed(this.phrasing(content));
+            const heading = converter.headingEntry(node);
+            const depth = heading ? heading.level : Number(tag.charAt(1)) + converter.options.heading_offset;
+            return children.length ? [{ type: 'heading', depth: Math.max(1, Math.min(6, depth)), children }] : [];
+        }
+        switch (tag) {
+        case 'p':
+        case 'figcaption':
+            // display math splits the paragraph, as it does in convert()
+            return content.some(child => child.type === 'math') ? this.flow(content) : this.paragraph(content);
+        case 'blockquote':
+            return [{ type: 'blockquote', children: this.flow(content) }];
+        case 'div':
+        case 'article':
+        case 'section':
+            return this.flow(content);
+        case 'ul':
+        case 'ol':
+            return this.list(node, content);
+        case 'li':
+            return this.listItem(node, content);
+        case 'a':
+            return this.link(node, content);
+        case 'b':
+        case 'strong':
+            return this.wrap('strong', content);
+        case 'em':
+        case 'i':
+            return this.wrap('emphasis', content);
+        case 'del':
+        case 's':
+            return this.wrap('delete', content);
+        case 'sub':
+        case 'sup':
+            return this.subSup(tag, content);
+        case 'table':
+            return this.table(node);
+        case 'td':
+        case 'th':
+        case 'caption':
+            this.cells.set(node, this.trimmed(this.phrasing(content)));
+            return [];
+        case 'dt': {
+            const term = this.trimmed(this.phrasing(content));
+            return term.length ? [{ type: 'paragraph', children: [{ type: 'strong', children: term }] }] : [];
+        }
+        case 'dd':
+            return this.flow(content);
+        case 'details':
+            return this.details(node, content);
+        case 'summary': {
+            const details = node.parentNode;
+            const kept = details && details.nodeType === ELEMENT_NODE &&
+                details.tagName.toLowerCase() === 'details' && converter.shouldKeepHtml(details);
+            return kept ? [] : this.paragraph(content);
+        }
+        case 'audio':
+            return this.embed(node, content, inline, 'Audio', mediaSource(node));
+        case 'video':
+            return this.embed(node, content, inline, 'Video', mediaSource(node));
+        default:
+            return content;
+        }
+    }
+
+    // Group the phrasing content among blocks into paragraphs
+    flow(nodes) {
+        const result = [];
+        let run = [];
+        const flush = () => {
+            result.push(...this.paragraph(run));
+            run = [];
+        };
+        for (const node of nodes) {
+            if (this.isPhrasing(node)) {
+                run.push(node);
+            } else {
+                flush();
+                result.push(node);
+            }
+        }
+        flush();
+        return result;
+    }
+
+    // Phrasing content only: blocks inside inline content (a <div> in a
+    // link, a list in a heading) are flattened, and adjacent text merged
+    phrasing(nodes) {
+        const result = [];
+        const add = node => {
+            const last = result[result.length - 1];
+            if (node.type !== 'text') {
+                result.push(node);
+            } else if (last && last.type === 'text') {
+                last.value += /\s$/.test(last.value) ? node.value.replace(/^\s+/, '') : node.value;
+            } else if (node.value) {
+                result.push(node);
+            }
+        };
+        for (const node of nodes) {
+            if (this.isPhrasing(node)) {
+                add(node);
+                continue;
+            }
+            let inner = [];
+            if (node.type === 'code') {
+                inner = [{ type: 'inlineCode', value: node.value.replace(allWhitespaceRe, ' ') }];
+            } else if (node.type === 'math') {
+                inner = [{ type: 'inlineMath', value: node.value.replace(allWhitespaceRe, ' ') }];
+            } else if (node.type === 'html') {
+                inner = [this.html(node.value)];
+            } else if (node.children) {
+                inner = this.phrasing(node.children);
+            }
+            if (!inner.length) continue;
+            add(mdastText(' '));
+            inner.forEach(add);
+            add(mdastText(' '));
+        }
+        return result;
+    }
+
+    // Phrasing content without whitespace and line breaks at either end
+    trimmed(nodes) {
+        for (;;) {
+            trimNodes(nodes, false);
+            trimNodes(nodes, true);
+            if (nodes.length && nodes[0].type === 'break') {
+                nodes.shift();
+            } else if (nodes.length && nodes[nodes.length - 1].type === 'break') {
+                nodes.pop();
+            } else {
+                return nodes;
+            }
+        }
+    }
+
+    paragraph(content) {
+        const children = this.trimmed(this.phrasing(content));
+        return children.length ? [{ type: 'paragraph', children }] : [];
+    }
+
+    // A phrasing parent of `type` around the content (see chomped)
+    wrap(type, content, props = {}) {
+        return this.chomped(content, children => [{ type, ...props, children }]);
+    }
+
+    // The nodes `build` returns for the phrasing content, with the
+    // whitespace at its ends moved outside as the inline converters do
+    chomped(content, build) {
+        const children = this.phrasing(content);
+        const before = trimNodes(children, false);
+        const after = trimNodes(children, true);
+        if (!children.length) return [];
+        return [
+            ...(before ? [mdastText(' ')] : []),
+            ...build(children),
+            ...(after ? [mdastText(' ')] : []),
+        ];
+    }
+
+    keptHtml(el, content, inline) {
+        const tag = el.tagName.toLowerCase();
+        const open = `<${tag}${htmlAttributes(el)}>`;
+        if (voidHtmlElements.includes(tag)) return [this.html(open)];
+        if (inline || !commonMarkBlockTags.includes(tag)) {
+            const children = this.phrasing(content);
+            if (!this.trimmed(children.slice()).length) return children;
+            return [this.html(open), ...children, this.html(`</${tag}>`)];
+        }
+        return [this.html(open, true), ...this.flow(content), this.html(`</${tag}>`, true)];
+    }
+
+    // An image_handler's Markdown is kept as an html node, the only node
+    // that is written as it is; sizes go in data.hProperties as remark has
+    // them
+    image(el, inline) {
+        const parent = el.parentNode;
+        const keep = parent && parent.nodeType === ELEMENT_NODE &&
+            this.options.keep_inline_images_in.includes(parent.tagName.toLowerCase());
+        if (inline && !keep) {
+            const alt = el.getAttribute('alt') || '';
+            return alt ? [mdastText(alt)] : [];
+        }
+        const image = this.converter.imageFor(el);
+        if (image.markdown !== undefined) return image.markdown ? [this.html(image.markdown, false)] : [];
+        if (image.src === null) return image.alt ? [mdastText(image.alt)] : [];
+        const node = { type: 'image', url: image.src, title: image.title || null, alt: image.alt };
+        if (this.options.image_size && (image.width || image.height)) {
+            const hProperties = {};
+            if (image.width) hProperties.width = image.width;
+            if (image.height) hProperties.height = image.height;
+            node.data = { hProperties };
+        }
+        return [node];
+    }
+
+    // remark-math's nodes for an equation
+    math(tex, display) {
+        if (!tex) return [];
+        return display ? [{ type: 'math', meta: null, value: tex }] :
+            [{ type: 'inlineMath', value: tex.replace(allWhitespaceRe, ' ') }];
+    }
+
+    link(el, content) {
+        const converter = this.converter;
+        const rawHref = el.getAttribute('href');
+        if (converter.hasExtension(FOOTNOTES)) {
+            if (isFootnoteBackref(el)) return [];
+            const label = converter.footnoteReferenceLabel(el, rawHref);
+            if (label) return [{ type: 'footnoteReference', identifier: label.toLowerCase(), label }];
+        }
+        const url = rawHref ? converter.resolveUrl(rawHref, el, 'link') : null;
+        if (!url) return content;
+        return this.wrap('link', content, { url, title: el.getAttribute('title') || null });
+    }
+
+    subSup(tag, content) {
+        const significant = content.filter(node => node.type !== 'text' || node.value.trim());
+        if (tag === 'sup' && significant.length === 1 && significant[0].type === 'footnoteReference') {
+            return significant;
+        }
+        // the symbols have no mdast node, so they are kept as raw markup
+        const symbol = this.options[`${tag}_symbol`];
+        if (!symbol) return content;
+        const close = symbol.startsWith('<') && symbol.endsWith('>') ? `</${symbol.slice(1)}` : symbol;
+        return this.chomped(content, children => [this.html(symbol), ...children, this.html(close)]);
+    }
+
+    table(el) {
+        const grid = buildTableGrid(el, cell => this.cells.get(cell) || []);
+        if (!grid.rows.length) return [];
+        const rows = grid.rows.map(row => ({
+            type: 'tableRow',
+            children: row.map(cell => ({ type: 'tableCell', children: Array.isArray(cell.text) ? cell.text : [] })),
+        }));
+        // mdast tables always have a header row
+        if (grid.headerRows === 0 && !this.options.table_infer_header) {
+            rows.unshift({
+                type: 'tableRow',
+                children: Array.from({ length: grid.width }, () => ({ type: 'tableCell', children: [] })),
+            });
+        }
+        const caption = childElements(el, ['caption'])[0];
+        const captionContent = caption && this.cells.get(caption);
+        return [
+            ...(captionContent && captionContent.length ? [{ type: 'paragraph', children: captionContent }] : []),
+            { type: 'table', align: grid.alignments, children: rows },
+        ];
+    }
+
+    list(el, content) {
+        const items = [];
+        let stray = null;
+        for (const node of content) {
+            if (node.type === 'listItem') {
+                items.push(node);
+                stray = null;
+            } else if (node.type !== 'text' || node.value.trim()) {
+                // content outside the items gets an item of its own
+                if (!stray) {
+                    stray = { type: 'listItem', spread: false, checked: null, children: [] };
+                    items.push(stray);
+                }
+                stray.children.push(node);
+            }
+        }
+        for (const item of items) {
+            if (item.children.some(node => this.isPhrasing(node))) item.children = this.flow(item.children);
+        }
+        if (!items.length) return [];
+        const ordered = el.tagName.toLowerCase() === 'ol';
+        const startAttr = el.getAttribute('start');
+        return [{
+            type: 'list',
+            ordered,
+            start: ordered ? (startAttr && /^\d+$/.test(startAttr) ? parseInt(startAttr, 10) : 1) : null,
+            spread: isLooseList(el),
+            children: items,
+        }];
+    }
+
+    listItem(el, content) {
+        const converter = this.converter;
+        const id = el.getAttribute('id');
+        if (converter.hasExtension(FOOTNOTES) && id && isFootnoteDefinition(el)) {
+            const label = footnoteLabelFromId(id);
+            this.footnotes.push({
+                type: 'footnoteDefinition',
+                identifier: label.toLowerCase(),
+                label,
+                children: this.flow(content),
+            });
+            return [];
+        }
+        const checkbox = converter.hasExtension(TASK_LISTS) ? findTaskCheckbox(el) : null;
+        const children = this.flow(content);
+        if (!children.length && !checkbox) return [];
+        const list = el.parentNode;
+        const loose = Boolean(list) && list.nodeType === ELEMENT_NODE &&
+            ['ul', 'ol'].includes(list.tagName.toLowerCase()) && isLooseList(list);
+        return [{
+            type: 'listItem',
+            spread: loose,
+            checked: checkbox ? checkbox.hasAttribute('checked') : null,
+            children,
+        }];
+    }
+
+    details(el, content) {
+        if (!this.converter.shouldKeepHtml(el)) return content;
+        const summary = childElements(el, ['summary'])[0];
+        const open = `<details${htmlAttributes(el)}>` + (summary ? '\n' + serializeHtml(summary) : '');
+        return [this.html(open, true), ...this.flow(content), this.html('</details>', true)];
+    }
+
+    embed(el, content, inline, kind, rawSrc) {
+        const converter = this.converter;
+        if (converter.shouldKeepHtml(el)) return [this.html(serializeHtml(el))];
+        const src = rawSrc ? converter.resolveUrl(rawSrc, el, 'link') : null;
+        if (!src) return content;
+        const label = el.getAttribute('title') || el.getAttribute('aria-label') || kind;
+        let rawImage = el.getAttribute('poster');
+        const youTube = kind !== 'Audio' && youTubeEmbedRe.exec(rawSrc);
+        if (youTube) rawImage = rawImage || `https://img.youtube.com/vi/${youTube[1]}/hqdefault.jpg`;
+        const image = rawImage && !inline ? converter.resolveUrl(rawImage, el, 'image') : null;
+        const children = image ? [{ type: 'image', url: image, title: null, alt: label }] : [mdastText(label)];
+        const url = youTube ? `https://www.youtube.com/watch?v=${youTube[1]}` : src;
+        return [{ type: 'link', url, title: null, children }];
+    }
+}
+
+// MdastSerializer: Markdown for an mdast tree, for serializeAst. Nodes are
+// written bottom-up with an explicit stack, each from its children's text,
+// with the converter's options and helpers.
+class MdastSerializer {
+    constructor(converter) {
+        this.converter = converter;
+        this.options = converter.options;
+        this.lists = new Map(); // list node => its markers
+        this.alternateLists = new WeakSet();
+    }
+
+    serialize(tree) {
+        const stack = [];
+        stack.push(this.frame(tree, stack));
+        for (;;) {
+            const frame = stack[stack.length - 1];
+            const children = frame.node.children || [];
+            if (frame.index < children.length) {
+                stack.push(this.frame(children[frame.index++], stack));
+                continue;
+            }
+            stack.pop();
+            const text = this.node(frame, stack);
+            if (!stack.length) return text;
+            stack[stack.length - 1].parts.push(text);
+        }
+    }
+
+    frame(node, ancestors) {
+        if (node.type === 'list') this.listMarkers(node, ancestors);
+        // references: how many link references were collected before the node
+        return { node, index: 0, parts: [], references: this.converter.state.references.length };
+    }
+
+    // The Markdown for the node of a frame given its children's; `ancestors`
+    // are the frames of the enclosing nodes
+    node(frame, ancestors) {
+        const converter = this.converter;
+        const options = this.options;
+        const { node, parts } = frame;
+        switch (node.type) {
+        case 'root': {
+            // surrounded by newlines, as convert() leaves it for strip_document
+            const text = this.blocks(parts, true);
+            return text ? `\n\n${text}\n\n` : '';
+        }
+        case 'footnoteDefinition':
+            converter.state.footnotes.push({ label: node.label || node.identifier, text: this.blocks(parts, true) });
+            return '';
+        case 'paragraph': {
+            let text = parts.join('').trim();
+            if (options.wrap) text = text.split('\n').map(line => line.trimStart()).join('\n');
+            return text;
+        }
+        case 'heading': {
+            const heading = converter._convert_heading(node.depth, null, parts.join('')).replace(/^\n+|\n+$/g, '');
+            if (options.link_reference_position !== 'section') return heading;
+            // the definitions of the section before the heading
+            const state = converter.state;
+            const definitions = state.references.slice(0, frame.references)
+                .map(({ label, href, title }) => linkDefinition(label, href, title));
+            state.references = state.references.slice(frame.references);
+            return definitions.length ? `${definitions.join('\n')}\n\n${heading}` : heading;
+        }
+        case 'thematicBreak':
+            return '---';
+        case 'blockquote':
+            return this.blocks(parts, true).replace(lineWithContentRe, (match, p1) => p1 ? '> ' + p1 : '>');
+        case 'list': {
+            const text = this.blocks(parts, node.spread || node.children.some(item => item.spread));
+            const markers = this.lists.get(node);
+            return markers && markers.separator && text ? `${markers.separator}\n\n${text}` : text;
+        }
+        case 'listItem':
+            return this.listItem(node, parts, ancestors);
+        case 'code': {
+            const value = node.value || '';
+            if (!value) return '';
+            const fenceChar = options.code_fence.charAt(0) === '~' ? '~' : '`';
+            const fence = fenceChar.repeat(Math.max(3, options.code_fence.length, longestRun(value, fenceChar) + 1));
+            const info = (node.lang || '') + (node.lang && node.meta ? ' ' + node.meta : '');
+            return `${fence}${info}\n${value}\n${fence}`;
+        }
+        case 'html':
+            return node.value;
+        case 'math':
+            return node.value ? `$$\n${node.value}\n$$` : '';
+        case 'inlineMath':
+            return node.value ? `$${node.value}$` : '';
+        case 'text':
+            return converter.escape(node.value);
+        case 'emphasis':
+            return this.inline(parts, options.strong_em_symbol);
+        case 'strong':
+            return this.inline(parts, options.strong_em_symbol.repeat(2));
+        case 'delete':
+            return converter.flavorRule('del') === plainText ? parts.join('') : this.inline(parts, '~~');
+        case 'inlineCode':
+            return node.value ? codeSpan(node.value) : '';
+        case 'break':
+            // line breaks cannot be written in headings and table cells
+            for (let i = ancestors.length - 1; i >= 0; i--) {
+                const type = ancestors[i].node.type;
+                if (type === 'heading' || type === 'tableCell') return '';
+                if (!mdastPhrasingTypes.includes(type)) break;
+            }
+            return options.newline_style.toLowerCase() === BACKSLASH ? '\\\n' : '  \n';
+        case 'link':
+            return this.link(node, parts.join(''));
+        case 'image': {
+            const size = (node.data && node.data.hProperties) || {};
+            return converter.formatImage(null, {
+                src: node.url,
+                alt: node.alt || '',
+                title: node.title || '',
+                width: imageDimension(String(size.width || '')),
+                height: imageDimension(String(size.height || '')),
+            });
+        }
+        case 'linkReference':
+        case 'imageReference': {
+            const text = node.type === 'imageReference' ? node.alt || '' : parts.join('');
+            const label = node.label || node.identifier;
+            const bang = node.type === 'imageReference' ? '!' : '';
+            if (node.referenceType === 'shortcut') return `${bang}[${text}]`;
+            return `${bang}[${text}][${node.referenceType === 'collapsed' ? '' : label}]`;
+        }
+        case 'definition':
+            return linkDefinition(node.label || node.identifier, node.url, node.title);
+        case 'footnoteReference':
+            return `[^${node.label || node.identifier}]`;
+        case 'table':
+            if (converter.flavorRule('table') === htmlTable) {
+                throw new Error(`serializeAst cannot write table nodes in the ${options.flavor} flavor, which has no tables.`);
+            }
+            return this.table(node, parts);
+        case 'tableRow':
+            return parts;
+        case 'tableCell':
+            return parts.join('').trim().replace(/\n+/g, ' ');
+        case 'yaml':
+            return node.value ? `---\n${node.value}\n---` : '---\n---';
+        case 'toml':
+            return node.value ? `+++\n${node.value}\n+++` : '+++\n+++';
+        case 'json':
+            return node.value;
+        default:
+            throw new Error(`Unknown mdast node type "${node.type}".`);
+        }
+    }
+
+    // Block content, separated by blank lines or, in tight lists, newlines
+    blocks(parts, spread) {
+        return parts.filter(Boolean).join(spread ? '\n\n' : '\n');
+    }
+
+    inline(parts, symbol) {
+        const [prefix, suffix, text] = chomp(parts.join(''));
+        return text ? prefix + symbol + text + symbol + suffix : '';
+    }
+
+    link(node, text) {
+        const options = this.options;
+        const [prefix, suffix, chompedText] = chomp(text);
+        if (!chompedText) return '';
+        let title = node.title || '';
+        if (
+            options.autolinks &&
+            chompedText.replace(/\\_/g, '_').replace(escapeMarkRe, '') === node.url &&
+            !title &&
+            !options.default_title
+        ) {
+            return `<${node.url}>`;
+        }
+        if (options.default_title && !title) title = node.url;
+        return prefix + this.converter.formatLink(null, chompedText, node.url, title) + suffix;
+    }
+
+    // Decide the bullet or number style of a list about to be written
+    // inside `ancestors`: nested bullet lists cycle through the bullets, and
+    // a list right after one of the same type switches markers as openBlock
+    // does
+    listMarkers(list, ancestors) {
+        const container = ancestors[ancestors.length - 1];
+        const previous = container ? container.node.children[container.index - 2] : null;
+        const alternate = Boolean(previous) && previous.type === 'list' &&
+            Boolean(previous.ordered) === Boolean(list.ordered) && !this.alternateLists.has(previous);
+        if (alternate) this.alternateLists.add(list);
+        const markers = {};
+        if (list.ordered) {
+            markers.start = list.start == null ? 1 : list.start;
+            markers.delimiter = alternate ? ')' : '.';
+        } else {
+            let outer = null;
+            for (let i = ancestors.length - 1; i >= 0 && !outer; i--) {
+                const node = ancestors[i].node;
+                if (node.type === 'list' && !node.ordered) outer = node;
+            }
+            markers.depth = outer ? this.lists.get(outer).depth + 1 : 0;
+            const bullets = this.options.bullets;
+            markers.bullet = bullets[markers.depth % bullets.length];
+            if (alternate) {
+                const other = Array.from(bullets).find(bullet => bullet !== markers.bullet);
+                if (other) markers.bullet = other; else markers.separator = '<!-- -->';
+            }
+        }
+        this.lists.set(list, markers);
+    }
+
+    listItem(node, parts, ancestors) {
+        let text = this.blocks(parts, node.spread).trim();
+        if (typeof node.checked === 'boolean') text = (node.checked ? '[x] ' : '[ ] ') + text;
+        if (!text) return '';
+        const listFrame = ancestors[ancestors.length - 1];
+        let bullet;
+        if (listFrame && listFrame.node.type === 'list') {
+            const markers = this.lists.get(listFrame.node);
+            bullet = listFrame.node.ordered ?
+                Math.min(markers.start + listFrame.parts.length, maxListNumber) + markers.delimiter :
+                markers.bullet;
+        } else {
+            bullet = this.options.bullets.charAt(0);
+        }
+        bullet += ' ';
+        const indent = ' '.repeat(bullet.length);
+        text = text.replace(lineWithContentRe, (match, p1) => p1 ? indent + p1 : '');
+        return bullet + text.slice(bullet.length);
+    }
+
+    table(node, rows) {
+        if (!rows.length) return '';
+        const width = Math.max(...rows.map(row => row.length));
+        const align = node.align || [];
+        return this.converter.renderTable({
+            rows: rows.map(row => Array.from({ length: width }, (_, i) => ({ text: row[i] || '' }))),
+            width,
+            headerRows: 1,
+            alignments: Array.from({ length: width }, (_, i) => align[i] || null),
+        });
+    }
+}
+
+//
+// Markdown flavors
+//
+// Each flavor sets option defaults for a target dialect (explicit options
+// still win) and may register rules, which run like user rules added with
+// addRule, to switch or degrade per-tag output the dialect cannot express.
+// A flavor may also replace escape() for dialects with other escaping.
+//
+
+// plainText: drop the markup of a construct the dialect lacks
+function plainText(el, text, convertAsInline, context) {
+    context.converter.note(LOSSY, "unsupported", el, `<${context.tag}> has no syntax in this flavor`);
+    return text;
+}
+
+// htmlTable: tables as sanitized HTML blocks, for dialects without tables
+function htmlTable(el, text, convertAsInline) {
+    return convertAsInline ? text : "\n\n" + serializeHtml(el) + "\n\n";
+}
+
+// codeBlockTable: tables as pipe-table text inside a code block, for chat
+// dialects that have neither tables nor HTML
+function codeBlockTable(el, text, convertAsInline, context) {
+    context.converter.note(LOSSY, "table-code", el, "the table is written as text in a code block");
+    const table = context.next().trim();
+    if (!table || convertAsInline) return table;
+    const fence = "`".repeat(Math.max(3, longestRun(table, "`") + 1));
+    return `\n\n${fence}\n${table}\n${fence}\n\n`;
+}
+
+// strikethrough: <strike> written as <del>
+function strikethrough(el, text, convertAsInline, context) {
+    return context.converter.convert_del(el, text, convertAsInline);
+}
+
+function dropElement(el, text, convertAsInline, context) {
+    context.converter.note(DROPPED, "unsupported", el, `<${context.tag}> has no syntax in this flavor`);
+    return "";
+}
+
+const FLAVORS = {
+    commonmark: {
+        options: {
+            heading_style: ATX,
+            extensions: [],
+        },
+        rules: {
+            del: plainText,
+            s: plainText,
+            strike: plainText,
+            table: htmlTable,
+        },
+    },
+    gfm: {
+        options: {
+            heading_style: ATX,
+            bullets: '-',
+            extensions: [TASK_LISTS, FOOTNOTES],
+            keep_html: ['details'],
+            table_fallback: HTML,
+        },
+        rules: {
+            strike: strikethrough,
+        },
+    },
+    multimarkdown: {
+        options: {
+            heading_style: ATX,
+            extensions: [FOOTNOTES],
+            sub_symbol: '~',
+            sup_symbol: '^',
+            definition_list_style: EXTRA,
+        },
+        rules: {
+            del: plainText,
+            s: plainText,
+            strike: plainText,
+        },
+    },
+    slack: {
+        options: {
+            autolinks: true,
+            bullets: '•◦▪',
+            escape_asterisks: false,
+            escape_underscores: false,
+            escape_misc: false,
+            extensions: [],
+            link_style: INLINE,
+        },
+        // no HTML, so keep_html is ignored
+        html: false,
+        // mrkdwn has no backslash escapes; only &, < and > need encoding
+        escape(text) {
+            return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        },
+        rules: {
+            b: slackInline('*'),
+            strong: slackInline('*'),
+            em: slackInline('_'),
+            i: slackInline('_'),
+            del: slackInline('~'),
+            s: slackInline('~'),
+            strike: slackInline('~'),
+            sub: plainText,
+            sup: plainText,
+            br: (el, text, convertAsInline) => (convertAsInline ? "" : "\n"),
+            hr: () => "\n\n",
+            h1: slackHeading, h2: slackHeading, h3: slackHeading,
+            h4: slackHeading, h5: slackHeading, h6: slackHeading,
+            a: function (el, text, convertAsInline, context) {
+                const [prefix, suffix, chompedText] = chomp(text);
+                const rawHref = el.getAttribute("href");
+                if (!chompedText || findAncestor(el, ["pre", "code"])) return text;
+                const href = rawHref && !rawHref.startsWith("#") ? this.resolveUrl(rawHref, el, "link") : null;
+                if (!href) return text;
+                const label = chompedText.replace(/\|/g, "∣");
+                return prefix + (label === href ? `<${href}>` : `<${href}|${label}>`) + suffix;
+            },
+            img: function (el, text, convertAsInline) {
+                const rawSrc = el.getAttribute("src");
+                const src = rawSrc ? this.resolveUrl(rawSrc, el, "image") : null;
+                const alt = el.getAttribute("alt") || "";
+                if (!src) return alt;
+                return alt ? `<${src}|${alt.replace(/\|/g, "∣")}>` : `<${src}>`;
+            },
+            pre: (el, text) => (text ? `\n\n\`\`\`\n${text}\n\`\`\`\n\n` : ""),
+            table: codeBlockTable,
+        },
+    },
+    discord: {
+        options: {
+            heading_style: ATX,
+            bullets: '-',
+            extensions: [],
+            link_style: INLINE,
+        },
+        html: false,
+        rules: {
+            u: (el, text, convertAsInline, context) => abstractInlineConversion(() => "__", context.converter, el, text, convertAsInline),
+            strike: strikethrough,
+            sub: plainText,
+            sup: plainText,
+            hr: dropElement,
+            // Discord only has three heading levels
+            h4: discordMinorHeading, h5: discordMinorHeading, h6: discordMinorHeading,
+            // Images cannot be inlined; a bare URL is embedded by the client
+            img: function (el) {
+                const rawSrc = el.getAttribute("src");
+                const src = rawSrc ? this.resolveUrl(rawSrc, el, "image") : null;
+                return src || el.getAttribute("alt") || "";
+            },
+            table: codeBlockTable,
+        },
+    },
+};
+
+// The flavor rules convertToAst and serializeAst follow (see MdastBuilder);
+// the chat flavors' rules write markup mdast has no nodes for
+const treeFlavorRules = [plainText, htmlTable, strikethrough];
+
+function slackInline(symbol) {
+    return (el, text, convertAsInline, context) => (
+        abstractInlineConversion(() => symbol, context.converter, el, text, convertAsInline)
+    );
+}
+
+function slackHeading(el, text, convertAsInline) {
+    text = text.trim().replace(allWhitespaceRe, " ");
+    if (convertAsInline || !text) return text;
+    return `\n\n*${text}*\n\n`;
+}
+
+function discordMinorHeading(el, text, convertAsInline) {
+    text = text.trim().replace(allWhitespaceRe, " ");
+    if (convertAsInline || !text) return text;
+    return `\n\n**${text}**\n\n`;
+}
+
+//
+// Editor presets
+//
+// HTML pasted or exported from rich-text editors keeps its formatting in
+// inline styles, classes and comments instead of the elements Markdown maps
+// to. Each preset rewrites one editor's markup into plain HTML before the
+// conversion, and recognizes documents from that editor for the 'auto'
+// preset.
+//
+
+// The elements below `root` with one of the tag names, in document order
+function elementsByTag(root, tags) {
+    const found = [];
+    findElement(root, el => {
+        if (tags.includes(el.tagName.toLowerCase())) found.push(el);
+        return false;
+    });
+    return found;
+}
+
+function unwrapElement(el) {
+    const parent = el.parentNode;
+    while (el.firstChild) parent.insertBefore(el.firstChild, el);
+    parent.removeChild(el);
+}
+
+// Move the children of `el` into a new `tag` element, or replace `el` by
+// it with `replace`
+function wrapChildren(el, tag, replace = false) {
+    const wrapper = el.ownerDocument.createElement(tag);
+    while (el.firstChild) wrapper.appendChild(el.firstChild);
+    if (replace) {
+        el.parentNode.replaceChild(wrapper, el);
+    } else {
+        el.appendChild(wrapper);
+    }
+    return wrapper;
+}
+
+// styleDeclarations: a style attribute as a Map of lowercase property
+// names to lowercase values
+function styleDeclarations(el) {
+    const declarations = new Map();
+    for (const declaration of (el.getAttribute('style') || '').split(';')) {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) continue;
+        declarations.set(
+            declaration.slice(0, colon).trim().toLowerCase(),
+            declaration.slice(colon + 1).trim().toLowerCase()
+        );
+    }
+    return declarations;
+}
+
+const monospaceFontRe = /^['"]?(?:courier|consolas|monaco|menlo|monospace|lucida console|source code pro|roboto mono|inconsolata|fira (?:code|mono)|jetbrains mono|ubuntu mono|dejavu sans mono)/;
+
+// The elements that already apply what each styled markup stands for
+const styleMarkupAncestors = {
+    strong: ['b', 'strong', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+    em: ['i', 'em'],
+    del: ['del', 's', 'strike'],
+    code: ['code', 'pre', 'kbd', 'samp'],
+};
+
+// styleMarkup: the inline elements a style stands for, outermost first
+function styleMarkup(style) {
+    const markup = [];
+    const weight = style.get('font-weight') || '';
+    if (/^bold/.test(weight) || Number(weight) >= 600) markup.push('strong');
+    if (/^(?:italic|oblique)/.test(style.get('font-style') || '')) markup.push('em');
+    const decoration = `${style.get('text-decoration') || ''} ${style.get('text-decoration-line') || ''}`;
+    if (decoration.includes('line-through')) markup.push('del');
+    if (monospaceFontRe.test(style.get('font-family') || '')) markup.push('code');
+    return markup;
+}
+
+// normalizeStyles: wrap the content of each styled <span> in the elements
+// its style stands for, unless an ancestor already applies them, and
+// unwrap the <b>s and <strong>s styled with a normal font weight
+function normalizeStyles(root) {
+    for (const el of elementsByTag(root, ['span', 'b', 'strong'])) {
+        const style = styleDeclarations(el);
+        if (el.tagName.toLowerCase() !== 'span') {
+            const weight = style.get('font-weight') || '';
+            if (weight && (weight === 'normal' || weight === 'lighter' || Number(weight) < 600)) unwrapElement(el);
+            continue;
+        }
+        let target = el;
+        for (const tag of styleMarkup(style)) {
+            if (!findAncestor(el, styleMarkupAncestors[tag])) target = wrapChildren(target, tag);
+        }
+    }
+}
+
+const googleDocsWrapperRe = /^docs-internal-guid/;
+
+// Google Docs wraps the copied content in a normal-weight <b>, puts <br>s
+// between its blocks, the text of list items in <p>s (which would make
+// every list loose) and nested lists beside the item they belong to
+function cleanGoogleDocs(root) {
+    for (const el of elementsByTag(root, ['b'])) {
+        if (!googleDocsWrapperRe.test(el.getAttribute('id') || '')) continue;
+        for (const child of Array.from(el.childNodes)) {
+            if (child.nodeType === ELEMENT_NODE && child.tagName.toLowerCase() === 'br') el.removeChild(child);
+        }
+        unwrapElement(el);
+    }
+    for (const list of elementsByTag(root, ['ul', 'ol'])) {
+        const parent = list.parentNode;
+        const item = list.previousElementSibling;
+        if (parent.nodeType === ELEMENT_NODE && ['ul', 'ol'].includes(parent.tagName.toLowerCase()) &&
+            item && item.tagName.toLowerCase() === 'li') {
+            item.appendChild(list);
+        }
+    }
+    for (const p of elementsByTag(root, ['p'])) {
+        const parent = p.parentNode;
+        if (parent.nodeType === ELEMENT_NODE && parent.tagName.toLowerCase() === 'li' &&
+            p.getAttribute('role') === 'presentation') {
+            unwrapElement(p);
+        }
+    }
+    normalizeStyles(root);
+}
+
+const wordListRe = /mso-list:\s*(l\d+)\s+level(\d+)/i;
+const wordListIgnoreRe = /mso-list:\s*ignore/i;
+const orderedMarkerRe = /^\(?(?:(\d+)|[a-z]{1,2}|[ivxlc]+)[.)]$/i;
+
+// removeWordListMarker: remove the bullet or number Word writes at the
+// start of a list paragraph, between <![if !supportLists]> and
+// <![endif]> (comments to a parser) or in a mso-list:Ignore span, and
+// return its text
+function removeWordListMarker(p) {
+    let marker = '';
+    let inMarker = false;
+    for (const child of Array.from(p.childNodes)) {
+        const comment = child.nodeType === COMMENT_NODE ? child.data.trim() : '';
+        if (/^\[if !supportLists\]/i.test(comment)) {
+            inMarker = true;
+        } else if (inMarker && /^\[endif\]/i.test(comment)) {
+            inMarker = false;
+        } else if (!inMarker) {
+            continue;
+        } else {
+            marker += child.textContent || '';
+        }
+        p.removeChild(child);
+    }
+    const ignored = findElement(p, el => wordListIgnoreRe.test(el.getAttribute('style') || ''));
+    if (ignored) {
+        if (!marker) marker = ignored.textContent;
+        ignored.parentNode.removeChild(ignored);
+    }
+    return marker.replace(/[\s\u00a0]+/g, '');
+}
+
+// Word writes lists as paragraphs with a mso-list style naming the list and
+// the item's level, drops empty <o:p> placeholders into paragraphs and
+// styles the document title as a paragraph
+function cleanWord(root) {
+    let lists = []; // the open lists, by level
+    let listId = null;
+    for (const p of elementsByTag(root, ['p'])) {
+        const match = wordListRe.exec(p.getAttribute('style') || '');
+        if (!match) continue;
+        const [, id, levelText] = match;
+        const level = Math.max(1, Number(levelText));
+        if (id !== listId || !lists.length || p.previousElementSibling !== lists[0]) lists = [];
+        listId = id;
+        const marker = removeWordListMarker(p);
+        const ordered = orderedMarkerRe.exec(marker);
+        lists.length = Math.min(lists.length, level);
+        while (lists.length < level) {
+            const list = p.ownerDocument.createElement(ordered ? 'ol' : 'ul');
+            if (lists.length) {
+                const parent = lists[lists.length - 1];
+                let item = parent.lastChild;
+                if (!item) item = parent.appendChild(p.ownerDocument.createElement('li'));
+                item.appendChild(list);
+            } else {
+                p.parentNode.insertBefore(list, p);
+                if (ordered && ordered[1] && Number(ordered[1]) !== 1) list.setAttribute('start', ordered[1]);
+            }
+            lists.push(list);
+        }
+        lists[lists.length - 1].appendChild(wrapChildren(p, 'li', true));
+    }
+    for (const el of elementsByTag(root, ['o:p'])) unwrapElement(el);
+    for (const p of elementsByTag(root, ['p'])) {
+        if (/(?:^|\s)MsoTitle(?:\s|$)/.test(p.getAttribute('class') || '')) {
+            wrapChildren(p, 'h1', true);
+        } else if (!p.textContent.replace(/[\s\u00a0]+/g, '') && !findElement(p, el => el.tagName.toLowerCase() === 'img')) {
+            p.parentNode.removeChild(p);
+        }
+    }
+    normalizeStyles(root);
+}
+
+const confluencePanelLabels = { info: 'Info', information: 'Info', note: 'Note', warning: 'Warning', tip: 'Tip' };
+const confluencePanelRe = /(?:^|\s)confluence-information-macro-(information|note|warning|tip)(?:\s|$)/;
+
+// A blockquote standing for a Confluence panel: its title (or the panel
+// type) in bold, then the body's content
+function confluencePanel(macro, title, body) {
+    const doc = macro.ownerDocument;
+    const blockquote = doc.createElement('blockquote');
+    const heading = blockquote.appendChild(doc.createElement('p'));
+    heading.appendChild(doc.createElement('strong')).appendChild(doc.createTextNode(title));
+    if (body) {
+        while (body.firstChild) blockquote.appendChild(body.firstChild);
+    }
+    macro.parentNode.replaceChild(blockquote, macro);
+}
+
+// The text of a storage-format <ac:plain-text-body>, whose CDATA section
+// is text to our parser and a comment to browsers
+function confluencePlainText(body) {
+    return Array.from(body.childNodes).map(child => (
+        child.nodeType === COMMENT_NODE ? child.data.replace(/^\[CDATA\[|\]\]$/g, '') : child.textContent || ''
+    )).join('');
+}
+
+// Confluence pages, rendered or in storage format (<ac:structured-macro>),
+// hold code and panel macros: code blocks get their language from the
+// brush parameter, and info, note, warning and tip panels become
+// blockquotes
+function cleanConfluence(root) {
+    for (const pre of elementsByTag(root, ['pre'])) {
+        const brush = /brush:\s*([\w+#-]+)/.exec(pre.getAttribute('data-syntaxhighlighter-params') || '');
+        if (brush && !codeLanguageClassRe.test(pre.getAttribute('class') || '')) {
+            pre.setAttribute('class', `language-${brush[1]}`);
+        }
+    }
+    for (const macro of elementsByTag(root, ['div'])) {
+        const type = confluencePanelRe.exec(macro.getAttribute('class') || '');
+        if (!type) continue;
+        const title = findElement(macro, el => hasClass(el, 'confluence-information-macro-title') || hasClass(el, 'title'));
+        const body = findElement(macro, el => hasClass(el, 'confluence-information-macro-body'));
+        confluencePanel(macro, title ? normalizedText(title) : confluencePanelLabels[type[1]], body);
+    }
+    for (const macro of elementsByTag(root, ['ac:structured-macro'])) {
+        const name = macro.getAttribute('ac:name');
+        const parameter = key => {
+            const el = childElements(macro, ['ac:parameter']).find(child => child.getAttribute('ac:name') === key);
+            return el ? normalizedText(el) : '';
+        };
+        if (name === 'code') {
+            const body = childElements(macro, ['ac:plain-text-body'])[0];
+            const doc = macro.ownerDocument;
+            const pre = doc.createElement('pre');
+            if (parameter('language')) pre.setAttribute('class', `language-${parameter('language')}`);
+            pre.appendChild(doc.createElement('code')).appendChild(doc.createTextNode(body ? confluencePlainText(body) : ''));
+            macro.parentNode.replaceChild(pre, macro);
+        } else if (confluencePanelLabels[name]) {
+            confluencePanel(macro, parameter('title') || confluencePanelLabels[name],
+                childElements(macro, ['ac:rich-text-body'])[0]);
+        }
+    }
+}
+
+const PRESETS = {
+    google_docs: {
+        detect: root => Boolean(findElement(root, el => googleDocsWrapperRe.test(el.getAttribute('id') || ''))),
+        clean: cleanGoogleDocs,
+    },
+    word: {
+        detect: root => Boolean(findElement(root, el => (
+            /(?:^|\s)Mso/.test(el.getAttribute('class') || '') || /mso-/i.test(el.getAttribute('style') || '')
+        ))),
+        clean: cleanWord,
+    },
+    confluence: {
+        detect: root => Boolean(findElement(root, el => (
+            hasClass(el, 'conf-macro') || hasClass(el, 'confluence-information-macro') ||
+            el.tagName.toLowerCase() === 'ac:structured-macro' || el.hasAttribute('data-syntaxhighlighter-params')
+        ))),
+        clean: cleanConfluence,
+    },
+};
+
+const presetNames = [AUTO, ...Object.keys(PRESETS)];
+
+//
+// MarkdownConverter class
+//
+class MarkdownConverter {
+    constructor(options = {}) {
+        // Set default options and merge with the flavor's defaults and any
+        // provided overrides.
+        const flavorName = options.flavor ? String(options.flavor).toLowerCase() : null;
+        this.flavor = flavorName ? FLAVORS[flavorName] : null;
+        if (flavorName && !this.flavor) {
+            throw new Error(
+                `Unknown flavor "${options.flavor}", expected one of: ${Object.keys(FLAVORS).join(', ')}.`
+            );
+        }
+        this.options = Object.assign(
+            {
+                autolinks: true,
+                base_url: null,
+                bullets: '*+-',
+                code_fence: '```',
+                code_language: '',
+                code_language_callback: null,
+                convert: null,
+                default_title: false,
+                definition_list_style: EXTRA,
+                escape_asterisks: true,
+                escape_underscores: true,
+                escape_misc: false,
+                escape_mode: ALWAYS,
+                exclude_selector: null,
+                extensions: [],
+                flavor: null,
+                front_matter: null,
+                front_matter_extractor: null,
+                heading_anchors: null,
+                heading_offset: 0,
+                heading_style: UNDERLINED,
+                image_data_uris: KEEP,
+                image_dir: 'images',
+                image_handler: null,
+                image_size: null,
+                image_source: SRC,
+                image_writer: null,
+                include_selector: null,
+                keep_html: null,
+                keep_inline_images_in: [],
+                link_reference_label: 'number',
+                link_reference_position: 'document',
+                link_style: INLINE,
+                main_content: false,
+                newline_style: SPACES,
+                normalize_headings: false,
+                normalize_whitespace: true,
+                parser: null,
+                presets: [],
+                rules: null,
+                strip: null,
+                strip_document: STRIP,
+                strong_em_symbol: ASTERISK,
+                sub_symbol: '',
+                sup_symbol: '',
+                table_fallback: null,
+                table_infer_header: false,
+                table_pad_columns: false,
+                toc: false,
+                toc_max_level: 6,
+                transforms: null,
+                url_transform: null,
+                wrap: false,
+                wrap_width: 80,
+            },
+            this.flavor ? this.flavor.options : {},
+            options
+        );
+        if (this.options.strip !== null && this.options.convert !== null) {
+            throw new Error(
+                'You may specify either tags to strip or tags to convert, but not both.'
+            );
+        }
+        if (this.options.front_matter && !frontMatterFormats.includes(this.options.front_matter)) {
+            throw new Error(
+                `Unknown front_matter format "${this.options.front_matter}", ` +
+                `expected one of: ${frontMatterFormats.join(', ')}.`
+            );
+        }
+        if (this.options.heading_anchors && !headingAnchorModes.includes(this.options.heading_anchors)) {
+            throw new Error(
+                `Unknown heading_anchors mode "${this.options.heading_anchors}", ` +
+                `expected one of: ${headingAnchorModes.join(', ')}.`
+            );
+        }
+        for (const name of this.options.presets || []) {
+            if (!presetNames.includes(name)) {
+                throw new Error(`Unknown preset "${name}", expected one of: ${presetNames.join(', ')}.`);
+            }
+        }
+        for (const [name, modes] of [
+            ["image_data_uris", imageDataModes],
+            ["image_size", imageSizeModes],
+            ["image_source", imageSourceModes],
+        ]) {
+            if (this.options[name] && !modes.includes(this.options[name])) {
+                throw new Error(
+                    `Unknown ${name} mode "${this.options[name]}", expected one of: ${modes.join(', ')}.`
+                );
+            }
+        }
+        // Compiled up front so that invalid selectors fail here
+        this.includeSelector = this.options.include_selector ?
+            compileSelector(this.options.include_selector) : null;
+        this.excludeSelector = this.options.exclude_selector ?
+            compileSelector(this.options.exclude_selector) : null;
+        // Converted table cell content, collected for convert_table
+        this.tableCells = new WeakMap();
+        // Report entries while convertWithReport runs
+        this.reportEntries = null;
+        this.state = this.createState(null);
+        this.rules = [];
+        if (this.flavor && this.flavor.rules) {
+            for (const tag of Object.keys(this.flavor.rules)) {
+                this.addRule(tag, this.flavor.rules[tag]);
+            }
+        }
+        if (this.options.rules) {
+            for (const tag of Object.keys(this.options.rules)) {
+                this.addRule(tag, this.options.rules[tag]);
+            }
+        }
+        this.transforms = [];
+        if (this.options.transforms) {
+            for (const transform of this.options.transforms) {
+                this.addTransform(transform);
+            }
+        }
+    }
+
+    // Register a conversion rule for elements matching `tagOrPredicate`: a
+    // tag name, an array of tag names, or a function (el) => boolean.
+    //
+    // The rule is called as fn(el, text, convertAsInline, context), where
+    // `text` is the already converted content of the element, and returns
+    // the Markdown for the element. Rules added later take precedence over
+    // earlier ones and over the convert_* methods; context.next(text) runs
+    // whatever the rule replaced, so rules can wrap or chain each other.
+    // context.block is the block context the element is rendered in (see
+    // openBlock).
+    addRule(tagOrPredicate, fn) {
+        let match;
+        if (typeof tagOrPredicate === "function") {
+            match = tagOrPredicate;
+        } else {
+            const tags = [].concat(tagOrPredicate).map(tag => tag.toLowerCase());
+            match = el => tags.includes(el.tagName.toLowerCase());
+        }
+        this.rules.push({ match, fn });
+        return this;
+    }
+
+    // Register an output transform, called as fn(markdown, converter) after
+    // the built-in post-processing and before strip_document is applied.
+    // Transforms run in the order they were added.
+    addTransform(fn) {
+        this.transforms.push(fn);
+        return this;
+    }
+
+    // Main entry point: pass in a DOM node (or document fragment), or an
+    // HTML string which is parsed with options.parser (the built-in parser
+    // by default). With main_content, only the element found by
+    // findMainContent is converted; front matter is always taken from the
+    // whole document.
+    convert(dom) {
+        const parsed = typeof dom === "string";
+        if (parsed) {
+            dom = this.parse(dom);
+        }
+        dom = this.applyPresets(dom, parsed);
+        this.state = this.createState(dom);
+        const root = (this.options.main_content && findMainContent(dom)) || dom;
+        if (root !== dom) {
+            this.note(DROPPED, "main-content", root, "only the main content was converted");
+        }
+        this.state.contentRoot = root;
+        let text = this.processTag(root, false);
+        if (this.options.toc) {
+            text = this.tableOfContents() + text;
+        }
+        return this.addFrontMatter(dom, this.postProcess(this.addDefinitions(text)));
+    }
+
+    // Build an mdast tree (see MdastBuilder) for a DOM node or HTML string,
+    // converting what convert() would. Definition lists have no mdast node
+    // and become paragraphs with a strong term, as definition_list_style
+    // 'bold' writes them, unless the style is 'html'.
+    convertToAst(dom) {
+        this.checkAstOptions("convertToAst");
+        const parsed = typeof dom === "string";
+        if (parsed) {
+            dom = this.parse(dom);
+        }
+        dom = this.applyPresets(dom, parsed);
+        this.state = this.createState(dom);
+        const root = (this.options.main_content && findMainContent(dom)) || dom;
+        this.state.contentRoot = root;
+        return new MdastBuilder(this).build(root, dom);
+    }
+
+    // Rules convert elements, not tree nodes, and the table of contents and
+    // `{#id}` heading attributes have no node, so the tree methods throw
+    // rather than write other Markdown than convert(). Of the flavors, those
+    // with rules beyond treeFlavorRules or their own escaping are rejected.
+    checkAstOptions(method) {
+        const unsupported = [];
+        const flavor = this.flavor;
+        if (flavor && (flavor.escape || Object.values(flavor.rules).some(rule => !treeFlavorRules.includes(rule)))) {
+            unsupported.push(`flavor "${this.options.flavor}"`);
+        }
+        if (this.rules.length > Object.keys((this.flavor && this.flavor.rules) || {}).length) unsupported.push("rules");
+        if (this.options.toc) unsupported.push("toc");
+        if (this.options.heading_anchors === ATTRIBUTE) unsupported.push(`heading_anchors "${ATTRIBUTE}"`);
+        if (unsupported.length) {
+            throw new Error(`${method} does not support ${unsupported.join(", ")}; use convert() instead.`);
+        }
+    }
+
+    // The rule the flavor registers for a tag, if any
+    flavorRule(tag) {
+        const rules = this.flavor ? this.flavor.rules : {};
+        return Object.keys(rules).includes(tag) ? rules[tag] : null;
+    }
+
+    // Write an mdast tree as Markdown, with the same options and
+    // post-processing as convert()
+    serializeAst(tree) {
+        this.checkAstOptions("serializeAst");
+        this.state = this.createState(null);
+        const text = new MdastSerializer(this).serialize(tree);
+        return this.postProcess(this.addDefinitions(text));
+    }
+
+    // Rewrite editor markup with the presets option's presets (see PRESETS),
+    // those named or, with 'auto', those whose editor made the document.
+    // A DOM the caller passed in (not `parsed` here) is copied first.
+    applyPresets(dom, parsed) {
+        const names = this.options.presets || [];
+        if (!names.length) return dom;
+        if (!parsed) dom = dom.cloneNode(true);
+        for (const name of Object.keys(PRESETS)) {
+            const preset = PRESETS[name];
+            if (names.includes(name) || (names.includes(AUTO) && preset.detect(dom))) preset.clean(dom);
+        }
+        return dom;
+    }
+
+    // Append the collected link reference and footnote definitions
+    addDefinitions(text) {
+        const definitions = [this.flushReferences(null), this.flushFootnotes()]
+            .filter(Boolean)
+            .join("\n\n");
+        return definitions ? text.replace(/\n*$/, "\n\n") + definitions + "\n" : text;
+    }
+
+    // Convert like convert(), also reporting what the Markdown does not carry
+    // over from the HTML. Returns { markdown, report } where report is
+    //
+    //   { lossy, counts: { dropped, lossy, escaped }, entries }
+    //
+    // `lossy` is true when anything was dropped or lossy, and each entry is
+    // { kind, code, path, message }: kind is 'dropped', 'lossy' or
+    // 'escaped', code names the case (such as "unwrapped" or "table-span")
+    // and path is a selector for the source element (see nodePath), or null
+    // where it is not known, for escapes in 'smart' escape_mode.
+    // Content outside include_selector is not reported.
+    convertWithReport(dom) {
+        const entries = [];
+        this.reportEntries = entries;
+        let markdown;
+        try {
+            markdown = this.convert(dom);
+        } finally {
+            this.reportEntries = null;
+        }
+        const counts = { [DROPPED]: 0, [LOSSY]: 0, [ESCAPED]: 0 };
+        for (const entry of entries) counts[entry.kind]++;
+        return {
+            markdown,
+            report: { lossy: counts[DROPPED] + counts[LOSSY] > 0, counts, entries },
+        };
+    }
+
+    // Add an entry to the report of convertWithReport; rules and subclasses
+    // can report their own losses. Does nothing in a plain convert().
+    note(kind, code, node, message) {
+        if (!this.reportEntries) return;
+        this.reportEntries.push({ kind, code, path: node ? nodePath(node) : null, message });
+    }
+
+    // Prepend the front_matter block for the document `root` belongs to.
+    // options.front_matter_extractor(document, metadata, converter) can
+    // return fields to add to (or, set to null, remove from) the extracted
+    // metadata, or modify the metadata object in place.
+    addFrontMatter(root, markdown) {
+        const format = this.options.front_matter;
+        if (!format) return markdown;
+        const block = formatFrontMatter(this.frontMatterData(root), format);
+        return markdown ? `${block}\n\n${markdown.replace(/^\n+/, "")}` : block;
+    }
+
+    // The front matter fields for the document `root` belongs to
+    frontMatterData(root) {
+        const doc = root.ownerDocument && root.ownerDocument !== root ? root.ownerDocument : root;
+        const metadata = extractMetadata(doc, this.state.baseUrl);
+        if (this.options.front_matter_extractor) {
+            Object.assign(metadata, this.options.front_matter_extractor(doc, metadata, this));
+            for (const key of Object.keys(metadata)) {
+                if (metadata[key] == null) delete metadata[key];
+            }
+        }
+        return metadata;
+    }
+
+    // Per-document state, reset by each convert() call
+    createState(root) {
+        return {
+            root,
+            baseUrl: this.documentBaseUrl(root),
+            references: [], // link reference definitions not yet written
+            referenceKeys: new Map(), // href/title (and label) => reference
+            referenceLabels: new Set(),
+            footnotes: [], // collected footnote definitions
+            footnoteIds: null, // footnote element id => label, built lazily
+            contentRoot: root, // what is converted: root or its main content
+            headings: null, // see headingIndex, built lazily
+            extractedImages: new Map(), // file name => URL (see dataImage)
+            block: null, // block context of the node being converted
+            code: null, // {node, inside}: whether that node is inside code
+            alternateLists: new WeakSet(), // lists using their alternate marker
+        };
+    }
+
+    // Post-processing pipeline applied to the whole converted document
+    postProcess(text, strip = this.options.strip_document) {
+        if (text.includes(ESCAPE_MARK)) {
+            const marked = text;
+            text = resolveEscapes(text);
+            if (this.reportEntries) {
+                for (const sequence of resolvedEscapes(marked, text)) {
+                    this.note(ESCAPED, "escape", null, `"${sequence[1]}" escaped as "${sequence}"`);
+                }
+            }
+        }
+        if (this.options.wrap && this.options.wrap_width != null) {
+            text = wrapMarkdown(text, this.options.wrap_width);
+        }
+        if (this.options.normalize_whitespace) {
+            text = normalizeWhitespace(text);
+        }
+        for (const transform of this.transforms) {
+            text = transform.call(this, text, this);
+        }
+        return stripDocument(text, strip);
+    }
+
+    // Parse an HTML string into a DOM-like tree
+    parse(html) {
+        const parser = this.options.parser || parseHTML;
+        return parser(html);
+    }
+
+    // Process a node and its descendants. The tree is walked with an
+    // explicit stack rather than recursion, so deeply nested markup cannot
+    // overflow the call stack.
+    //
+    // Elements matching exclude_selector are skipped with their content.
+    // With include_selector, only matching elements and their descendants
+    // are converted; outside of them the text is dropped and the markup
+    // only passes through the content of the included elements.
+    //
+    // Each frame carries the block context its node is converted in (see
+    // openBlock), made available to the converters as this.state.block.
+    processTag(node, convertAsInline) {
+        if (this.isExcluded(node)) {
+            this.note(DROPPED, "excluded", node, "matches exclude_selector");
+            return "";
+        }
+        const included = !this.includeSelector || this.isIncluded(node);
+        const inCode = Boolean(findAncestor(node, codeElements));
+        const stack = [this.createFrame(node, convertAsInline, included, null, inCode)];
+        for (;;) {
+            const frame = stack[stack.length - 1];
+            if (frame.index < frame.children.length) {
+                const child = frame.children[frame.index++];
+                if (child.nodeType === TEXT_NODE) {
+                    if (frame.included) frame.output.addText(this.processText(child, frame.childrenInCode));
+                } else {
+                    const childIncluded = frame.included || this.includeSelector(child);
+                    stack.push(this.createFrame(child, frame.childrenAsInline, childIncluded, frame.block,
+                        frame.childrenInCode));
+                }
+                continue;
+            }
+            stack.pop();
+            this.state.block = frame.block;
+            this.state.code = { node: frame.node, inside: frame.inCode };
+            const text = frame.included ?
+                this.convertNode(frame.node, frame.output.toString(), frame.convertAsInline) :
+                frame.output.toString();
+            if (!stack.length) return text;
+            stack[stack.length - 1].output.addBlock(text);
+        }
+    }
+
+    // Traversal state for one node being processed
+    createFrame(node, convertAsInline, included = true, block = null, inCode = false) {
+        const tag = node.tagName ? node.tagName.toLowerCase() : '';
+        return {
+            node,
+            included,
+            block: this.openBlock(node, block),
+            convertAsInline,
+            childrenAsInline: convertAsInline || htmlHeadingRe.test(tag) || tag === 'td' || tag === 'th',
+            inCode,
+            childrenInCode: inCode || codeElements.includes(tag),
+            children: this.childrenToProcess(node),
+            index: 0,
+            output: new OutputJoiner(),
+        };
+    }
+
+    // The child nodes that contribute to the output: comments, doctypes,
+    // insignificant whitespace around blocks and excluded elements are
+    // skipped.
+    childrenToProcess(node) {
+        const removeInside = shouldRemoveWhitespaceInside(node);
+        return Array.from(node.childNodes || []).filter(child => {
+            if (canIgnoreChild(child, removeInside)) return false;
+            if (!this.isExcluded(child)) return true;
+            this.note(DROPPED, "excluded", child, "matches exclude_selector");
+            return false;
+        });
+    }
+
+    // Block contexts track the containers a node is rendered in. Lists,
+    // list items and blockquotes each open one, linked to the enclosing
+    // context through `parent`; any other node is converted in the context
+    // of its innermost container. The contexts decide list markers and
+    // spacing without looking back at the DOM:
+    //
+    //   ul/ol       loose (items are separated by blank lines), depth (of
+    //               nested ul, for the bullet), bullet or start/delimiter
+    //   li          list (its list's context, if any), index, tight
+    //   blockquote  nothing beyond tag, node and parent
+    openBlock(node, parent) {
+        const tag = node.nodeType === ELEMENT_NODE ? node.tagName.toLowerCase() : "";
+        if (!blockContainerElements.includes(tag)) return parent;
+        const block = { tag, node, parent };
+        if (tag === "ul" || tag === "ol") {
+            // a list right after one of the same type would continue it, so
+            // it switches to another marker
+            const previous = prevBlockContentSibling(node);
+            const alternate = Boolean(previous) && previous.nodeType === ELEMENT_NODE &&
+                previous.tagName.toLowerCase() === tag && !this.state.alternateLists.has(previous);
+            if (alternate) this.state.alternateLists.add(node);
+            block.loose = isLooseList(node);
+            block.items = 0;
+            if (tag === "ol") {
+                const startAttr = node.getAttribute("start");
+                block.start = startAttr && /^\d+$/.test(startAttr) ? parseInt(startAttr, 10) : 1;
+                block.delimiter = alternate ? ")" : ".";
+            } else {
+                let outer = parent;
+                while (outer && outer.tag !== "ul") outer = outer.parent;
+                block.depth = outer ? outer.depth + 1 : 0;
+                const bullets = this.options.bullets;
+                block.bullet = bullets[block.depth % bullets.length];
+                if (alternate) {
+                    const other = Array.from(bullets).find(bullet => bullet !== block.bullet);
+                    // with a single bullet, an HTML comment ends the list instead
+                    if (other) block.bullet = other; else block.separator = "<!-- -->";
+                }
+            }
+        } else if (tag === "li") {
+            block.list = parent && (parent.tag === "ul" || parent.tag === "ol") ? parent : null;
+            block.index = block.list ? block.list.items++ : 0;
+            block.tight = !block.list || !block.list.loose;
+        }
+        return block;
+    }
+
+    // The block context an element opened; elements converted outside
+    // processTag get one without enclosing containers
+    blockContext(el) {
+        const block = this.state.block;
+        return block && block.node === el ? block : this.openBlock(el, null);
+    }
+
+    // Whether an ancestor of the element is code. The traversals pass this
+    // down to the element being converted, so that deep documents are not
+    // walked up from every element; others look it up.
+    insideCode(el) {
+        const code = this.state.code;
+        return code && code.node === el ? code.inside : Boolean(findAncestor(el, codeElements));
+    }
+
+    isExcluded(node) {
+        return Boolean(this.excludeSelector) && this.excludeSelector(node);
+    }
 
-        const tag = node.tagName ? node.tagName.toLowerCase() : '';
-        const convertChildrenAsInline =
-            convertAsInline ||
-            htmlHeadingRe.test(tag) ||
-            (tag === 'td' || tag === 'th');
+    // Whether the node or one of its ancestors matches include_selector
+    isIncluded(node) {
+        for (let el = node; el; el = el.parentNode) {
+            if (this.includeSelector(el)) return true;
+        }
+        return false;
+    }
 
-        const removeInside = shouldRemoveWhitespaceInside(node);
+    // Convert a single node given its converted content, running any
+    // matching rules on top of the built-in convert_* method.
+    convertNode(node, text, convertAsInline) {
+        const tag = node.tagName ? node.tagName.toLowerCase() : "";
+        const isElement = node.nodeType === ELEMENT_NODE;
+        if (!this.shouldConvertTag(tag)) {
+            if (isElement) this.note(LOSSY, "stripped", node, `<${tag}> is not converted (strip or convert option)`);
+            return text;
+        }
 
-        function canIgnore(child) {
-            if (child.nodeType === Node.ELEMENT_NODE) {
-                return false;
-            }
-            if (
-                child.nodeType === Node.COMMENT_NODE ||
-                child.nodeType === Node.DOCUMENT_TYPE_NODE
-            ) {
-                return true;
-            }
-            if (child.nodeType === Node.TEXT_NODE) {
-                if (child.nodeValue.trim() !== '') {
-                    return false;
-                } 
-                if (removeInside && (!child.previousSibling || !child.nextSibling)) {
-                    return true;
-                }
-                if (
-                    shouldRemoveWhitespaceOutside(child.previousSibling) ||
-                    shouldRemoveWhitespaceOutside(child.nextSibling)
-                ) {
-                    return true;
-                }
-                return false;
-            }
-            return false;
+        const funcName = "convert_" + (tag || node.nodeName).replace(/[\[\]:-]/g, "_");
+        let next = null;
+        if (typeof this[funcName] === "function") {
+            next = content => this[funcName](node, content, convertAsInline);
+        } else if (htmlHeadingRe.test(tag)) {
+            next = content => this._convert_hn(Number(tag.charAt(1)), node, content, convertAsInline);
+        }
+        // the converters of htmlOnlyElements (and <summary>) handle keep_html
+        // themselves
+        const kept = isElement && !htmlOnlyElements.includes(tag) && tag !== "summary" &&
+            this.shouldKeepHtml(node);
+        if (kept) {
+            next = content => this.keepHtml(node, content, convertAsInline);
         }
+        if (this.reportEntries && isElement) this.noteLostMarkup(node, Boolean(next), kept);
+        if (!next) next = content => content;
 
-        const children = Array.from(node.childNodes).filter(child => !canIgnore(child));
+        if (this.hasExtension(FOOTNOTES) && isFootnoteSection(node)) {
+            // the definitions are collected by convert_li and written at the end
+            next = () => "";
+        }
 
-        for (const child of children) {
-            if (child.nodeType === Node.TEXT_NODE) {
-                text += this.processText(child);
-            } else {
-                const textStrip = text.replace(/\n+$/, '');
-                const newlinesLeft = text.length - textStrip.length;
-                const nextText = this.processTag(child, convertChildrenAsInline);
-                const nextTextStrip = nextText.replace(/^\n+/, '');
-                const newlinesRight = nextText.length - nextTextStrip.length;
-                const newlines = '\n'.repeat(Math.max(newlinesLeft, newlinesRight));
-                text = textStrip + newlines + nextTextStrip;
+        if (node.nodeType === ELEMENT_NODE) {
+            for (const rule of this.rules) {
+                if (!rule.match(node)) continue;
+                const replaced = next;
+                const context = {
+                    converter: this,
+                    options: this.options,
+                    tag,
+                    block: this.state.block,
+                    next: content => replaced(content === undefined ? text : content),
+                };
+                next = content => rule.fn.call(this, node, content, convertAsInline, context);
             }
         }
+        return next(text);
+    }
 
-        const funcName = "convert_" + (tag || node.nodeName).replace(/[\[\]:-]/g, "_");
-        if (typeof this[funcName] === "function" && this.shouldConvertTag(tag)) {
-            text = this[funcName](node, text, convertAsInline);
-        } else if (/^h[1-6]$/.test(tag) && this.shouldConvertTag(tag)) {
-            text = this._convert_hn(Number(tag.charAt(1)), node, text, convertAsInline);
+    // Process text nodes
+    processText(node, inCode = Boolean(findAncestor(node, codeElements))) {
+        let text = this.normalizeText(node);
+        if (!inCode) {
+            const raw = text;
+            text = this.escape(text);
+            if (this.reportEntries && text !== raw && !(this.flavor && this.flavor.escape) &&
+                this.options.escape_mode !== SMART) {
+                for (const sequence of escapedSequences(raw, text, this.options.escape_misc)) {
+                    this.note(ESCAPED, "escape", node, `"${sequence[1]}" escaped as "${sequence}"`);
+                }
+            }
         }
-
         return text;
     }
 
-    // Process text nodes
-    processText(node) {
+    // A text node's text with its whitespace collapsed (outside <pre>) and
+    // removed next to block elements
+    normalizeText(node) {
         let text = node.nodeValue || "";
         if (!findAncestor(node, ["pre"])) {
             if (this.options.wrap) {
@@ -262,9 +3386,6 @@ class MarkdownConverter {
                 text = text.replace(newlineWhitespaceRe, "\n").replace(whitespaceRe, " ");
             }
         }
-        if (!findAncestor(node, ["pre", "code", "kbd", "samp"])) {
-            text = this.escape(text);
-        }
         if (
             shouldRemoveWhitespaceOutside(node.previousSibling) ||
             (node.parentNode && shouldRemoveWhitespaceInside(node.parentNode) && !node.previousSibling)
@@ -280,6 +3401,24 @@ class MarkdownConverter {
         return text;
     }
 
+    // Report what converting an element loses on top of what its converter
+    // reports: the element itself when nothing converts it (`converted` is
+    // false and no rule matches) and the attributes Markdown has no place
+    // for, unless the element is `kept` as HTML.
+    noteLostMarkup(el, converted, kept) {
+        const tag = el.tagName.toLowerCase();
+        if (!converted && !transparentElements.includes(tag) && !this.rules.some(rule => rule.match(el))) {
+            this.note(LOSSY, "unwrapped", el, `<${tag}> has no Markdown equivalent, only its content is kept`);
+        }
+        const allowed = kept ? (defaultAllowedAttributes[tag] || []).concat(defaultAllowedAttributes["*"]) : [];
+        for (const name of reportedAttributes) {
+            if (!el.hasAttribute(name) || allowed.includes(name)) continue;
+            // links, images and embeds write their title
+            if (name === "title" && ["a", "img", "audio", "video", "iframe"].includes(tag)) continue;
+            this.note(LOSSY, "attribute", el, `the ${name} attribute of <${tag}> is dropped`);
+        }
+    }
+
     // Decide whether a tag should be converted (based on options.strip or options.convert)
     shouldConvertTag(tag) {
         const lowerTag = tag ? tag.toLowerCase() : "";
@@ -292,9 +3431,198 @@ class MarkdownConverter {
         return true;
     }
 
+    // Whether an element is written as HTML. keep_html is a tag name, a
+    // list of them, or a predicate (el) => boolean; the name 'unknown'
+    // stands for every element without a converter, except for wrappers,
+    // plus the htmlOnlyElements. Unsafe elements, code and dialects without
+    // HTML never keep it.
+    shouldKeepHtml(el) {
+        const keep = this.options.keep_html;
+        if (!keep || (this.flavor && this.flavor.html === false)) return false;
+        const tag = el.tagName.toLowerCase();
+        if (unsafeElements.includes(tag) || this.insideCode(el)) return false;
+        if (typeof keep === "function") return Boolean(keep(el));
+        const tags = [].concat(keep).map(name => name.toLowerCase());
+        if (tags.includes(tag)) return true;
+        if (!tags.includes(UNKNOWN)) return false;
+        if (htmlOnlyElements.includes(tag)) return true;
+        const funcName = "convert_" + tag.replace(/[\[\]:-]/g, "_");
+        return !wrapperElements.includes(tag) && !htmlHeadingRe.test(tag) && typeof this[funcName] !== "function";
+    }
+
+    // An element kept by keep_html: its sanitized start and end tags around
+    // the converted content. Block tags get blank lines around the content,
+    // so that CommonMark reads it as Markdown again.
+    keepHtml(el, text, convertAsInline) {
+        const tag = el.tagName.toLowerCase();
+        const open = `<${tag}${htmlAttributes(el)}>`;
+        if (voidHtmlElements.includes(tag)) return open;
+        if (convertAsInline || !commonMarkBlockTags.includes(tag)) {
+            const [prefix, suffix, chompedText] = chomp(text);
+            return chompedText ? `${prefix}${open}${chompedText}</${tag}>${suffix}` : text;
+        }
+        text = text.replace(/^\n+|\n+$/g, "");
+        return text ? `\n\n${open}\n\n${text}\n\n</${tag}>\n\n` : `\n\n${open}</${tag}>\n\n`;
+    }
+
+    // Whether an optional syntax extension (see the `extensions` option)
+    // is enabled
+    hasExtension(name) {
+        return (this.options.extensions || []).includes(name);
+    }
+
+    // The footnote label for an element id, if the id belongs to a footnote
+    // definition (an <li> inside a footnotes section)
+    footnoteLabel(id) {
+        const state = this.state;
+        if (!state.footnoteIds) {
+            state.footnoteIds = new Map();
+            const root = state.root;
+            if (root) {
+                findElement(root, el => {
+                    if (el.tagName.toLowerCase() === "li" && el.getAttribute("id") &&
+                        isFootnoteDefinition(el)) {
+                        state.footnoteIds.set(el.getAttribute("id"), footnoteLabelFromId(el.getAttribute("id")));
+                    }
+                    return false;
+                });
+            }
+        }
+        return state.footnoteIds.get(id) || null;
+    }
+
+    // Write out the collected footnote definitions as `[^label]: text`
+    flushFootnotes() {
+        const footnotes = this.state.footnotes;
+        this.state.footnotes = [];
+        return footnotes.map(({ label, text }) => {
+            const body = text.replace(lineWithContentRe, (match, p1) => p1 ? "    " + p1 : "");
+            return `[^${label}]: ${body.slice(4)}`;
+        }).join("\n");
+    }
+
+    // The headings of the converted content in document order, as entries
+    // { el, level, text, anchor }: the level the heading is written at
+    // (after normalize_headings and heading_offset) and its anchor, the
+    // heading's id or a GitHub slug of its text (see heading_anchors), or
+    // null when the text gives no slug. byId maps heading ids to anchors.
+    headingIndex() {
+        const state = this.state;
+        if (!state.headings) {
+            state.headings = {
+                entries: [],
+                byElement: new Map(),
+                byId: new Map(),
+                open: [], // source levels of the enclosing headings
+                used: new Map(), // anchors handed out (see uniqueSlug)
+            };
+            if (state.contentRoot) this.indexHeadings(state.contentRoot, null);
+        }
+        return state.headings;
+    }
+
+    // Add the headings below `root` that are not indexed yet, stopping
+    // after `last` if given
+    indexHeadings(root, last) {
+        const headings = this.state.headings;
+        const stack = Array.from(root.childNodes || []).reverse();
+        while (stack.length) {
+            const el = stack.pop();
+            if (el.nodeType !== ELEMENT_NODE || this.isExcluded(el)) continue;
+            const tag = el.tagName.toLowerCase();
+            if (!htmlHeadingRe.test(tag)) {
+                for (let i = el.childNodes.length - 1; i >= 0; i--) {
+                    stack.push(el.childNodes[i]);
+                }
+                continue;
+            }
+            if (!headings.byElement.has(el) && (!this.includeSelector || this.isIncluded(el))) {
+                this.addHeading(el, Number(tag.charAt(1)));
+            }
+            if (el === last) return;
+        }
+    }
+
+    addHeading(el, sourceLevel) {
+        const headings = this.state.headings;
+        let level = sourceLevel;
+        if (this.options.normalize_headings) {
+            // the first heading becomes level 1, and each heading one level
+            // below the nearest heading of a higher source level
+            const open = headings.open;
+            while (open.length && open[open.length - 1] >= sourceLevel) open.pop();
+            open.push(sourceLevel);
+            level = open.length;
+        }
+        level = Math.max(1, Math.min(6, level + this.options.heading_offset));
+        const text = normalizedText(el);
+        const id = el.getAttribute("id");
+        let anchor = null;
+        if (this.options.heading_anchors === ATTRIBUTE && id && anchorIdRe.test(id)) {
+            anchor = id;
+            if (!headings.used.has(id)) headings.used.set(id, 0);
+        } else if (githubSlug(text)) {
+            anchor = uniqueSlug(githubSlug(text), headings.used);
+        }
+        const entry = { el, level, text, anchor };
+        headings.entries.push(entry);
+        headings.byElement.set(el, entry);
+        if (id && anchor && !headings.byId.has(id)) headings.byId.set(id, anchor);
+    }
+
+    // The headingIndex entry of a heading element, or null when no heading
+    // option is set or the heading is not part of the converted content.
+    // MarkdownStream has no content root: its headings are indexed as they
+    // are converted, so links only find the headings before them.
+    headingEntry(el) {
+        const options = this.options;
+        if (!options.heading_anchors && !options.normalize_headings && !options.heading_offset && !options.toc) {
+            return null;
+        }
+        const headings = this.headingIndex();
+        if (!headings.byElement.has(el) && !this.state.contentRoot && this.state.root) {
+            this.indexHeadings(this.state.root, el);
+        }
+        return headings.byElement.get(el) || null;
+    }
+
+    // The toc option's nested list of links to the headings up to
+    // toc_max_level
+    tableOfContents() {
+        const bullets = this.options.bullets;
+        const open = [];
+        const lines = [];
+        for (const { level, text, anchor } of this.headingIndex().entries) {
+            if (!anchor || level > this.options.toc_max_level) continue;
+            while (open.length && open[open.length - 1] >= level) open.pop();
+            const depth = open.length;
+            open.push(level);
+            const bullet = bullets[depth % bullets.length];
+            lines.push(`${"  ".repeat(depth)}${bullet} [${this.escape(text)}](#${anchor})`);
+        }
+        return lines.length ? `\n\n${lines.join("\n")}\n\n` : "";
+    }
+
     // Escape special characters as needed.
     escape(text) {
         if (!text) return "";
+        if (this.flavor && this.flavor.escape) {
+            return this.flavor.escape.call(this, text);
+        }
+        if (this.options.escape_mode === SMART) {
+            // Mark candidates now, decide in postProcess (resolveEscapes)
+            text = text.replace(escapeMarkRe, "").replace(smartEscapeRe, ESCAPE_MARK + "$&");
+            if (this.options.escape_asterisks) {
+                text = text.replace(/\*/g, ESCAPE_MARK + "*");
+            }
+            if (this.options.escape_underscores) {
+                text = text.replace(/_/g, ESCAPE_MARK + "_");
+            }
+            if (this.hasExtension(MATH)) {
+                text = text.replace(/\$/g, ESCAPE_MARK + "$");
+            }
+            return text;
+        }
         if (this.options.escape_misc) {
             text = text
                 .replace(/([\\&<`\[\]>~=+|])/g, "\\$1")
@@ -308,6 +3636,9 @@ class MarkdownConverter {
         if (this.options.escape_underscores) {
             text = text.replace(/_/g, "\\_");
         }
+        if (this.hasExtension(MATH)) {
+            text = text.replace(/\$/g, "\\$");
+        }
         return text;
     }
 
@@ -320,14 +3651,21 @@ class MarkdownConverter {
     // Conversion methods for various tags
 
     convert_a(el, text, convertAsInline) {
-        if (findAncestor(el, ["pre", "code", "kbd", "samp"])) return text;
+        if (this.insideCode(el)) return text;
         const [prefix, suffix, chompedText] = chomp(text);
         if (!chompedText) return "";
-        const href = el.getAttribute("href");
+        const rawHref = el.getAttribute("href");
+        if (this.hasExtension(FOOTNOTES)) {
+            if (isFootnoteBackref(el)) return "";
+            const label = this.footnoteReferenceLabel(el, rawHref);
+            if (label) return `${prefix}[^${label}]${suffix}`;
+        }
+        const href = rawHref ? this.resolveUrl(rawHref, el, "link") : null;
         let title = el.getAttribute("title");
         if (
+            href &&
             this.options.autolinks &&
-            chompedText.replace(/\\_/g, "_") === href &&
+            chompedText.replace(/\\_/g, "_").replace(escapeMarkRe, "") === href &&
             !title &&
             !this.options.default_title
         ) {
@@ -336,8 +3674,136 @@ class MarkdownConverter {
         if (this.options.default_title && !title) {
             title = href;
         }
-        const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : "";
-        return href ? `${prefix}[${chompedText}](${href}${titlePart})${suffix}` : text;
+        if (!href) return text;
+        return prefix + this.formatLink(el, chompedText, href, title) + suffix;
+    }
+
+    // The URL relative links are resolved against: options.base_url, or the
+    // document's <base href> (itself resolved against options.base_url)
+    documentBaseUrl(root) {
+        let baseUrl = this.options.base_url || null;
+        const base = root && (
+            findElement(root, el => el.tagName.toLowerCase() === "base" && el.hasAttribute("href")) ||
+            (root.ownerDocument && root.ownerDocument !== root && findElement(
+                root.ownerDocument,
+                el => el.tagName.toLowerCase() === "base" && el.hasAttribute("href")
+            ))
+        );
+        if (base) {
+            try {
+                baseUrl = new URL(base.getAttribute("href"), baseUrl || undefined).href;
+            } catch (e) {
+                // a relative <base href> without options.base_url is unusable
+            }
+        }
+        return baseUrl;
+    }
+
+    // Resolve a link ("link") or image ("image") URL against the base URL
+    // and pass it through options.url_transform(url, { el, kind, baseUrl }).
+    // Returns null when the URL should be dropped.
+    resolveUrl(url, el, kind) {
+        const baseUrl = this.state.baseUrl;
+        if (baseUrl && url && !url.startsWith("#")) {
+            try {
+                url = new URL(url, baseUrl).href;
+            } catch (e) {
+                // leave URLs the URL parser rejects as they are
+            }
+        }
+        if (kind === "link" && url && url.startsWith("#") && this.options.heading_anchors) {
+            // links to a heading's id follow it to the heading's anchor
+            let id = url.slice(1);
+            try {
+                id = decodeURIComponent(id);
+            } catch (e) {
+                // keep malformed escapes as they are
+            }
+            const anchor = this.headingIndex().byId.get(id);
+            if (anchor) url = "#" + anchor;
+        }
+        if (this.options.url_transform) {
+            const original = url;
+            url = this.options.url_transform(url, { el, kind, baseUrl });
+            if (!url && original) this.note(DROPPED, "url", el, `the ${kind} URL ${original} is dropped by url_transform`);
+        }
+        return url || null;
+    }
+
+    // The footnote label a link refers to, or null if it is not a footnote
+    // reference: a link to a footnote definition, or one marked up as a
+    // footnote reference (class="footnote-ref", data-footnote-ref).
+    footnoteReferenceLabel(el, href) {
+        if (!href || !href.startsWith("#")) return null;
+        let id = href.slice(1);
+        try {
+            id = decodeURIComponent(id);
+        } catch (e) {
+            // keep malformed escapes as they are
+        }
+        const label = this.footnoteLabel(id);
+        if (label) return label;
+        const marked = el.hasAttribute("data-footnote-ref") ||
+            hasClass(el, "footnote-ref") ||
+            (el.parentNode && el.parentNode.nodeType === ELEMENT_NODE && hasClass(el.parentNode, "footnote-ref"));
+        return marked ? footnoteLabelFromId(id) : null;
+    }
+
+    // Link or image syntax for the configured link_style: inline
+    // `[text](href "title")`, or a reference `[text][label]` / `[text][]`
+    // whose definition is collected and written later by flushReferences.
+    formatLink(el, text, href, title, image = false) {
+        const bang = image ? "!" : "";
+        const style = this.options.link_style;
+        if (style !== REFERENCE && style !== COLLAPSED) {
+            const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : "";
+            return `${bang}[${text}](${href}${titlePart})`;
+        }
+        const label = this.addReference(el, text, href, title, style === COLLAPSED);
+        if (style === COLLAPSED && label === referenceLabelText(text) && !text.includes(ESCAPE_MARK)) {
+            return `${bang}[${text}][]`;
+        }
+        return `${bang}[${text}][${label}]`;
+    }
+
+    // Register a link reference definition, reusing an existing one for the
+    // same href and title, and return its label.
+    addReference(el, text, href, title, collapsed) {
+        const state = this.state;
+        const textLabel = referenceLabelText(text);
+        const key = JSON.stringify([href, title || "", collapsed ? textLabel.toLowerCase() : ""]);
+        if (state.referenceKeys.has(key)) {
+            return state.referenceKeys.get(key).label;
+        }
+        let label;
+        if (collapsed && textLabel && !state.referenceLabels.has(textLabel.toLowerCase())) {
+            label = textLabel;
+        } else if (this.options.link_reference_label === "slug") {
+            const base = slugify(textLabel) || "link";
+            label = base;
+            for (let i = 2; state.referenceLabels.has(label); i++) {
+                label = `${base}-${i}`;
+            }
+        } else {
+            let number = state.referenceKeys.size + 1;
+            while (state.referenceLabels.has(String(number))) number++;
+            label = String(number);
+        }
+        const reference = { el, label, href, title };
+        state.referenceKeys.set(key, reference);
+        state.referenceLabels.add(label.toLowerCase());
+        state.references.push(reference);
+        return label;
+    }
+
+    // Write out (and forget) the collected reference definitions, except
+    // those for links inside `container`, as a block of `[label]: href` lines.
+    flushReferences(container) {
+        const state = this.state;
+        const flushed = state.references.filter(ref => !container || !container.contains(ref.el));
+        if (!flushed.length) return "";
+        state.references = state.references.filter(ref => !flushed.includes(ref));
+        return flushed.map(({ label, href, title }) => linkDefinition(label, href, title)).join("\n");
     }
 
     convert_b(el, text, convertAsInline) {
@@ -359,7 +3825,10 @@ class MarkdownConverter {
     }
 
     convert_br(el, text, convertAsInline) {
-        if (convertAsInline) return "";
+        if (convertAsInline) {
+            this.note(LOSSY, "line-break", el, "line breaks are dropped in headings and table cells");
+            return "";
+        }
         return this.options.newline_style.toLowerCase() === BACKSLASH
             ? "\\\n"
             : "  \n";
@@ -372,13 +3841,10 @@ class MarkdownConverter {
             el.parentNode.tagName.toLowerCase() === "pre"
         )
             return text;
-        return abstractInlineConversion(
-            ()=> "`",
-            this,
-            el,
-            text,
-            convertAsInline
-        );
+        if (this.insideCode(el)) return text;
+        const [prefix, suffix, chompedText] = chomp(text);
+        if (!chompedText) return "";
+        return prefix + codeSpan(chompedText) + suffix;
     }
 
     convert_del(el, text, convertAsInline) {
@@ -391,7 +3857,26 @@ class MarkdownConverter {
         );
     }
 
+    // <details> stays a collapsible HTML block when kept; otherwise its
+    // <summary> becomes a paragraph before the content
+    convert_details(el, text, convertAsInline) {
+        if (convertAsInline || !this.shouldKeepHtml(el)) {
+            this.note(LOSSY, "details", el, "the <details> content is no longer collapsible");
+            return text;
+        }
+        const summary = childElements(el, ["summary"])[0];
+        const open = `<details${htmlAttributes(el)}>` + (summary ? "\n" + serializeHtml(summary) : "");
+        text = text.replace(/^\n+|\n+$/g, "");
+        return text ? `\n\n${open}\n\n${text}\n\n</details>\n\n` : `\n\n${open}\n</details>\n\n`;
+    }
+
     convert_div(el, text, convertAsInline) {
+        if (isMermaidDiagram(el)) {
+            const source = diagramSource(el);
+            if (!source) return "";
+            return convertAsInline ? codeSpan(source.replace(allWhitespaceRe, " ")) : this.fencedCode(source, "mermaid");
+        }
+        if (this.hasExtension(MATH) && isMathRendering(el)) return "";
         if (convertAsInline) return " " + text.trim() + " ";
         text = text.trim();
         return text ? `\n\n${text}\n\n` : "";
@@ -423,34 +3908,75 @@ class MarkdownConverter {
         text = (text || "").trim();
         if (convertAsInline) return " " + text + " ";
         if (!text) return "\n";
+        if (this.options.definition_list_style === BOLD) {
+            return `\n\n${text}\n\n`;
+        }
         text = text.replace(lineWithContentRe, (match, p1) => p1 ? "    " + p1 : "");
         text = ":" + text.slice(1);
         return `${text}\n`;
     }
 
+    convert_dl(el, text, convertAsInline) {
+        if (convertAsInline) return " " + text.trim() + " ";
+        if (this.options.definition_list_style === HTML) {
+            return "\n\n" + serializeHtml(el) + "\n\n";
+        }
+        text = text.trim();
+        return text ? `\n\n${text}\n\n` : "";
+    }
+
     convert_dt(el, text, convertAsInline) {
         text = (text || "").trim();
         text = text.replace(allWhitespaceRe, " ");
         if (convertAsInline) return " " + text + " ";
         if (!text) return "\n";
-        return `\n${text}\n`;
+        if (this.options.definition_list_style === BOLD) {
+            const strong = this.options.strong_em_symbol.repeat(2);
+            return `\n\n${strong}${text}${strong}\n\n`;
+        }
+        // A term starts a new group, which needs a blank line before it
+        // unless it follows another term of the same group.
+        const previous = prevBlockContentSibling(el);
+        const separator = previous && previous.tagName && previous.tagName.toLowerCase() === "dt" ? "\n" : "\n\n";
+        return `${separator}${text}\n`;
     }
 
     _convert_hn(n, el, text, convertAsInline) {
         if (convertAsInline) return text;
+        const heading = this.headingEntry(el);
+        const anchor = heading && this.options.heading_anchors === ATTRIBUTE ? heading.anchor : null;
+        n = heading ? heading.level : n + this.options.heading_offset;
+        if (this.options.link_reference_position === "section") {
+            const definitions = this.flushReferences(el);
+            if (definitions) {
+                return `\n\n${definitions}\n\n` + this._convert_heading(n, el, text, anchor);
+            }
+        }
+        return this._convert_heading(n, el, text, anchor);
+    }
+
+    // A heading of level n; `anchor` is written as a `{#anchor}` attribute,
+    // after the closing hashes in atx_closed style as Pandoc expects
+    _convert_heading(n, el, text, anchor = null) {
         n = Math.max(1, Math.min(6, n));
         const style = this.options.heading_style.toLowerCase();
+        const attribute = anchor ? ` {#${anchor}}` : "";
         text = text.trim();
         if (style === UNDERLINED && n <= 2) {
             const line = n === 1 ? "=" : "-";
-            return this.underline(text, line);
+            return this.underline(text && text + attribute, line);
         }
         text = text.replace(allWhitespaceRe, " ");
         const hashes = "#".repeat(n);
         if (style === ATX_CLOSED) {
-            return `\n\n${hashes} ${text} ${hashes}\n\n`;
+            return `\n\n${hashes} ${text} ${hashes}${attribute}\n\n`;
         }
-        return `\n\n${hashes} ${text}\n\n`;
+        return `\n\n${hashes} ${text}${attribute}\n\n`;
+    }
+
+    // With front_matter, the head's metadata is written there instead
+    convert_head(el, text, convertAsInline) {
+        return this.options.front_matter ? "" : text;
     }
 
     convert_hr(el, text, convertAsInline) {
@@ -461,11 +3987,37 @@ class MarkdownConverter {
         return this.convert_em(el, text, convertAsInline);
     }
 
+    // Embedded media and frames are kept as sanitized HTML, or else linked
+    // to: `[Video](src)`, with a video's poster (or a YouTube thumbnail) as
+    // the link image. Without a URL the fallback content is written.
+    convertEmbed(el, text, convertAsInline, kind, rawSrc) {
+        if (this.shouldKeepHtml(el)) return serializeHtml(el);
+        this.note(LOSSY, "embed", el, `the <${el.tagName.toLowerCase()}> is linked to instead of embedded`);
+        const src = rawSrc ? this.resolveUrl(rawSrc, el, "link") : null;
+        if (!src) return text;
+        let label = this.escape(el.getAttribute("title") || el.getAttribute("aria-label") || kind);
+        let rawImage = el.getAttribute("poster");
+        const youTube = kind !== "Audio" && youTubeEmbedRe.exec(rawSrc);
+        if (youTube) rawImage = rawImage || `https://img.youtube.com/vi/${youTube[1]}/hqdefault.jpg`;
+        const image = rawImage && !convertAsInline ? this.resolveUrl(rawImage, el, "image") : null;
+        if (image) label = this.formatLink(el, label, image, "", true);
+        const href = youTube ? `https://www.youtube.com/watch?v=${youTube[1]}` : src;
+        return this.formatLink(el, label, href, "");
+    }
+
+    convert_audio(el, text, convertAsInline) {
+        return this.convertEmbed(el, text, convertAsInline, "Audio", mediaSource(el));
+    }
+
+    convert_video(el, text, convertAsInline) {
+        return this.convertEmbed(el, text, convertAsInline, "Video", mediaSource(el));
+    }
+
+    convert_iframe(el, text, convertAsInline) {
+        return this.convertEmbed(el, "", convertAsInline, "Embedded content", el.getAttribute("src"));
+    }
+
     convert_img(el, text, convertAsInline) {
-        const alt = el.getAttribute("alt") || "";
-        const src = el.getAttribute("src") || "";
-        const title = el.getAttribute("title") || "";
-        const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : "";
         if (
             convertAsInline &&
             (!el.parentNode ||
@@ -473,34 +4025,140 @@ class MarkdownConverter {
                     el.parentNode.tagName.toLowerCase()
                 ))
         ) {
-            return alt;
+            this.note(LOSSY, "image-alt", el, "the image is replaced by its alt text");
+            return el.getAttribute("alt") || "";
         }
-        return `![${alt}](${src}${titlePart})`;
+        const image = this.imageFor(el);
+        if (image.markdown !== undefined) return image.markdown;
+        if (image.src === null) return image.alt;
+        return this.formatImage(el, image);
     }
 
-    convert_list(el, text, convertAsInline) {
-        let nested = false;
-        let beforeParagraph = false;
-        const nextSibling = nextBlockContentSibling(el);
-        if (
-            nextSibling &&
-            nextSibling.tagName &&
-            !["ul", "ol"].includes(nextSibling.tagName.toLowerCase())
-        ) {
-            beforeParagraph = true;
+    // The image an <img> shows, as { src, alt, title, width, height }: the
+    // source picked by imageSource, kept, dropped or extracted as
+    // image_data_uris says if it is a data: URI, else resolved like link
+    // URLs. src is null when the image is dropped.
+    //
+    // options.image_handler(img, ctx) sees each image that is written, with
+    // ctx = { src, alt, title, width, height, converter }, and can return
+    // the Markdown to write instead (set as `markdown`), an object of
+    // fields to change, or nothing to write the image as it is.
+    imageFor(el) {
+        let src = this.imageSource(el);
+        if (src && dataUriRe.test(src)) {
+            src = this.dataImage(el, src);
+        } else if (src) {
+            src = this.resolveUrl(src, el, "image");
         }
-        let current = el;
-        while (current) {
-            if (current.tagName && current.tagName.toLowerCase() === "li") {
-                nested = true;
-                break;
-            }
-            current = current.parentNode;
+        const image = {
+            src,
+            alt: el.getAttribute("alt") || "",
+            title: el.getAttribute("title") || "",
+            width: imageDimension(el.getAttribute("width")),
+            height: imageDimension(el.getAttribute("height")),
+        };
+        if (src === null || !this.options.image_handler) return image;
+        const result = this.options.image_handler(el, { ...image, converter: this });
+        if (typeof result === "string") {
+            image.markdown = result;
+        } else if (result) {
+            Object.assign(image, result);
+        }
+        return image;
+    }
+
+    // The URL an <img> loads: its src, or the lazy-loading attribute
+    // holding the real one when the src is missing or a data: placeholder.
+    // Without a src, or with image_source 'largest', the largest candidate
+    // of its srcset and its <picture>'s sources wins.
+    imageSource(el) {
+        let src = el.getAttribute("src") || "";
+        const lazy = lazySrcAttributes.map(name => el.getAttribute(name)).find(Boolean);
+        if (lazy && (!src || dataUriRe.test(src))) src = lazy;
+        if (src && this.options.image_source !== LARGEST) return src;
+        const candidates = imageCandidates(el);
+        if (src) candidates.push({ url: src, width: null, density: 1 });
+        const best = largestCandidate(candidates);
+        return best ? best.url : src;
+    }
+
+    // A data: image URI as image_data_uris says: kept, dropped (null) or
+    // passed to options.image_writer(data, { name, mimeType, el }, converter)
+    // and replaced by the URL it returns. The default writer saves the
+    // image in image_dir; each distinct image is written once.
+    dataImage(el, src) {
+        const mode = this.options.image_data_uris;
+        if (mode === DROP) {
+            this.note(DROPPED, "image-data", el, "the data: image is dropped");
+            return null;
+        }
+        const decoded = mode === EXTRACT ? decodeDataUri(src) : null;
+        if (!decoded) return src;
+        const name = imageFileName(decoded.data, decoded.mimeType);
+        const extracted = this.state.extractedImages;
+        if (!extracted.has(name)) {
+            const writer = this.options.image_writer || writeImageFile;
+            extracted.set(name, writer(decoded.data, { name, mimeType: decoded.mimeType, el }, this) || null);
+        }
+        const url = extracted.get(name);
+        if (url === null) this.note(DROPPED, "image-data", el, "image_writer dropped the data: image");
+        return url;
+    }
+
+    // Image syntax for an image from imageFor. With image_size, an image
+    // with a width or height gets a Pandoc/kramdown `{width=… height=…}`
+    // attribute ('attribute') or is written as an <img> ('html'), whose src
+    // is held to the same schemes as other HTML output.
+    formatImage(el, { src, alt, title, width, height }) {
+        const size = this.options.image_size;
+        if (size === HTML && (width || height)) {
+            if (src && !isSafeUrl(src)) src = null;
+            const attributes = [["src", src], ["alt", alt], ["title", title], ["width", width], ["height", height]]
+                .filter(([name, value]) => value || name === "alt")
+                .map(([name, value]) => ` ${name}="${escapeHtmlAttribute(String(value))}"`)
+                .join("");
+            return `<img${attributes}>`;
         }
-        if (nested) {
-            return "\n" + text.replace(/\n+$/, "");
+        const markdown = this.formatLink(el, alt, src, title, true);
+        if (size === ATTRIBUTE && (width || height)) {
+            const attributes = [width && `width=${width}`, height && `height=${height}`].filter(Boolean);
+            return `${markdown}{${attributes.join(" ")}}`;
+        }
+        return markdown;
+    }
+
+    // MathML: with the math extension, the TeX source from its annotation
+    // (KaTeX and MathJax include one); otherwise, or without one, the text
+    // of its elements
+    convert_math(el, text, convertAsInline) {
+        const tex = this.hasExtension(MATH) ? mathTex(el) : null;
+        if (tex === null) {
+            this.note(LOSSY, "math", el, "the equation is written as the text of its MathML");
+            return text;
+        }
+        return this.formatMath(tex, el.getAttribute("display") === "block" && !convertAsInline);
+    }
+
+    // An equation as `$tex$`, or a `$$` block when `display`
+    formatMath(tex, display) {
+        if (!tex) return "";
+        if (display) return `\n\n$$\n${tex}\n$$\n\n`;
+        return `$${tex.replace(allWhitespaceRe, " ")}$`;
+    }
+
+    convert_list(el, text, convertAsInline) {
+        const block = this.blockContext(el);
+        const separator = block.separator ? `\n\n${block.separator}\n\n` : "";
+        // anything but another list after the list needs a blank line, or
+        // it would continue the last item
+        const nextSibling = nextBlockContentSibling(el);
+        const beforeParagraph = Boolean(nextSibling) && !(
+            nextSibling.nodeType === ELEMENT_NODE && ["ul", "ol"].includes(nextSibling.tagName.toLowerCase())
+        );
+        if (block.parent && block.parent.tag === "li") {
+            return (separator || "\n") + text.replace(/\n+$/, "");
         }
-        return "\n\n" + text + (beforeParagraph ? "\n" : "");
+        return (separator || "\n\n") + text + (beforeParagraph ? "\n" : "");
     }
 
     convert_ul(el, text, convertAsInline) {
@@ -513,73 +4171,96 @@ class MarkdownConverter {
 
     convert_li(el, text, convertAsInline) {
         text = (text || "").trim();
+        if (this.hasExtension(FOOTNOTES) && el.getAttribute("id") && isFootnoteDefinition(el)) {
+            this.state.footnotes.push({ label: footnoteLabelFromId(el.getAttribute("id")), text });
+            return "";
+        }
+        if (this.hasExtension(TASK_LISTS)) {
+            const checkbox = findTaskCheckbox(el);
+            if (checkbox) {
+                text = (checkbox.hasAttribute("checked") ? "[x] " : "[ ] ") + text;
+            }
+        }
         if (!text) return "\n";
-        const parent = el.parentNode;
-        let bullet = "";
-        if (
-            parent &&
-            parent.tagName &&
-            parent.tagName.toLowerCase() === "ol"
-        ) {
-            const startAttr = parent.getAttribute("start");
-            const start = startAttr && !Number.isNaN(startAttr) ? parseInt(startAttr, 10) : 1;
-            const prevLis = Array.from(parent.children).filter(child => (
-                    child.tagName &&
-                    child.tagName.toLowerCase() === "li"
-                )
-            );
-            const index = prevLis.indexOf(el);
-            bullet = (start + index) + ".";
+        const block = this.blockContext(el);
+        const list = block.list;
+        let bullet;
+        if (list && list.tag === "ol") {
+            bullet = Math.min(list.start + block.index, maxListNumber) + list.delimiter;
         } else {
-            let depth = -1;
-            let current = el;
-            while (current) {
-                if (
-                    current.tagName &&
-                    current.tagName.toLowerCase() === "ul"
-                ) {
-                    depth += 1;
-                }
-                current = current.parentNode;
-            }
-            const bullets = this.options.bullets;
-            bullet = bullets[depth % bullets.length];
+            bullet = list ? list.bullet : this.options.bullets.charAt(0);
         }
         bullet = bullet + " ";
         const bulletWidth = bullet.length;
         const bulletIndent = " ".repeat(bulletWidth);
         text = text.replace(lineWithContentRe, (match, p1) => p1 ? bulletIndent + p1 : "");
         text = bullet + text.slice(bulletWidth);
-        return `${text}\n`;
+        return block.tight ? `${text}\n` : `${text}\n\n`;
     }
 
     convert_p(el, text, convertAsInline) {
         if (convertAsInline) return " " + text.trim() + " ";
         text = text.trim();
         if (this.options.wrap) {
-            if (this.options.wrap_width != null) {
-                const lines = text.split("\n");
-                const newLines = lines.map(line => wordWrap(line.trimStart(), this.options.wrap_width));
-                text = newLines.join("\n");
-            }
+            // the lines themselves are wrapped in postProcess
+            text = text.split("\n").map(line => line.trimStart()).join("\n");
         }
         return text ? `\n\n${text}\n\n` : "";
     }
 
     convert_pre(el, text, convertAsInline) {
         if (!text) return "";
-        let codeLang = this.options.code_language;
-        if (this.options.code_language_callback) {
-            codeLang = this.options.code_language_callback(el) || codeLang;
+        return this.fencedCode(text, this.codeLanguage(el));
+    }
+
+    // A fenced code block
+    fencedCode(text, codeLang) {
+        const fenceChar = this.options.code_fence.charAt(0) === "~" ? "~" : "`";
+        const fence = fenceChar.repeat(
+            Math.max(3, this.options.code_fence.length, longestRun(text, fenceChar) + 1)
+        );
+        // a fence can follow a paragraph directly, which keeps a tight list
+        // item tight
+        const block = this.state.block;
+        const spacing = block && block.tag === "li" && block.tight ? "\n" : "\n\n";
+        return `${spacing}${fence}${codeLang}\n${text}\n${fence}${spacing}`;
+    }
+
+    // The language of a code block: from a language class (see
+    // detectCodeLanguage), code_language_callback, or else code_language
+    codeLanguage(el) {
+        let codeLang = detectCodeLanguage(el);
+        if (!codeLang && this.options.code_language_callback) {
+            codeLang = this.options.code_language_callback(el);
+        }
+        return codeLang || this.options.code_language;
+    }
+
+    convert_summary(el, text, convertAsInline) {
+        const details = el.parentNode;
+        if (!convertAsInline && details && details.nodeType === ELEMENT_NODE &&
+            details.tagName.toLowerCase() === "details" && this.shouldKeepHtml(details)) {
+            return ""; // written by convert_details
         }
-        return `\n\n\`\`\`${codeLang}\n${text}\n\`\`\`\n\n`;
+        return this.convert_p(el, text, convertAsInline);
     }
 
+    // Scripts are dropped, but for the TeX of MathJax's math/tex scripts
+    // with the math extension
     convert_script(el, text, convertAsInline) {
+        const math = this.hasExtension(MATH) ? mathScript(el) : null;
+        if (math) return this.formatMath(math.tex, math.display && !convertAsInline);
+        // those in <head> run the page rather than being part of it
+        if (!findAncestor(el, ["head"])) this.note(DROPPED, "script", el, "scripts are dropped");
         return "";
     }
 
+    convert_span(el, text, convertAsInline) {
+        return this.hasExtension(MATH) && isMathRendering(el) ? "" : text;
+    }
+
     convert_style(el, text, convertAsInline) {
+        if (!findAncestor(el, ["head"])) this.note(DROPPED, "style", el, "style sheets are dropped");
         return "";
     }
 
@@ -596,6 +4277,7 @@ class MarkdownConverter {
     }
 
     convert_sub(el, text, convertAsInline) {
+        if (!this.options.sub_symbol) this.note(LOSSY, "sub-sup", el, "<sub> is written as plain text");
         return abstractInlineConversion(
             () => this.options.sub_symbol,
             this,
@@ -606,6 +4288,10 @@ class MarkdownConverter {
     }
 
     convert_sup(el, text, convertAsInline) {
+        if (this.hasExtension(FOOTNOTES) && /^\s*\[\^[^\]]+\]\s*$/.test(text)) {
+            return text.trim();
+        }
+        if (!this.options.sup_symbol) this.note(LOSSY, "sub-sup", el, "<sup> is written as plain text");
         return abstractInlineConversion(
             () => this.options.sup_symbol,
             this,
@@ -616,10 +4302,81 @@ class MarkdownConverter {
     }
 
     convert_table(el, text, convertAsInline) {
-        return "\n\n" + text.trim() + "\n\n";
+        if (this.options.table_fallback === HTML && !isSimpleTable(el)) {
+            return "\n\n" + serializeHtml(el) + "\n\n";
+        }
+        const grid = buildTableGrid(el, cell => this.tableCellText(cell));
+        if (!grid.rows.length) return "";
+        if (this.reportEntries) this.noteTableLosses(el, grid);
+        const caption = childElements(el, ["caption"])[0];
+        const captionText = caption ? this.tableCellText(caption) : "";
+        return "\n\n" + (captionText ? captionText + "\n\n" : "") + this.renderTable(grid) + "\n\n";
+    }
+
+    // Report what a pipe table cannot hold: spanning cells, which are
+    // repeated or padded, and block content and nested tables, which are
+    // flattened onto one line
+    noteTableLosses(table, grid) {
+        for (const row of grid.rows) {
+            for (const cell of row) {
+                if (!cell.el || cell.spanned) continue;
+                if (spanAttribute(cell.el, "rowspan") > 1 || spanAttribute(cell.el, "colspan") > 1) {
+                    this.note(LOSSY, "table-span", cell.el, "pipe tables have no spanning cells");
+                }
+            }
+        }
+        if (hasTableBlockContent(table)) {
+            this.note(LOSSY, "table-structure", table, "block content and nested tables are flattened in a pipe table");
+        }
+    }
+
+    // Render a grid from buildTableGrid as a GFM pipe table
+    renderTable(grid) {
+        let rows = grid.rows.map(row => row.map(cell => escapeTableCell(cell.text)));
+        let headerRow = rows[0];
+        if (grid.headerRows === 0 && !this.options.table_infer_header) {
+            headerRow = Array(grid.width).fill("");
+        } else {
+            rows = rows.slice(1);
+        }
+        const alignments = grid.alignments;
+        const widths = Array(grid.width).fill(3);
+        if (this.options.table_pad_columns) {
+            for (const row of [headerRow, ...rows]) {
+                row.forEach((cellText, i) => {
+                    widths[i] = Math.max(widths[i], cellText.length);
+                });
+            }
+        }
+        const pad = (cellText, i) => {
+            if (!this.options.table_pad_columns) return cellText;
+            const gap = widths[i] - cellText.length;
+            if (alignments[i] === "right") return " ".repeat(gap) + cellText;
+            if (alignments[i] === "center") {
+                const left = Math.floor(gap / 2);
+                return " ".repeat(left) + cellText + " ".repeat(gap - left);
+            }
+            return cellText + " ".repeat(gap);
+        };
+        const line = cells => "| " + cells.map(pad).join(" | ") + " |";
+        const delimiter = alignments.map((align, i) => {
+            const width = this.options.table_pad_columns ? widths[i] : 3;
+            if (align === "center") return ":" + "-".repeat(Math.max(1, width - 2)) + ":";
+            if (align === "left") return ":" + "-".repeat(width - 1);
+            if (align === "right") return "-".repeat(width - 1) + ":";
+            return "-".repeat(width);
+        });
+        return [line(headerRow), "| " + delimiter.join(" | ") + " |", ...rows.map(line)].join("\n");
+    }
+
+    // The converted content of a table cell (or caption), on one line
+    tableCellText(cell) {
+        if (this.tableCells.has(cell)) return this.tableCells.get(cell);
+        return (cell.textContent || "").trim().replace(allWhitespaceRe, " ");
     }
 
     convert_caption(el, text, convertAsInline) {
+        this.tableCells.set(el, text.trim().replace(/\n+/g, " "));
         return text.trim() + "\n\n";
     }
 
@@ -627,65 +4384,191 @@ class MarkdownConverter {
         return "\n\n" + text.trim() + "\n\n";
     }
 
+    convert_title(el, text, convertAsInline) {
+        return this.convert_head(el, text, convertAsInline);
+    }
+
     convert_td(el, text, convertAsInline) {
-        let colspan = 1;
-        const cs = el.getAttribute("colspan");
-        if (cs && !Number.isNaN(cs)) {
-            colspan = parseInt(cs, 10);
-        }
-        return " " + text.trim().replace(/\n/g, " ") + " |".repeat(colspan);
+        const content = text.trim().replace(/\n+/g, " ");
+        this.tableCells.set(el, content);
+        return " " + content + " |".repeat(spanAttribute(el, "colspan"));
     }
 
     convert_th(el, text, convertAsInline) {
-        let colspan = 1;
-        const cs = el.getAttribute("colspan");
-        if (cs && !Number.isNaN(cs)) {
-            colspan = parseInt(cs, 10);
-        }
-        return " " + text.trim().replace(/\n/g, " ") + " |".repeat(colspan);
+        return this.convert_td(el, text, convertAsInline);
     }
 
+    // Rows are laid out by convert_table; this only matters when the
+    // surrounding table is not converted.
     convert_tr(el, text, convertAsInline) {
-        const cells = Array.from(el.children).filter(child => {
-            const t = child.tagName ? child.tagName.toLowerCase() : "";
-            return t === "td" || t === "th";
+        return "|" + text + "\n";
+    }
+}
+
+//
+// Streaming conversion
+//
+// MarkdownStream converts HTML that arrives in pieces. The built-in tokenizer
+// grows the tree as input is written, and each top-level block (a child of
+// the document, <html> or <body>) is converted as soon as the parser has
+// moved past it. Markdown is released at blank-line boundaries, so the
+// post-processing pipeline still sees whole paragraphs, and converted nodes
+// are dropped from the tree to keep memory bounded by the largest block.
+//
+// Differences from convert(): the stream throws on main_content, toc and
+// presets, which need the whole document, and on parser, as it has its own.
+// Rules matching <html> or <body> themselves are not applied, transforms run
+// on each released chunk, link reference and footnote definitions are
+// written by end(), and with heading_anchors only links to earlier
+// headings are rewritten to their anchors.
+// Front matter comes from what has been parsed when the first Markdown is
+// released, which includes the <head> but maybe not the whole body.
+//
+
+const streamContainers = { '#document': ['html', 'body'], html: ['body'] };
+const streamUnsupportedOptions = ['main_content', 'toc', 'presets', 'parser'];
+
+class MarkdownStream {
+    constructor(options = {}) {
+        this.converter = options instanceof MarkdownConverter ? options : new MarkdownConverter(options);
+        const unsupported = streamUnsupportedOptions.filter(name => {
+            const value = this.converter.options[name];
+            return Array.isArray(value) ? value.length > 0 : Boolean(value);
         });
-        const isFirstRow = !el.previousElementSibling;
-        const isHeadRow =
-            cells.every(cell => cell.tagName && cell.tagName.toLowerCase() === "th") ||
-            (el.parentNode &&
-                el.parentNode.tagName &&
-                el.parentNode.tagName.toLowerCase() === "thead" &&
-                el.parentNode.children.length === 1);
-        const isHeadRowMissing =
-            (isFirstRow &&
-                el.parentNode &&
-                el.parentNode.tagName.toLowerCase() !== "tbody") ||
-            (isFirstRow &&
-                el.parentNode &&
-                el.parentNode.tagName.toLowerCase() === "tbody" &&
-                !el.parentNode.parentNode.querySelector("thead"));
-        let overline = "";
-        let underline = "";
-        if ((isHeadRow || (isHeadRowMissing && this.options.table_infer_header)) && isFirstRow) {
-            const fullColspan = cells.reduce((sum, cell) => {
-                const cs = cell.getAttribute("colspan");
-                return sum + (cs && !Number.isNaN(cs) ? parseInt(cs, 10) : 1);
-            }, 0);
-            underline += "| " + Array(fullColspan).fill("---").join(" | ") + " |\n";
-        } else if (
-            (isHeadRowMissing && !this.options.table_infer_header) ||
-            (isFirstRow &&
-                (el.parentNode.tagName.toLowerCase() === "table" ||
-                    (el.parentNode.tagName.toLowerCase() === "tbody" && !el.parentNode.previousElementSibling)))
-        ) {
-            overline += "| " + Array(cells.length).fill("").join(" | ") + " |\n";
-            overline += "| " + Array(cells.length).fill("___").join(" | ") + " |\n";
+        if (unsupported.length) {
+            throw new Error(`MarkdownStream does not support ${unsupported.join(", ")}; use convert() instead.`);
+        }
+        this.builder = new TreeBuilder();
+        this.tokenizer = new HTMLTokenizer(this.builder);
+        this.converter.state = this.converter.createState(this.builder.document);
+        // headings are indexed as they are converted (see headingEntry)
+        this.converter.state.contentRoot = null;
+        this.output = new OutputJoiner();
+        this.converted = new Map(); // container => last converted child
+        this.baseFound = false;
+        this.started = false;
+        this.ended = false;
+    }
+
+    // Feed the next piece of HTML; returns the Markdown completed by it
+    write(html) {
+        if (this.ended) throw new Error("MarkdownStream: write() after end()");
+        this.tokenizer.write(html);
+        return this.pump(this.builder.document, false);
+    }
+
+    // Finish the input; returns the remaining Markdown
+    end() {
+        if (this.ended) return "";
+        this.ended = true;
+        this.tokenizer.end();
+        let chunk = this.pump(this.builder.document, true);
+
+        const converter = this.converter;
+        const text = converter.addDefinitions(this.output.toString());
+        this.output = new OutputJoiner();
+        return chunk + this.release(text, true);
+    }
+
+    // Convert the finished children of a container, descending into <html>
+    // and <body>, which stay open until the end of the input.
+    pump(container, final) {
+        const converter = this.converter;
+        const removeInside = shouldRemoveWhitespaceInside(container);
+        const nested = streamContainers[container.nodeName.toLowerCase()] || [];
+        let chunk = "";
+        let last = this.converted.get(container);
+        let child = last ? last.nextSibling : container.firstChild;
+        while (child) {
+            const complete = final || child.nextSibling !== null;
+            if (child.nodeType === ELEMENT_NODE && nested.includes(child.tagName.toLowerCase())) {
+                chunk += this.pump(child, complete);
+            } else if (!complete) {
+                break;
+            } else if (!canIgnoreChild(child, removeInside)) {
+                if (!this.baseFound) {
+                    // a <base> in <head> applies once the parser has seen it
+                    converter.state.baseUrl = converter.documentBaseUrl(this.builder.document);
+                    this.baseFound = converter.state.baseUrl !== (converter.options.base_url || null);
+                }
+                if (child.nodeType === TEXT_NODE) {
+                    if (!converter.includeSelector || converter.isIncluded(container)) {
+                        this.output.addText(converter.processText(child));
+                    }
+                } else {
+                    this.output.addBlock(converter.processTag(child, false));
+                }
+                if (this.output.newlines >= 2 && this.output.parts.length) {
+                    const text = this.output.parts.join("");
+                    this.output.parts = [];
+                    chunk += this.release(text, false);
+                }
+            }
+            if (!complete) break;
+            // keep the last converted node as sibling context for the next,
+            // and everything until the front matter has been written
+            if (last && (this.started || !converter.options.front_matter)) container.removeChild(last);
+            last = child;
+            this.converted.set(container, last);
+            child = child.nextSibling;
+        }
+        return chunk;
+    }
+
+    // Post-process released Markdown, stripping the start of the document
+    // and, on the last chunk, its end
+    release(text, last) {
+        const mode = this.converter.options.strip_document;
+        const lstrip = !this.started && (mode === LSTRIP || mode === STRIP);
+        const rstrip = last && (mode === RSTRIP || mode === STRIP);
+        let chunk = this.converter.postProcess(text, lstrip && rstrip ? STRIP : lstrip ? LSTRIP : rstrip ? RSTRIP : null);
+        if (!this.started && (chunk || last)) {
+            chunk = this.converter.addFrontMatter(this.builder.document, chunk);
         }
-        return overline + "|" + text + "\n" + underline;
+        if (chunk) this.started = true;
+        return chunk;
     }
 }
 
+// convertStream: convert an (async) iterable of HTML strings or byte chunks,
+// such as a Node readable stream, yielding Markdown chunks
+async function* convertStream(source, options = {}) {
+    const stream = new MarkdownStream(options);
+    const decoder = new TextDecoder();
+    for await (const chunk of source) {
+        const markdown = stream.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+        if (markdown) yield markdown;
+    }
+    const markdown = stream.write(decoder.decode()) + stream.end();
+    if (markdown) yield markdown;
+}
+
+// createTransform: a Node Transform stream from HTML to Markdown, e.g.
+// fs.createReadStream(file).pipe(createTransform(options)).pipe(process.stdout)
+function createTransform(options = {}) {
+    const { Transform } = require('stream');
+    const stream = new MarkdownStream(options);
+    const decoder = new TextDecoder();
+    return new Transform({
+        decodeStrings: false,
+        transform(chunk, encoding, callback) {
+            try {
+                const html = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+                callback(null, stream.write(html) || undefined);
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            try {
+                callback(null, stream.write(decoder.decode()) + stream.end() || undefined);
+            } catch (error) {
+                callback(error);
+            }
+        },
+    });
+}
+
 //
 // Top-level markdownify function
 //
@@ -693,7 +4576,68 @@ function markdownify(dom, options = {}) {
     return new MarkdownConverter(options).convert(dom);
 }
 
+// convertToAst: the mdast tree for an HTML string or DOM node, see
+// MarkdownConverter#convertToAst
+function convertToAst(dom, options = {}) {
+    return new MarkdownConverter(options).convertToAst(dom);
+}
+
+// serializeAst: Markdown for an mdast tree, with markdownify's options
+function serializeAst(tree, options = {}) {
+    return new MarkdownConverter(options).serializeAst(tree);
+}
+
+// convertWithReport: markdownify with a report of what was lost, see
+// MarkdownConverter#convertWithReport
+function convertWithReport(dom, options = {}) {
+    return new MarkdownConverter(options).convertWithReport(dom);
+}
+
 module.exports = markdownify;
+module.exports.markdownify = markdownify;
+module.exports.MarkdownConverter = MarkdownConverter;
+module.exports.MarkdownStream = MarkdownStream;
+module.exports.convertStream = convertStream;
+module.exports.convertWithReport = convertWithReport;
+module.exports.convertToAst = convertToAst;
+module.exports.serializeAst = serializeAst;
+module.exports.findMainContent = findMainContent;
+module.exports.createTransform = createTransform;
+module.exports.ATX = ATX;
+module.exports.ATX_CLOSED = ATX_CLOSED;
+module.exports.UNDERLINED = UNDERLINED;
+module.exports.SPACES = SPACES;
+module.exports.BACKSLASH = BACKSLASH;
+module.exports.ASTERISK = ASTERISK;
+module.exports.UNDERSCORE = UNDERSCORE;
+module.exports.LSTRIP = LSTRIP;
+module.exports.RSTRIP = RSTRIP;
+module.exports.STRIP = STRIP;
+module.exports.HTML = HTML;
+module.exports.UNKNOWN = UNKNOWN;
+module.exports.INLINE = INLINE;
+module.exports.REFERENCE = REFERENCE;
+module.exports.COLLAPSED = COLLAPSED;
+module.exports.TASK_LISTS = TASK_LISTS;
+module.exports.FOOTNOTES = FOOTNOTES;
+module.exports.MATH = MATH;
+module.exports.EXTRA = EXTRA;
+module.exports.BOLD = BOLD;
+module.exports.FLAVORS = FLAVORS;
+module.exports.PRESETS = PRESETS;
+module.exports.AUTO = AUTO;
+module.exports.ALWAYS = ALWAYS;
+module.exports.SMART = SMART;
+module.exports.YAML = YAML;
+module.exports.TOML = TOML;
+module.exports.JSON_FORMAT = JSON_FORMAT;
+module.exports.ATTRIBUTE = ATTRIBUTE;
+module.exports.SLUG = SLUG;
+module.exports.SRC = SRC;
+module.exports.LARGEST = LARGEST;
+module.exports.KEEP = KEEP;
+module.exports.DROP = DROP;
+module.exports.EXTRACT = EXTRACT;
 
 // -----
 // Usage Example:
@@ -703,5 +4647,31 @@ module.exports = markdownify;
 //    const md = markdownify(document.body, { wrap: true, wrap_width: 80 });
 //    console.log(md);
 //
-// This code converts the HTML DOM tree into Markdown text.
+// This code converts the HTML DOM tree into Markdown text. An HTML string
+// works too, with or without a browser DOM:
+//
+//    markdownify("<h1>Title</h1><p>Some <b>bold</b> text</p>");
+//
+// To use a different HTML parser, pass a function returning a DOM node:
+//
+//    markdownify(html, { parser: s => new DOMParser().parseFromString(s, "text/html") });
+//
+// Customising the output, either by subclassing:
+//
+//    const { MarkdownConverter } = require("./markdownify");
+//    class ImageBlockConverter extends MarkdownConverter {
+//        convert_img(el, text, convertAsInline) {
+//            return super.convert_img(el, text, convertAsInline) + "\n\n";
+//        }
+//    }
+//    new ImageBlockConverter().convert(html);
+//
+// or by registering rules, which can delegate to what they replace:
+//
+//    new MarkdownConverter()
+//        .addRule("u", (el, text) => `<u>${text}</u>`)
+//        .addRule(el => el.hasAttribute("data-skip"), () => "")
+//        .addRule("a", (el, text, convertAsInline, context) =>
+//            el.getAttribute("rel") === "nofollow" ? text : context.next())
+//        .convert(html);
 // -----
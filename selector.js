@@ -0,0 +1,358 @@
+// A small CSS selector engine for DOM-like trees.
+//
+// It only relies on tagName, getAttribute, parentNode, previousSibling,
+// nextSibling and childNodes, so it works on the built-in parser's nodes as
+// well as on a browser DOM or jsdom. Supported:
+//
+//   type, *, #id, .class
+//   [attr], [attr=v], [attr~=v], [attr|=v], [attr^=v], [attr$=v], [attr*=v],
+//   each with an optional ` i` flag for ASCII case-insensitive values
+//   :not(), :is(), :where(), :has() (descendants only), :root, :empty,
+//   :first-child, :last-child, :only-child, :nth-child(An+B),
+//   :nth-last-child(An+B), :first-of-type, :last-of-type, :only-of-type,
+//   :nth-of-type(An+B), :nth-last-of-type(An+B)
+//   descendant ( ), child (>), next-sibling (+) and subsequent-sibling (~)
+//   combinators, and comma-separated selector lists
+
+const ELEMENT_NODE = 1;
+
+const identRe = /^(?:\\.|[\w\u00a0-\uffff-])+/;
+const attributeRe = /^\[\s*((?:\\.|[\w\u00a0-\uffff:-])+)\s*(?:([~|^$*]?=)\s*(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|((?:\\.|[\w\u00a0-\uffff-])+))\s*(?:([iIsS])\s*)?)?\]/;
+const nthRe = /^\s*(?:(odd)|(even)|([+-]?\d*)n\s*(?:([+-])\s*(\d+))?|([+-]?\d+))\s*$/i;
+
+function unescape(text) {
+    return text.replace(/\\(.)/g, '$1');
+}
+
+function parentElement(el) {
+    const parent = el.parentNode;
+    return parent && parent.nodeType === ELEMENT_NODE ? parent : null;
+}
+
+function previousElement(el) {
+    let sibling = el.previousSibling;
+    while (sibling && sibling.nodeType !== ELEMENT_NODE) sibling = sibling.previousSibling;
+    return sibling;
+}
+
+function nextElement(el) {
+    let sibling = el.nextSibling;
+    while (sibling && sibling.nodeType !== ELEMENT_NODE) sibling = sibling.nextSibling;
+    return sibling;
+}
+
+function localName(el) {
+    return (el.localName || el.tagName || '').toLowerCase();
+}
+
+// Position of an element among its element siblings (1-based), counting
+// from the end with `fromEnd`, and only same-type siblings with `ofType`
+function siblingIndex(el, fromEnd, ofType) {
+    const step = fromEnd ? nextElement : previousElement;
+    const name = localName(el);
+    let index = 1;
+    for (let sibling = step(el); sibling; sibling = step(sibling)) {
+        if (!ofType || localName(sibling) === name) index++;
+    }
+    return index;
+}
+
+// parseNth: An+B as [a, b]
+function parseNth(text, selector) {
+    const match = nthRe.exec(text);
+    if (!match) throw invalid(selector, `bad An+B "${text}"`);
+    if (match[1]) return [2, 1];
+    if (match[2]) return [2, 0];
+    if (match[6] !== undefined) return [0, parseInt(match[6], 10)];
+    const a = match[3] === '' || match[3] === '+' ? 1 : match[3] === '-' ? -1 : parseInt(match[3], 10);
+    const b = match[5] ? parseInt(match[4] + match[5], 10) : 0;
+    return [a, b];
+}
+
+function nthMatches([a, b], index) {
+    if (a === 0) return index === b;
+    return (index - b) / a >= 0 && (index - b) % a === 0;
+}
+
+function attributeTest(name, operator, value, caseFlag) {
+    const insensitive = caseFlag && caseFlag.toLowerCase() === 'i';
+    const fold = text => (insensitive ? text.toLowerCase() : text);
+    const expected = value === undefined ? undefined : fold(value);
+    return el => {
+        const actual = el.getAttribute(name);
+        if (actual === null) return false;
+        if (!operator) return true;
+        const text = fold(actual);
+        switch (operator) {
+            case '=': return text === expected;
+            case '~=': return expected !== '' && text.split(/\s+/).includes(expected);
+            case '|=': return text === expected || text.startsWith(expected + '-');
+            case '^=': return expected !== '' && text.startsWith(expected);
+            case '$=': return expected !== '' && text.endsWith(expected);
+            case '*=': return expected !== '' && text.includes(expected);
+        }
+        return false;
+    };
+}
+
+function invalid(selector, reason) {
+    return new Error(`Invalid selector "${selector}": ${reason}`);
+}
+
+// Parser over one selector string; parseList() returns an array of complex
+// selectors, each an array of { combinator, tests } from left to right
+class SelectorParser {
+    constructor(selector) {
+        this.selector = selector;
+        this.rest = selector;
+    }
+
+    skipSpace() {
+        const trimmed = this.rest.replace(/^\s+/, '');
+        const skipped = trimmed.length !== this.rest.length;
+        this.rest = trimmed;
+        return skipped;
+    }
+
+    parseList(closing) {
+        const list = [];
+        for (;;) {
+            this.skipSpace();
+            list.push(this.parseComplex());
+            this.skipSpace();
+            if (this.rest.startsWith(',')) {
+                this.rest = this.rest.slice(1);
+                continue;
+            }
+            if (closing ? this.rest.startsWith(')') : !this.rest) return list;
+            throw invalid(this.selector, `unexpected "${this.rest.slice(0, 10)}"`);
+        }
+    }
+
+    parseComplex() {
+        const parts = [{ combinator: null, tests: this.parseCompound() }];
+        for (;;) {
+            const spaced = this.skipSpace();
+            const match = /^[>+~]/.exec(this.rest);
+            let combinator;
+            if (match) {
+                combinator = match[0];
+                this.rest = this.rest.slice(1);
+                this.skipSpace();
+            } else if (spaced && this.rest && !/^[,)]/.test(this.rest)) {
+                combinator = ' ';
+            } else {
+                return parts;
+            }
+            parts.push({ combinator, tests: this.parseCompound() });
+        }
+    }
+
+    parseCompound() {
+        const tests = [];
+        let universal = false;
+        let match;
+        if (this.rest.startsWith('*')) {
+            this.rest = this.rest.slice(1);
+            universal = true;
+        } else if ((match = identRe.exec(this.rest))) {
+            const name = unescape(match[0]).toLowerCase();
+            this.rest = this.rest.slice(match[0].length);
+            tests.push(el => localName(el) === name);
+        }
+        for (;;) {
+            const c = this.rest[0];
+            if (c === '#' || c === '.') {
+                match = identRe.exec(this.rest.slice(1));
+                if (!match) throw invalid(this.selector, `expected a name after "${c}"`);
+                const name = unescape(match[0]);
+                this.rest = this.rest.slice(1 + match[0].length);
+                tests.push(c === '#' ?
+                    el => el.getAttribute('id') === name :
+                    el => (el.getAttribute('class') || '').split(/\s+/).includes(name));
+            } else if (c === '[') {
+                match = attributeRe.exec(this.rest);
+                if (!match) throw invalid(this.selector, 'bad attribute selector');
+                this.rest = this.rest.slice(match[0].length);
+                const value = [match[3], match[4], match[5]].find(v => v !== undefined);
+                tests.push(attributeTest(unescape(match[1]).toLowerCase(), match[2],
+                    value === undefined ? undefined : unescape(value), match[6]));
+            } else if (c === ':') {
+                tests.push(this.parsePseudo());
+            } else {
+                break;
+            }
+        }
+        if (!tests.length && !universal) {
+            throw invalid(this.selector, this.rest ? `unexpected "${this.rest.slice(0, 10)}"` : 'empty selector');
+        }
+        return tests;
+    }
+
+    parsePseudo() {
+        const match = /^::?([\w-]+)(\()?/.exec(this.rest);
+        if (!match) throw invalid(this.selector, 'bad pseudo-class');
+        this.rest = this.rest.slice(match[0].length);
+        const name = match[1].toLowerCase();
+        let argument = null;
+        if (match[2]) {
+            if (['not', 'is', 'where', 'has'].includes(name)) {
+                argument = this.parseList(true);
+            } else {
+                const end = this.rest.indexOf(')');
+                if (end === -1) throw invalid(this.selector, 'missing ")"');
+                argument = this.rest.slice(0, end);
+                this.rest = this.rest.slice(end);
+            }
+            this.skipSpace();
+            if (!this.rest.startsWith(')')) throw invalid(this.selector, 'missing ")"');
+            this.rest = this.rest.slice(1);
+        }
+        return this.pseudoTest(name, argument);
+    }
+
+    pseudoTest(name, argument) {
+        const needs = expected => {
+            if ((argument !== null) !== expected) {
+                throw invalid(this.selector, `:${name} ${expected ? 'needs' : 'takes no'} argument`);
+            }
+        };
+        const nth = (fromEnd, ofType) => {
+            needs(true);
+            const ab = parseNth(argument, this.selector);
+            return el => nthMatches(ab, siblingIndex(el, fromEnd, ofType));
+        };
+        switch (name) {
+            case 'not':
+                needs(true);
+                return el => !matchesList(el, argument);
+            case 'is':
+            case 'where':
+                needs(true);
+                return el => matchesList(el, argument);
+            case 'has':
+                needs(true);
+                return el => descendants(el).some(descendant => matchesList(descendant, argument));
+            case 'root':
+                needs(false);
+                return el => !parentElement(el);
+            case 'empty':
+                needs(false);
+                return el => Array.from(el.childNodes).every(child => (
+                    child.nodeType !== ELEMENT_NODE && (child.nodeType !== 3 || !child.nodeValue)
+                ));
+            case 'first-child':
+                needs(false);
+                return el => !previousElement(el);
+            case 'last-child':
+                needs(false);
+                return el => !nextElement(el);
+            case 'only-child':
+                needs(false);
+                return el => !previousElement(el) && !nextElement(el);
+            case 'first-of-type':
+                needs(false);
+                return el => siblingIndex(el, false, true) === 1;
+            case 'last-of-type':
+                needs(false);
+                return el => siblingIndex(el, true, true) === 1;
+            case 'only-of-type':
+                needs(false);
+                return el => siblingIndex(el, false, true) === 1 && siblingIndex(el, true, true) === 1;
+            case 'nth-child': return nth(false, false);
+            case 'nth-last-child': return nth(true, false);
+            case 'nth-of-type': return nth(false, true);
+            case 'nth-last-of-type': return nth(true, true);
+        }
+        throw invalid(this.selector, `unsupported pseudo-class :${name}`);
+    }
+}
+
+// Does `el` match the complex selector `parts` up to and including index?
+// Walked right to left; descendant and subsequent-sibling combinators try
+// each candidate in turn.
+function matchesComplex(el, parts, index) {
+    if (!parts[index].tests.every(test => test(el))) return false;
+    if (index === 0) return true;
+    switch (parts[index].combinator) {
+        case '>': {
+            const parent = parentElement(el);
+            return Boolean(parent) && matchesComplex(parent, parts, index - 1);
+        }
+        case ' ':
+            for (let ancestor = parentElement(el); ancestor; ancestor = parentElement(ancestor)) {
+                if (matchesComplex(ancestor, parts, index - 1)) return true;
+            }
+            return false;
+        case '+': {
+            const sibling = previousElement(el);
+            return Boolean(sibling) && matchesComplex(sibling, parts, index - 1);
+        }
+        case '~':
+            for (let sibling = previousElement(el); sibling; sibling = previousElement(sibling)) {
+                if (matchesComplex(sibling, parts, index - 1)) return true;
+            }
+            return false;
+    }
+    return false;
+}
+
+function matchesList(el, list) {
+    return list.some(parts => matchesComplex(el, parts, parts.length - 1));
+}
+
+// descendants: element descendants in document order, without recursion
+function descendants(node) {
+    const result = [];
+    const stack = Array.from(node.childNodes).reverse();
+    while (stack.length) {
+        const child = stack.pop();
+        if (child.nodeType !== ELEMENT_NODE) continue;
+        result.push(child);
+        for (let i = child.childNodes.length - 1; i >= 0; i--) stack.push(child.childNodes[i]);
+    }
+    return result;
+}
+
+const compiled = new Map();
+
+// compileSelector: a function testing whether an element matches the
+// selector. Throws on selectors it cannot parse.
+function compileSelector(selector) {
+    let matcher = compiled.get(selector);
+    if (!matcher) {
+        const list = new SelectorParser(String(selector)).parseList(false);
+        matcher = el => Boolean(el) && el.nodeType === ELEMENT_NODE && matchesList(el, list);
+        compiled.set(selector, matcher);
+    }
+    return matcher;
+}
+
+function matches(el, selector) {
+    return compileSelector(selector)(el);
+}
+
+function closest(el, selector) {
+    const matcher = compileSelector(selector);
+    for (let node = el; node; node = parentElement(node)) {
+        if (matcher(node)) return node;
+    }
+    return null;
+}
+
+function querySelectorAll(root, selector) {
+    return descendants(root).filter(compileSelector(selector));
+}
+
+function querySelector(root, selector) {
+    const matcher = compileSelector(selector);
+    return descendants(root).find(matcher) || null;
+}
+
+module.exports = {
+    compileSelector,
+    matches,
+    closest,
+    querySelector,
+    querySelectorAll,
+};
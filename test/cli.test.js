@@ -0,0 +1,168 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main, parseArgs, globToRegExp } = require('../cli');
+
+const cli = path.join(__dirname, '..', 'cli.js');
+
+// Run main() with captured output
+function run(argv) {
+    const out = [];
+    const err = [];
+    const io = {
+        stdout: { write: text => out.push(text) },
+        stderr: { write: text => err.push(text) },
+    };
+    const status = main(argv, io);
+    return { status, stdout: out.join(''), stderr: err.join('') };
+}
+
+describe('parseArgs', () => {
+    test('maps flags to converter options', () => {
+        const args = parseArgs(['--heading-style', 'atx', '--bullets', '-', '--strip', 'script,style',
+            '--wrap', '--wrap-width=60', '--no-autolinks', '--no-strip-document', 'in.html']);
+        assert.deepStrictEqual(args.options, {
+            heading_style: 'atx',
+            bullets: '-',
+            strip: ['script', 'style'],
+            wrap: true,
+            wrap_width: 60,
+            autolinks: false,
+            strip_document: null,
+        });
+        assert.deepStrictEqual(args.inputs, ['in.html']);
+    });
+
+    test('rejects unknown options and bad values', () => {
+        assert.throws(() => parseArgs(['--bogus']), /unknown option --bogus/);
+        assert.throws(() => parseArgs(['--wrap-width', 'wide']), /expects a number/);
+        assert.throws(() => parseArgs(['--heading-style']), /expects a value/);
+        assert.throws(() => parseArgs(['--url-transform', 'x']), /unknown option/);
+    });
+});
+
+describe('globToRegExp', () => {
+    test('matches paths', () => {
+        const re = globToRegExp('site/**/*.{html,htm}');
+        assert.ok(re.test('site/index.html'));
+        assert.ok(re.test('site/a/b/page.htm'));
+        assert.ok(!re.test('site/a/notes.txt'));
+        assert.ok(!re.test('other/index.html'));
+        assert.ok(globToRegExp('p?ge[0-9].html').test('page1.html'));
+    });
+});
+
+describe('markdownify command', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdownify-'));
+        fs.mkdirSync(path.join(dir, 'site', 'a', 'b'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'site', 'index.html'), '<h1>Top</h1><p>x</p>');
+        fs.writeFileSync(path.join(dir, 'site', 'a', 'b', 'page.htm'), '<ul><li>a</li></ul>');
+        fs.writeFileSync(path.join(dir, 'site', 'a', 'notes.txt'), 'notes');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads stdin', () => {
+        const result = spawnSync(process.execPath, [cli, '--heading-style', 'atx'], {
+            input: '<h1>Hi</h1><ul><li>x</li></ul>',
+            encoding: 'utf8',
+        });
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, '# Hi\n\n* x\n');
+    });
+
+    test('converts files to stdout', () => {
+        const result = run([path.join(dir, 'site', 'index.html'), '--heading-style', 'atx']);
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, '# Top\n\nx\n');
+    });
+
+    test('mirrors a directory into --out-dir', () => {
+        const out = path.join(dir, 'out');
+        assert.strictEqual(run([path.join(dir, 'site'), '--out-dir', out]).status, 0);
+        assert.strictEqual(fs.readFileSync(path.join(out, 'index.md'), 'utf8'), 'Top\n===\n\nx\n');
+        assert.strictEqual(fs.readFileSync(path.join(out, 'a', 'b', 'page.md'), 'utf8'), '* a\n');
+        assert.ok(!fs.existsSync(path.join(out, 'a', 'notes.md')));
+    });
+
+    test('links extracted images relative to each file in --out-dir', () => {
+        const png = 'iVBORw0KGgo=';
+        fs.writeFileSync(path.join(dir, 'site', 'a', 'b', 'page.htm'), `<img src="data:image/png;base64,${png}" alt="i">`);
+        const out = path.join(dir, 'out');
+        const cwd = process.cwd();
+        process.chdir(dir);
+        try {
+            assert.strictEqual(run(['site', '--out-dir', 'out', '--image-data-uris', 'extract']).status, 0);
+        } finally {
+            process.chdir(cwd);
+        }
+        const page = path.join(out, 'a', 'b', 'page.md');
+        const link = /^!\[i\]\((.+)\)\n$/.exec(fs.readFileSync(page, 'utf8'))[1];
+        assert.strictEqual(link, '../../images/image-255c756c.png');
+        assert.deepStrictEqual(fs.readFileSync(path.resolve(path.dirname(page), link)), Buffer.from(png, 'base64'));
+        assert.ok(!fs.existsSync(path.join(dir, 'images')));
+    });
+
+    test('expands globs', () => {
+        const out = path.join(dir, 'out');
+        const pattern = path.join(dir, 'site', '**', '*.htm').split(path.sep).join('/');
+        assert.strictEqual(run([pattern, '-d', out]).status, 0);
+        assert.deepStrictEqual(fs.readdirSync(out), ['a']);
+        assert.strictEqual(run([path.join(dir, 'nothing', '*.html')]).status, 2);
+    });
+
+    test('reads a config file, overridden by flags', () => {
+        const config = path.join(dir, 'config.json');
+        fs.writeFileSync(config, JSON.stringify({ heading_style: 'atx_closed', bullets: '+' }));
+        const input = path.join(dir, 'site', 'index.html');
+        assert.strictEqual(run(['-c', config, input]).stdout, '# Top #\n\nx\n');
+        assert.strictEqual(run(['-c', config, '--heading-style', 'atx', input]).stdout, '# Top\n\nx\n');
+    });
+
+    test('reads a JS config with functions', () => {
+        const config = path.join(dir, 'config.js');
+        fs.writeFileSync(config, 'module.exports = { transforms: [text => text.toUpperCase()] };');
+        assert.strictEqual(run(['--config', config, path.join(dir, 'site', 'index.html')]).stdout, 'TOP\n===\n\nX\n');
+    });
+
+    test('writes --output', () => {
+        const output = path.join(dir, 'one.md');
+        assert.strictEqual(run([path.join(dir, 'site', 'index.html'), '-o', output]).status, 0);
+        assert.strictEqual(fs.readFileSync(output, 'utf8'), 'Top\n===\n\nx\n');
+    });
+
+    test('exits with 1 when an input fails and converts the rest', () => {
+        const result = run([path.join(dir, 'missing.html'), path.join(dir, 'site', 'index.html')]);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /missing\.html: ENOENT/);
+        assert.strictEqual(result.stdout, 'Top\n===\n\nx\n');
+    });
+
+    test('exits with 1 on parse failures', () => {
+        const config = path.join(dir, 'config.js');
+        fs.writeFileSync(config, 'module.exports = { parser: () => { throw new Error("bad markup"); } };');
+        const result = run(['-c', config, path.join(dir, 'site', 'index.html')]);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /index\.html: bad markup/);
+    });
+
+    test('exits with 2 on usage errors', () => {
+        assert.strictEqual(run(['--bogus']).status, 2);
+        assert.strictEqual(run(['--flavor', 'nope', path.join(dir, 'site', 'index.html')]).status, 2);
+        assert.strictEqual(run(['--strip', 'a', '--convert', 'b']).status, 2);
+    });
+
+    test('--help lists the converter options', () => {
+        const result = run(['--help']);
+        assert.strictEqual(result.status, 0);
+        assert.match(result.stdout, /--heading-style <value> +\(default: underlined\)/);
+    });
+});
@@ -0,0 +1,109 @@
+module.exports = [
+    {
+        name: 'p',
+        html: '<p>Hello</p><p>World</p>',
+        markdown: 'Hello\n\nWorld',
+    },
+    {
+        name: 'p collapses whitespace',
+        html: '<p>  lots   of\n  space </p>',
+        markdown: 'lots of\nspace',
+    },
+    {
+        name: 'div',
+        html: '<div>a</div><div>b</div>',
+        markdown: 'a\n\nb',
+    },
+    {
+        name: 'article and section',
+        html: '<article>a</article><section>b</section>',
+        markdown: 'a\n\nb',
+    },
+    {
+        name: 'blockquote',
+        html: '<blockquote>Hello</blockquote>',
+        markdown: '> Hello',
+    },
+    {
+        name: 'nested blockquote',
+        html: '<blockquote><p>a</p><blockquote>nested</blockquote></blockquote>',
+        markdown: '> a\n>\n> > nested',
+    },
+    {
+        name: 'blockquote with a list',
+        html: '<blockquote><ul><li>a</li><li>b</li></ul></blockquote>',
+        markdown: '> * a\n> * b',
+    },
+    {
+        name: 'hr',
+        html: 'Hello<hr>World',
+        markdown: 'Hello\n\n---\n\nWorld',
+    },
+    {
+        name: 'pre',
+        html: '<pre>test\n    foo\nbar</pre>',
+        markdown: '```\ntest\n    foo\nbar\n```',
+    },
+    {
+        name: 'pre keeps markup characters',
+        html: '<pre>*a* _b_ <b>c</b></pre>',
+        markdown: '```\n*a* _b_ c\n```',
+    },
+    {
+        name: 'pre with a language class',
+        html: '<pre><code class="language-python">x = 1</code></pre>',
+        markdown: '```python\nx = 1\n```',
+    },
+    {
+        name: 'pre with a trailing newline',
+        html: '<pre><code>x = 1\n</code></pre>',
+        markdown: '```\nx = 1\n\n```',
+        lossy: 'the final newline of the code becomes an extra blank line',
+    },
+    {
+        name: 'pre containing a fence gets a longer fence',
+        html: '<pre>a ``` b\n```</pre>',
+        markdown: '````\na ``` b\n```\n````',
+    },
+    {
+        name: 'h1 and h2 are underlined by default',
+        html: '<h1>Hello</h1><h2>World</h2>',
+        markdown: 'Hello\n=====\n\nWorld\n-----',
+    },
+    {
+        name: 'h3 to h6 are always ATX',
+        html: '<h3>Three</h3><h6>Six</h6>',
+        markdown: '### Three\n\n###### Six',
+    },
+    {
+        name: 'unknown heading level',
+        html: '<h7>seven</h7>',
+        markdown: 'seven',
+    },
+    {
+        name: 'empty heading',
+        html: '<h1></h1>',
+        markdown: '',
+    },
+    {
+        name: 'heading with inline markup',
+        html: '<h2>A <em>b</em> <code>c</code></h2>',
+        markdown: 'A *b* `c`\n---------',
+    },
+    {
+        name: 'br inside a heading',
+        html: '<h3>A<br>B</h3>',
+        markdown: '### AB',
+        lossy: 'the line break is dropped without leaving a space',
+    },
+    {
+        name: 'figure and figcaption',
+        html: '<figure><img src="a.png" alt="A"><figcaption>Cap</figcaption></figure>',
+        markdown: '![A](a.png)\n\nCap',
+    },
+    {
+        name: 'text between blocks',
+        html: '<p>a</p>text<p>b</p>',
+        markdown: 'a\n\ntext\n\nb',
+    },
+];
@@ -0,0 +1,79 @@
+module.exports = [
+    {
+        name: 'asterisks and underscores are escaped',
+        html: '<p>*star* _under_ snake_case</p>',
+        markdown: '\\*star\\* \\_under\\_ snake\\_case',
+    },
+    {
+        name: 'escape_asterisks off',
+        html: '<p>2*3</p>',
+        options: { escape_asterisks: false },
+        markdown: '2*3',
+    },
+    {
+        name: 'escape_underscores off',
+        html: '<p>snake_case</p>',
+        options: { escape_underscores: false },
+        markdown: 'snake_case',
+    },
+    {
+        name: 'escape_misc',
+        html: '<p>a \\ b &amp; &lt;x&gt; [l] `c` ~t~ = + | - d 1. x</p>',
+        options: { escape_misc: true },
+        markdown: 'a \\\\ b \\& \\<x\\> \\[l\\] \\`c\\` \\~t\\~ \\= \\+ \\| \\- d 1\\. x',
+    },
+    {
+        name: 'escape_misc escapes block markers',
+        html: '<p># not heading</p><p>- not list</p><p>1. not ol</p>',
+        options: { escape_misc: true },
+        markdown: '\\# not heading\n\n\\- not list\n\n1\\. not ol',
+    },
+    {
+        name: 'block markers without escape_misc',
+        html: '<p># not heading</p><p>- not list</p>',
+        markdown: '# not heading\n\n- not list',
+        lossy: 'the paragraphs are read as a heading and a list',
+    },
+    {
+        name: 'smart escaping only escapes what would be markup',
+        html: '<p>snake_case_name 2*3 *em* [x] # h</p>',
+        options: { escape_mode: 'smart' },
+        markdown: 'snake_case_name 2\\*3 \\*em\\* \\[x\\] # h',
+    },
+    {
+        name: 'smart escaping of block markers',
+        html: '<p>1. a</p><p>+ b</p><p># c</p>',
+        options: { escape_mode: 'smart' },
+        markdown: '1\\. a\n\n\\+ b\n\n\\# c',
+    },
+    {
+        name: 'smart escaping of HTML and entities',
+        html: '<p>&lt;div&gt; &amp;amp; [x](y)</p>',
+        options: { escape_mode: 'smart' },
+        markdown: '\\<div> \\&amp; \\[x\\](y)',
+    },
+    {
+        name: 'smart escaping after a backslash from the text',
+        html: '<p>\\_\\_)</p><p>`code\\`</p><p>*a\\* b*</p>',
+        options: { escape_mode: 'smart' },
+        markdown: '\\\\\\_\\\\\\_)\n\n\\`code\\\\\\`\n\n\\*a\\\\\\* b\\*',
+    },
+    {
+        name: 'smart escaping of an underline after a quote marker',
+        html: '<p>a<br>&gt;<br>=</p><blockquote><p>&gt;<br>-</p></blockquote>',
+        options: { escape_mode: 'smart' },
+        markdown: 'a  \n\\>  \n\\=\n\n> \\>  \n> \\-',
+    },
+    {
+        name: 'escape_mode always',
+        html: '<p>*a*</p>',
+        options: { escape_mode: 'always' },
+        markdown: '\\*a\\*',
+    },
+    {
+        name: 'no escaping inside code',
+        html: '<p><code>*a*</code> <kbd>_b_</kbd></p><pre>*c*</pre>',
+        options: { escape_misc: true },
+        markdown: '`*a*` `_b_`\n\n```\n*c*\n```',
+    },
+];
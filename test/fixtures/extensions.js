@@ -0,0 +1,28 @@
+// Task lists and footnotes are not CommonMark, so these do not round-trip.
+module.exports = [
+    {
+        name: 'task_lists',
+        html: '<ul><li><input type="checkbox" checked> done</li><li><input type="checkbox"> todo</li></ul>',
+        options: { extensions: ['task_lists'] },
+        markdown: '* [x] done\n* [ ] todo',
+    },
+    {
+        name: 'checkboxes without task_lists',
+        html: '<ul><li><input type="checkbox" checked> done</li><li><input type="checkbox"> todo</li></ul>',
+        markdown: '* done\n* todo',
+    },
+    {
+        name: 'footnotes',
+        html: '<p>Fact<sup class="footnote-ref"><a href="#fn1" id="r1">1</a></sup></p>' +
+            '<section class="footnotes"><ol><li id="fn1"><p>Note ' +
+            '<a href="#r1" class="footnote-backref">↩</a></p></li></ol></section>',
+        options: { extensions: ['footnotes'] },
+        markdown: 'Fact[^1]\n\n[^1]: Note',
+    },
+    {
+        name: 'footnotes with a malformed escape in a fragment',
+        html: '<p><a href="#50%">half</a> <a href="#fn%2">x</a></p>',
+        options: { extensions: ['footnotes'] },
+        markdown: '[half](#50%) [x](#fn%2)',
+    },
+].map(fixture => ({ ...fixture, roundTrip: false }));
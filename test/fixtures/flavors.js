@@ -0,0 +1,56 @@
+module.exports = [
+    {
+        name: 'commonmark degrades strikethrough and tables',
+        html: '<p><del>x</del> <b>b</b></p><table><tr><th>a</th></tr><tr><td>1</td></tr></table>',
+        options: { flavor: 'commonmark' },
+        markdown: 'x **b**\n\n<table>\n<tr>\n<th>a</th></tr>\n<tr>\n<td>1</td></tr>\n</table>',
+        lossy: 'strikethrough becomes plain text',
+    },
+    {
+        name: 'gfm',
+        html: '<p><del>x</del> <u>u</u></p>',
+        options: { flavor: 'gfm' },
+        markdown: '~~x~~ u',
+        roundTrip: false,
+    },
+    {
+        name: 'multimarkdown',
+        html: '<p>H<sub>2</sub>O</p>',
+        options: { flavor: 'multimarkdown' },
+        markdown: 'H~2~O',
+        roundTrip: false,
+    },
+    {
+        name: 'slack',
+        html: '<h1>T</h1><p><b>b</b> <i>i</i> <a href="https://x.com">x</a></p>' +
+            '<table><tr><th>a</th></tr><tr><td>1</td></tr></table>',
+        options: { flavor: 'slack' },
+        markdown: '*T*\n\n*b* _i_ <https://x.com|x>\n\n```\n| a |\n| --- |\n| 1 |\n```',
+        roundTrip: false,
+    },
+    {
+        name: 'discord',
+        html: '<h1>T</h1><h4>small</h4><p><u>u</u></p><hr>',
+        options: { flavor: 'discord' },
+        markdown: '# T\n\n**small**\n\n__u__',
+        roundTrip: false,
+    },
+    {
+        name: 'explicit options win over the flavor',
+        html: '<h1>T</h1>',
+        options: { flavor: 'gfm', heading_style: 'underlined' },
+        markdown: 'T\n=',
+    },
+    {
+        name: 'gfm leaves dollar signs alone',
+        html: '<p>Costs $5 and $10.</p>',
+        options: { flavor: 'gfm' },
+        markdown: 'Costs $5 and $10.',
+    },
+    {
+        name: 'unknown flavor',
+        html: '<p>x</p>',
+        options: { flavor: 'nope' },
+        error: /Unknown flavor "nope"/,
+    },
+];
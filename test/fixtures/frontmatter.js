@@ -0,0 +1,83 @@
+// Front matter is not CommonMark, so none of these round-trip
+const head = '<html lang="en"><head><title>Post: "Intro"</title>' +
+    '<meta name="description" content="A short post.">' +
+    '<meta property="og:image" content="/cover.png">' +
+    '<meta property="article:published_time" content="2024-03-01">' +
+    '<meta name="keywords" content="js, markdown">' +
+    '<link rel="canonical" href="https://example.com/intro/">' +
+    '<base href="https://example.com/intro/"></head>';
+const page = head + '<body><p>Hello</p></body></html>';
+
+module.exports = [
+    {
+        name: 'head content is kept without front_matter',
+        html: '<head><title>T</title></head><body><p>x</p></body>',
+        markdown: 'T\n\nx',
+        roundTrip: false,
+    },
+    {
+        name: 'front_matter yaml',
+        html: page,
+        options: { front_matter: 'yaml' },
+        markdown: '---\ntitle: "Post: \\"Intro\\""\ndescription: A short post.\ndate: "2024-03-01"\n' +
+            'tags:\n  - js\n  - markdown\nimage: "https://example.com/cover.png"\n' +
+            'canonical: "https://example.com/intro/"\nlang: en\n---\n\nHello',
+        roundTrip: false,
+    },
+    {
+        name: 'front_matter toml',
+        html: page,
+        options: { front_matter: 'toml' },
+        markdown: '+++\ntitle = "Post: \\"Intro\\""\ndescription = "A short post."\ndate = "2024-03-01"\n' +
+            'tags = ["js", "markdown"]\nimage = "https://example.com/cover.png"\n' +
+            'canonical = "https://example.com/intro/"\nlang = "en"\n+++\n\nHello',
+        roundTrip: false,
+    },
+    {
+        name: 'front_matter json',
+        html: '<title>T</title><p>Hello</p>',
+        options: { front_matter: 'json' },
+        markdown: '{\n  "title": "T"\n}\n\nHello',
+        roundTrip: false,
+    },
+    {
+        name: 'front_matter falls back to OpenGraph and <time>',
+        html: '<meta property="og:title" content="OG title"><meta property="og:description" content="d">' +
+            '<p>Posted <time datetime="2023-12-24">Dec 24</time></p>',
+        options: { front_matter: 'yaml' },
+        markdown: '---\ntitle: OG title\ndescription: d\ndate: "2023-12-24"\n---\n\nPosted Dec 24',
+        roundTrip: false,
+    },
+    {
+        name: 'front_matter without metadata',
+        html: '<p>x</p>',
+        options: { front_matter: 'yaml' },
+        markdown: '---\n---\n\nx',
+        roundTrip: false,
+    },
+    {
+        name: 'front_matter_extractor',
+        html: page,
+        options: {
+            front_matter: 'toml',
+            front_matter_extractor: (doc, metadata) => ({
+                title: metadata.title.toUpperCase(),
+                description: null,
+                tags: undefined,
+                image: undefined,
+                canonical: undefined,
+                lang: undefined,
+                draft: true,
+                params: { words: doc.querySelector('p').textContent.split(' ').length },
+            }),
+        },
+        markdown: '+++\ntitle = "POST: \\"INTRO\\""\ndate = "2024-03-01"\ndraft = true\n\n[params]\nwords = 1\n+++\n\nHello',
+        roundTrip: false,
+    },
+    {
+        name: 'unknown front_matter format',
+        html: 'x',
+        options: { front_matter: 'xml' },
+        error: /Unknown front_matter format "xml"/,
+    },
+];
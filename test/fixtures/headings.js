@@ -0,0 +1,89 @@
+// Heading levels, anchors and the table of contents
+const article = '<h2 id="intro">Intro</h2><p>a</p><h4>Details &amp; more</h4><p>b</p>' +
+    '<h3>Details &amp; more</h3><h2>Usage</h2><p>See <a href="#intro">the intro</a>.</p>';
+
+module.exports = [
+    {
+        name: 'heading_offset shifts the levels',
+        html: '<h1>a</h1><h2>b</h2><h6>c</h6>',
+        options: { heading_offset: 1, heading_style: 'atx' },
+        markdown: '## a\n\n### b\n\n###### c',
+        lossy: 'the heading levels are shifted',
+    },
+    {
+        name: 'normalize_headings starts at level 1 and closes gaps',
+        html: article,
+        options: { normalize_headings: true, heading_style: 'atx' },
+        markdown: '# Intro\n\na\n\n## Details & more\n\nb\n\n## Details & more\n\n# Usage\n\nSee [the intro](#intro).',
+        lossy: 'the heading levels are renumbered',
+    },
+    {
+        name: 'normalize_headings with heading_offset',
+        html: '<h3>a</h3><h5>b</h5>',
+        options: { normalize_headings: true, heading_offset: 1 },
+        markdown: 'a\n-\n\n### b',
+        lossy: 'the heading levels are renumbered',
+    },
+    {
+        name: 'heading_anchors attribute keeps ids and adds slugs',
+        html: article,
+        options: { heading_anchors: 'attribute', heading_style: 'atx' },
+        markdown: '## Intro {#intro}\n\na\n\n#### Details & more {#details--more}\n\nb\n\n' +
+            '### Details & more {#details--more-1}\n\n## Usage {#usage}\n\nSee [the intro](#intro).',
+        roundTrip: false,
+    },
+    {
+        name: 'heading_anchors attribute in each heading style',
+        html: '<h1 id="a">A</h1><h3 id="c">C</h3>',
+        options: { heading_anchors: 'attribute', heading_style: 'atx_closed' },
+        markdown: '# A # {#a}\n\n### C ### {#c}',
+        roundTrip: false,
+    },
+    {
+        name: 'heading_anchors attribute with underlined headings',
+        html: '<h1 id="top">Title</h1><h2 id="has space">Sub</h2>',
+        options: { heading_anchors: 'attribute' },
+        markdown: 'Title {#top}\n============\n\nSub {#sub}\n----------',
+        roundTrip: false,
+    },
+    {
+        name: 'heading_anchors slug rewrites links to heading ids',
+        html: '<h1 id="s1">Getting started</h1><p><a href="#s1">up</a> <a href="#other">other</a></p>' +
+            '<h2 id="s2">Getting started</h2><p><a href="#s2">here</a></p>',
+        options: { heading_anchors: 'slug' },
+        markdown: 'Getting started\n===============\n\n[up](#getting-started) [other](#other)\n\n' +
+            'Getting started\n---------------\n\n[here](#getting-started-1)',
+        lossy: 'heading ids are dropped and links follow GitHub\'s slugs instead',
+    },
+    {
+        name: 'toc lists the headings',
+        html: article,
+        options: { toc: true, heading_style: 'atx' },
+        markdown: '* [Intro](#intro)\n  + [Details & more](#details--more)\n  + [Details & more](#details--more-1)\n' +
+            '* [Usage](#usage)\n\n## Intro\n\na\n\n#### Details & more\n\nb\n\n### Details & more\n\n## Usage\n\n' +
+            'See [the intro](#intro).',
+        lossy: 'the table of contents is not in the HTML',
+    },
+    {
+        name: 'toc_max_level and escaped heading text',
+        html: '<h1>The *best* page</h1><h2>Part_1</h2><h3>Deep</h3>',
+        options: { toc: true, toc_max_level: 2, heading_anchors: 'attribute', normalize_headings: true },
+        markdown: '* [The \\*best\\* page](#the-best-page)\n  + [Part\\_1](#part_1)\n\n' +
+            'The \\*best\\* page {#the-best-page}\n==================================\n\n' +
+            'Part\\_1 {#part_1}\n-----------------\n\n### Deep {#deep}',
+        roundTrip: false,
+    },
+    {
+        name: 'toc after front matter',
+        html: '<title>T</title><h2>A</h2>',
+        options: { toc: true, front_matter: 'yaml' },
+        markdown: '---\ntitle: T\n---\n\n* [A](#a)\n\nA\n-',
+        roundTrip: false,
+    },
+    {
+        name: 'unknown heading_anchors mode',
+        html: '<h1>a</h1>',
+        options: { heading_anchors: 'pandoc' },
+        error: /Unknown heading_anchors mode "pandoc", expected one of: attribute, slug/,
+    },
+];
@@ -0,0 +1,110 @@
+module.exports = [
+    {
+        name: 'elements without a converter are unwrapped',
+        html: '<p>a <u>b</u> <mark>c</mark></p>',
+        markdown: 'a b c',
+    },
+    {
+        name: 'keep_html unknown',
+        html: '<p>a <u>under</u> <mark>hi <b>b</b></mark> <abbr title="HyperText">HTML</abbr> <span style="x">s</span></p>',
+        options: { keep_html: 'unknown' },
+        markdown: 'a <u>under</u> <mark>hi **b**</mark> <abbr title="HyperText">HTML</abbr> s',
+    },
+    {
+        name: 'keep_html with a tag list drops unsafe attributes',
+        html: '<p><ins datetime="2020-01-01" onclick="x()">new</ins> <del cite="javascript:x()">old</del></p>',
+        options: { keep_html: ['ins', 'del'] },
+        markdown: '<ins datetime="2020-01-01">new</ins> <del>old</del>',
+    },
+    {
+        name: 'keep_html predicate',
+        html: '<p><span class="kbd">Ctrl</span> <span>x</span></p>',
+        options: { keep_html: el => el.getAttribute('class') === 'kbd' },
+        markdown: '<span>Ctrl</span> x',
+    },
+    {
+        name: 'keep_html block element',
+        html: '<dialog open><p>Hi <b>there</b></p><p>p2</p></dialog><custom-el>x</custom-el>',
+        options: { keep_html: 'unknown' },
+        markdown: '<dialog>\n\nHi **there**\n\np2\n\n</dialog>\n\n<custom-el>x</custom-el>',
+    },
+    {
+        name: 'keep_html leaves code and unsafe elements alone',
+        html: '<pre><u>x</u></pre><form><p>f</p></form>',
+        options: { keep_html: 'unknown' },
+        markdown: '```\nx\n```\n\nf',
+    },
+    {
+        name: 'details without keep_html',
+        html: '<details open><summary>More <b>info</b></summary><p>Body</p></details>',
+        markdown: 'More **info**\n\nBody',
+    },
+    {
+        name: 'details kept',
+        html: '<details open><summary>More <b>info</b></summary><p>Body <i>x</i></p><p>p2</p></details>',
+        options: { keep_html: ['details'] },
+        markdown: '<details open="">\n<summary>More <b>info</b></summary>\n\nBody *x*\n\np2\n\n</details>',
+    },
+    {
+        name: 'details in the gfm flavor',
+        html: '<details><summary>S</summary>text</details>',
+        options: { flavor: 'gfm' },
+        markdown: '<details>\n<summary>S</summary>\n\ntext\n\n</details>',
+    },
+    {
+        name: 'keep_html is ignored in dialects without HTML',
+        html: '<details><summary>S</summary>text</details><p><u>u</u></p>',
+        options: { flavor: 'slack', keep_html: 'unknown' },
+        markdown: 'S\n\ntext\n\nu',
+        roundTrip: false,
+    },
+    {
+        name: 'video with a poster',
+        html: '<video src="/v.mp4" poster="/p.jpg" controls title="Demo">Fallback</video>',
+        options: { base_url: 'https://example.com/' },
+        markdown: '[![Demo](https://example.com/p.jpg)](https://example.com/v.mp4)',
+        lossy: 'the video becomes a link',
+    },
+    {
+        name: 'video and audio sources',
+        html: '<p><video controls><source src="a.webm"><source src="a.mp4"></video> <audio src="s.mp3"></audio></p>',
+        markdown: '[Video](a.webm) [Audio](s.mp3)',
+        lossy: 'the media become links',
+    },
+    {
+        name: 'video without a source writes its fallback content',
+        html: '<video>No video</video>',
+        markdown: 'No video',
+    },
+    {
+        name: 'video kept',
+        html: '<video controls onplay="x()"><source src="a.webm" type="video/webm">Sorry</video>',
+        options: { keep_html: 'unknown' },
+        markdown: '<video controls=""><source src="a.webm" type="video/webm">Sorry</video>',
+    },
+    {
+        name: 'iframe',
+        html: '<iframe src="https://example.com/map" width="600"></iframe>',
+        markdown: '[Embedded content](https://example.com/map)',
+        lossy: 'the frame becomes a link',
+    },
+    {
+        name: 'YouTube iframe',
+        html: '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" title="Talk"></iframe>',
+        markdown: '[![Talk](https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg)](https://www.youtube.com/watch?v=dQw4w9WgXcQ)',
+        lossy: 'the frame becomes a thumbnail link',
+    },
+    {
+        name: 'iframe kept',
+        html: '<iframe src="https://example.com/map" width="600" onload="x()"></iframe>',
+        options: { keep_html: ['iframe'] },
+        markdown: '<iframe src="https://example.com/map" width="600"></iframe>',
+    },
+    {
+        name: 'iframe kept only with a safe URL',
+        html: '<iframe src="java&#9;script:alert(1)"></iframe><iframe src="data:image/svg+xml,%3Csvg%2F%3E"></iframe>' +
+            '<iframe src=" &#1;JavaScript:x()"></iframe><iframe src="map?a=b:c"></iframe>',
+        options: { keep_html: ['iframe'] },
+        markdown: '<iframe></iframe><iframe></iframe><iframe></iframe><iframe src="map?a=b:c"></iframe>',
+    },
+];
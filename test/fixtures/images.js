@@ -0,0 +1,89 @@
+// Image sources, sizes, data: URIs and the image_handler hook
+const dot = 'data:image/png;base64,iVBORw0KGgo=';
+const picture = '<picture><source media="(max-width: 600px)" srcset="small.webp 600w">' +
+    '<source srcset="medium.webp 800w, large.webp 1600w"><img src="fallback.jpg" srcset="wide.jpg 1200w" alt="P"></picture>';
+
+module.exports = [
+    {
+        name: 'lazy-loaded image with a placeholder src',
+        html: '<p><img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" data-src="/real.png" alt="a"></p>',
+        markdown: '![a](/real.png)',
+        lossy: 'the placeholder src is replaced by the lazy-loaded image',
+    },
+    {
+        name: 'srcset of an image without src',
+        html: '<p><img srcset="data:image/png;base64,AAA= 1x, big.png 2x" alt="a"></p>',
+        markdown: '![a](big.png)',
+        lossy: 'only the largest srcset candidate is kept',
+    },
+    {
+        name: 'the src of a <picture> is kept by default',
+        html: picture,
+        markdown: '![P](fallback.jpg)',
+    },
+    {
+        name: 'image_source largest picks from srcset and <picture> sources',
+        html: picture,
+        options: { image_source: 'largest' },
+        markdown: '![P](large.webp)',
+        lossy: 'only the largest image source is kept',
+    },
+    {
+        name: 'image_size attribute',
+        html: '<p><img src="a.png" alt="a" width="100" height="50px"> <img src="b.png" alt="b" width="auto"></p>',
+        options: { image_size: 'attribute' },
+        markdown: '![a](a.png){width=100 height=50} ![b](b.png)',
+        roundTrip: false,
+    },
+    {
+        name: 'image_size html',
+        html: '<p><img src="a.png" alt="&quot;a&quot;" title="t" width="100"></p>',
+        options: { image_size: 'html' },
+        markdown: '<img src="a.png" alt="&quot;a&quot;" title="t" width="100">',
+    },
+    {
+        name: 'image_size html drops script URLs',
+        html: '<p><img src="javascript:alert(1)" alt="a" width="10"> <img src="java&#9;script:x()" alt="b" height="5"></p>',
+        options: { image_size: 'html' },
+        markdown: '<img alt="a" width="10"> <img alt="b" height="5">',
+        lossy: 'the javascript: URLs are dropped',
+    },
+    {
+        name: 'image_data_uris drop',
+        html: `<p>x <img src="${dot}" alt="dot"> <img src="/y.png" alt="y"></p>`,
+        options: { image_data_uris: 'drop' },
+        markdown: 'x dot ![y](/y.png)',
+        lossy: 'the data: image is replaced by its alt text',
+    },
+    {
+        name: 'image_data_uris extract with an image_writer',
+        html: `<p><img src="${dot}" alt="a"><img src="data:image/svg+xml,%3Csvg%2F%3E" alt="b"><img src="${dot}" alt="c"></p>`,
+        options: {
+            image_data_uris: 'extract',
+            image_dir: '/assets',
+            image_writer: (data, { name, mimeType }, converter) => (
+                `${converter.options.image_dir}/${mimeType === 'image/png' ? data.length : 'svg'}/${name}`
+            ),
+        },
+        markdown: '![a](/assets/8/image-255c756c.png)![b](/assets/svg/image-1fe3d242.svg)![c](/assets/8/image-255c756c.png)',
+        lossy: 'the data: images are linked to where they were written',
+    },
+    {
+        name: 'image_handler',
+        html: '<p><img src="a.gif" alt="anim"> <img src="b.png" alt="b"> <img src="c.png" alt="c"></p>',
+        options: {
+            image_handler: (img, { src, alt }) => {
+                if (src.endsWith('.gif')) return `[GIF: ${alt}](${src})`;
+                return alt === 'c' ? { src: '/cdn/' + src, title: 'C' } : null;
+            },
+        },
+        markdown: '[GIF: anim](a.gif) ![b](b.png) ![c](/cdn/c.png "C")',
+        lossy: 'the image_handler rewrites the images',
+    },
+    {
+        name: 'unknown image_source mode',
+        html: '<img src="a.png">',
+        options: { image_source: 'smallest' },
+        error: /Unknown image_source mode "smallest", expected one of: src, largest/,
+    },
+];
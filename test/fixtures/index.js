@@ -0,0 +1,26 @@
+// Fixtures are grouped by area, one module per file, each exporting an array
+// of cases:
+//
+//   name       what the case shows
+//   html       the input
+//   options    converter options (default {})
+//   markdown   the expected output, or
+//   error      a RegExp the thrown error message must match
+//   lossy      why the conversion is known not to round-trip; the
+//              round-trip test fails once it does, so the note can go
+//   roundTrip  false when the output is not meant to be read as CommonMark
+const fs = require('fs');
+const path = require('path');
+
+function loadFixtures() {
+    return fs.readdirSync(__dirname)
+        .filter(file => file.endsWith('.js') && file !== 'index.js')
+        .sort()
+        .flatMap(file => require(path.join(__dirname, file)).map(fixture => ({
+            file,
+            options: {},
+            ...fixture,
+        })));
+}
+
+module.exports = { loadFixtures };
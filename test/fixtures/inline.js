@@ -0,0 +1,112 @@
+module.exports = [
+    {
+        name: 'b',
+        html: '<b>Hello</b>',
+        markdown: '**Hello**',
+    },
+    {
+        name: 'strong',
+        html: '<strong>Hello</strong>',
+        markdown: '**Hello**',
+    },
+    {
+        name: 'b keeps surrounding whitespace outside the markers',
+        html: '<p>x<b> Hello </b>world</p>',
+        markdown: 'x **Hello** world',
+    },
+    {
+        name: 'empty b',
+        html: '<p><b></b>x</p>',
+        markdown: 'x',
+    },
+    {
+        name: 'b nested in b',
+        html: '<b>a <b>b</b> c</b>',
+        markdown: '**a **b** c**',
+    },
+    {
+        name: 'em and i',
+        html: '<em>Hi</em> <i>there</i>',
+        markdown: '*Hi* *there*',
+    },
+    {
+        name: 'code',
+        html: '<code>*this_should_not_escape*</code>',
+        markdown: '`*this_should_not_escape*`',
+    },
+    {
+        name: 'code containing a backtick',
+        html: '<code>a`b</code>',
+        markdown: '``a`b``',
+    },
+    {
+        name: 'code starting with a backtick is padded',
+        html: '<code>`tick</code>',
+        markdown: '`` `tick ``',
+    },
+    {
+        name: 'code ignores markup inside',
+        html: '<code>a <b>bold</b> _b_</code>',
+        markdown: '`a bold _b_`',
+    },
+    {
+        name: 'kbd and samp',
+        html: '<kbd>Ctrl</kbd> <samp>out</samp>',
+        markdown: '`Ctrl` `out`',
+    },
+    {
+        name: 'del and s',
+        html: '<del>Gone</del> <s>struck</s>',
+        markdown: '~~Gone~~ ~~struck~~',
+        lossy: 'CommonMark has no strikethrough',
+    },
+    {
+        name: 'sub and sup without symbols',
+        html: 'H<sub>2</sub>O x<sup>2</sup>',
+        markdown: 'H2O x2',
+        lossy: 'sub and sup are written as plain text by default',
+    },
+    {
+        name: 'br',
+        html: 'a<br>b',
+        markdown: 'a  \nb',
+    },
+    {
+        name: 'br followed by a newline',
+        html: '<p>a<br>\nb</p>',
+        markdown: 'a  \n\nb',
+        lossy: 'the newline after <br> is kept, which ends the paragraph',
+    },
+    {
+        name: 'br after a space',
+        html: '<p>a x <br>b</p><p>c <br> d</p>',
+        markdown: 'a x  \nb\n\nc  \n d',
+    },
+    {
+        name: 'br after a space with wrap',
+        html: '<p>a x <br> b</p>',
+        options: { wrap: true, wrap_width: 20 },
+        markdown: 'a x  \nb',
+    },
+    {
+        name: 'img',
+        html: '<img src="/path/to/img.jpg" alt="Alt text" title="Optional title">',
+        markdown: '![Alt text](/path/to/img.jpg "Optional title")',
+    },
+    {
+        name: 'img without alt',
+        html: '<img src="/p.jpg">',
+        markdown: '![](/p.jpg)',
+    },
+    {
+        name: 'img inside a heading becomes its alt text',
+        html: '<h3>A <img src="/p.jpg" alt="Alt"></h3>',
+        markdown: '### A Alt',
+        lossy: 'images in headings are replaced by their alt text unless keep_inline_images_in',
+    },
+    {
+        name: 'script and style are dropped',
+        html: '<script>var x</script><style>p{}</style>ok',
+        markdown: 'ok',
+    },
+];
@@ -0,0 +1,90 @@
+module.exports = [
+    {
+        name: 'a',
+        html: '<a href="https://google.com">Google</a>',
+        markdown: '[Google](https://google.com)',
+    },
+    {
+        name: 'a with a title',
+        html: '<a href="http://google.com" title="The &quot;Goog&quot;">Google</a>',
+        markdown: '[Google](http://google.com "The \\"Goog\\"")',
+    },
+    {
+        name: 'a without href',
+        html: '<a>no href</a>',
+        markdown: 'no href',
+    },
+    {
+        name: 'a with inline markup',
+        html: '<a href="/x"><b>bold</b> link</a>',
+        markdown: '[**bold** link](/x)',
+    },
+    {
+        name: 'a with spaces in the href',
+        html: '<a href="https://x.com/a b">x</a>',
+        markdown: '[x](https://x.com/a b)',
+        lossy: 'the space ends the link destination',
+    },
+    {
+        name: 'autolink',
+        html: '<a href="https://google.com">https://google.com</a>',
+        markdown: '<https://google.com>',
+    },
+    {
+        name: 'img in a link',
+        html: '<a href="/big.png"><img src="/small.png" alt="pic"></a>',
+        markdown: '[![pic](/small.png)](/big.png)',
+    },
+    {
+        name: 'reference links',
+        html: '<p><a href="/a">A</a> <a href="/b" title="B">B</a> <a href="/a">again</a></p>' +
+            '<h2>S</h2><p><img src="/i.png" alt="I"></p>',
+        options: { link_style: 'reference' },
+        markdown: '[A][1] [B][2] [again][1]\n\nS\n-\n\n![I][3]\n\n[1]: /a\n[2]: /b "B"\n[3]: /i.png',
+    },
+    {
+        name: 'reference links at the end of each section',
+        html: '<p><a href="/a">A</a></p><h2>S</h2><p><a href="/b">B</a></p>',
+        options: { link_style: 'reference', link_reference_position: 'section' },
+        markdown: '[A][1]\n\n[1]: /a\n\nS\n-\n\n[B][2]\n\n[2]: /b',
+    },
+    {
+        name: 'reference labels from the link text',
+        html: '<p><a href="/a">Alpha Beta</a></p>',
+        options: { link_style: 'reference', link_reference_label: 'slug' },
+        markdown: '[Alpha Beta][alpha-beta]\n\n[alpha-beta]: /a',
+    },
+    {
+        name: 'collapsed reference links',
+        html: '<p><a href="/a">Alpha</a></p>',
+        options: { link_style: 'collapsed' },
+        markdown: '[Alpha][]\n\n[Alpha]: /a',
+    },
+    {
+        name: 'base_url',
+        html: '<a href="x/y">rel</a> <img src="../i.png"> <a href="#top">top</a>',
+        options: { base_url: 'https://ex.com/a/b.html' },
+        markdown: '[rel](https://ex.com/a/x/y) ![](https://ex.com/i.png) [top](#top)',
+        lossy: 'relative URLs are resolved',
+    },
+    {
+        name: 'base element',
+        html: '<head><base href="https://ex.com/d/"></head><a href="p">p</a>',
+        markdown: '[p](https://ex.com/d/p)',
+        lossy: 'relative URLs are resolved',
+    },
+    {
+        name: 'url_transform dropping a URL',
+        html: '<a href="javascript:alert(1)">x</a> <a href="/y">y</a>',
+        options: { url_transform: url => (url.startsWith('javascript:') ? null : url) },
+        markdown: 'x [y](/y)',
+        lossy: 'the javascript: link is dropped',
+    },
+    {
+        name: 'url_transform rewriting a URL',
+        html: '<img src="/a.png" alt="a">',
+        options: { url_transform: (url, { kind }) => (kind === 'image' ? 'https://cdn.test' + url : url) },
+        markdown: '![a](https://cdn.test/a.png)',
+        lossy: 'the image URL is rewritten',
+    },
+];
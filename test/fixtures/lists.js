@@ -0,0 +1,110 @@
+module.exports = [
+    {
+        name: 'ul',
+        html: '<ul><li>a</li><li>b</li></ul>',
+        markdown: '* a\n* b',
+    },
+    {
+        name: 'ol',
+        html: '<ol><li>a</li><li>b</li></ol>',
+        markdown: '1. a\n2. b',
+    },
+    {
+        name: 'ol start',
+        html: '<ol start="3"><li>a</li><li>b</li></ol>',
+        markdown: '3. a\n4. b',
+    },
+    {
+        name: 'ol with a non-numeric start counts from 1',
+        html: '<ol start="foo"><li>a</li></ol>',
+        markdown: '1. a',
+    },
+    {
+        name: 'nested ul cycles through the bullets',
+        html: '<ul><li>a<ul><li>b<ul><li>c<ul><li>d</li></ul></li></ul></li></ul></li></ul>',
+        markdown: '* a\n  + b\n    - c\n      * d',
+    },
+    {
+        name: 'ol nested in ol',
+        html: '<ol><li>x<ol><li>y</li></ol></li></ol>',
+        markdown: '1. x\n   1. y',
+    },
+    {
+        name: 'ul nested in ol',
+        html: '<ol><li>x<ul><li>y</li></ul></li><li>z</li></ol>',
+        markdown: '1. x\n   * y\n2. z',
+    },
+    {
+        name: 'li with paragraphs makes the list loose',
+        html: '<ul><li><p>a</p><p>b</p></li><li>c</li></ul>',
+        markdown: '* a\n\n  b\n\n* c',
+    },
+    {
+        name: 'loose ol',
+        html: '<ol><li><p>a</p></li><li><p>b</p></li></ol>',
+        markdown: '1. a\n\n2. b',
+    },
+    {
+        name: 'li with a code block stays tight',
+        html: '<ul><li>a<pre>code</pre></li><li>b</li></ul>',
+        markdown: '* a\n  ```\n  code\n  ```\n* b',
+    },
+    {
+        name: 'code block in a loose list',
+        html: '<ul><li><p>a</p><pre>code</pre></li></ul>',
+        markdown: '* a\n\n  ```\n  code\n  ```',
+    },
+    {
+        name: 'code block in a list in a blockquote',
+        html: '<blockquote><ol><li>a</li><li>b<pre>x\n\ny</pre></li></ol></blockquote>',
+        markdown: '> 1. a\n> 2. b\n>    ```\n>    x\n>\n>    y\n>    ```',
+    },
+    {
+        name: 'list and blockquote in a nested item',
+        html: '<ul><li>a<ol><li>b<blockquote><p>q</p><ul><li>c</li></ul></blockquote></li></ol></li></ul>',
+        markdown: '* a\n  1. b\n     > q\n     >\n     > + c',
+    },
+    {
+        name: 'ol numbers past 9 indent by their own width',
+        html: '<ol start="9"><li>a<ul><li>x</li></ul></li><li>b<ul><li>y</li></ul><pre>z</pre></li></ol>',
+        markdown: '9. a\n   * x\n10. b\n    * y\n    ```\n    z\n    ```',
+    },
+    {
+        name: 'ol start beyond nine digits',
+        html: '<ol start="1234567890"><li>a</li><li>b</li></ol>',
+        markdown: '999999999. a\n999999999. b',
+        lossy: 'CommonMark list numbers have at most nine digits',
+    },
+    {
+        name: 'adjacent lists of the same type switch markers',
+        html: '<ul><li>a</li></ul><ul><li>b</li></ul><ul><li>c</li></ul><ol><li>d</li></ol><ol><li>e</li></ol>',
+        markdown: '* a\n\n+ b\n\n* c\n\n1. d\n\n1) e',
+    },
+    {
+        name: 'adjacent lists with a single bullet are separated by a comment',
+        html: '<ul><li>a</li></ul><ul><li>b</li></ul>',
+        options: { bullets: '-' },
+        markdown: '- a\n\n<!-- -->\n\n- b',
+    },
+    {
+        name: 'empty li is dropped',
+        html: '<ul><li>a</li><li></li><li>b</li></ul>',
+        markdown: '* a\n* b',
+    },
+    {
+        name: 'list between paragraphs',
+        html: '<p>before</p><ul><li>a</li></ul><p>after</p>',
+        markdown: 'before\n\n* a\n\nafter',
+    },
+    {
+        name: 'text right after a list',
+        html: '<ul><li>a</li></ul>text',
+        markdown: '* a\n\ntext',
+    },
+    {
+        name: 'dl',
+        html: '<dl><dt>Term</dt><dd>Def</dd><dd>Def2</dd><dt>T2</dt><dd><p>p1</p><p>p2</p></dd></dl>',
+        markdown: 'Term\n:   Def\n:   Def2\n\nT2\n:   p1\n\n    p2',
+        lossy: 'CommonMark has no definition lists',
+    },
+];
@@ -0,0 +1,77 @@
+// Equations and diagrams. `$` math is not CommonMark, so the math cases do
+// not round-trip
+const katexInline = '<span class="katex"><span class="katex-mathml"><math><semantics><mrow><msup><mi>e</mi>' +
+    '<mrow><mi>i</mi><mi>π</mi></mrow></msup></mrow><annotation encoding="application/x-tex">e^{i\\pi}</annotation>' +
+    '</semantics></math></span><span class="katex-html" aria-hidden="true"><span class="base">eiπ</span></span></span>';
+const katexDisplay = '<span class="katex-display"><span class="katex"><span class="katex-mathml"><math display="block">' +
+    '<semantics><mrow><mo>∫</mo></mrow><annotation encoding="application/x-tex">\\int_0^1 x\\,dx</annotation>' +
+    '</semantics></math></span><span class="katex-html" aria-hidden="true">∫x</span></span></span>';
+
+module.exports = [
+    {
+        name: 'katex',
+        html: `<p>Euler: ${katexInline} costs $5.</p><p>${katexDisplay}</p>`,
+        options: { extensions: ['math'] },
+        markdown: 'Euler: $e^{i\\pi}$ costs \\$5.\n\n$$\n\\int_0^1 x\\,dx\n$$',
+        roundTrip: false,
+    },
+    {
+        name: 'mathml without the math extension',
+        html: '<p>Area: <math><mi>π</mi><msup><mi>r</mi><mn>2</mn></msup></math></p>',
+        markdown: 'Area: πr2',
+    },
+    {
+        name: 'mathml without a TeX annotation',
+        html: '<p><math display="block"><mi>x</mi><mo>+</mo><mn>1</mn></math></p>',
+        options: { extensions: ['math'] },
+        markdown: 'x+1',
+    },
+    {
+        name: 'mathml in a heading stays inline',
+        html: '<h2>On <math display="block"><semantics><mi>x</mi><annotation encoding="TeX">x^2</annotation></semantics></math></h2>',
+        options: { extensions: ['math'], heading_style: 'atx' },
+        markdown: '## On $x^2$',
+        roundTrip: false,
+    },
+    {
+        name: 'mathjax scripts',
+        html: '<p>Inline <span class="MathJax_Preview">x2</span><span class="MathJax" id="MathJax-Element-1-Frame">x2</span>' +
+            '<script type="math/tex" id="MathJax-Element-1">x^2</script> and</p>' +
+            '<div class="MathJax_Display"><span class="MathJax">Σ</span></div>' +
+            '<script type="math/tex; mode=display">\\sum_i a_i</script><script>track()</script>',
+        options: { extensions: ['math'] },
+        markdown: 'Inline $x^2$ and\n\n$$\n\\sum_i a_i\n$$',
+        roundTrip: false,
+    },
+    {
+        name: 'dollar signs are escaped with the math extension',
+        html: '<p>From $5 to $10, or <code>$x</code></p><p>Only $5.</p>',
+        options: { extensions: ['math'] },
+        markdown: 'From \\$5 to \\$10, or `$x`\n\nOnly \\$5.',
+    },
+    {
+        name: 'smart escape_mode escapes dollar signs that could pair up',
+        html: '<p>From $5 to $10, or <code>$x</code></p><p>Only $5.</p>',
+        options: { extensions: ['math'], escape_mode: 'smart' },
+        markdown: 'From \\$5 to \\$10, or `$x`\n\nOnly $5.',
+    },
+    {
+        name: 'gfm with the math extension',
+        html: '<p>a <math><annotation encoding="application/x-tex">\\alpha</annotation></math> costs $5</p>',
+        options: { flavor: 'gfm', extensions: ['task_lists', 'footnotes', 'math'] },
+        markdown: 'a $\\alpha$ costs \\$5',
+        roundTrip: false,
+    },
+    {
+        name: 'mermaid diagrams',
+        html: '<div class="mermaid">\n    graph TD\n      A --> B\n</div>' +
+            '<pre class="mermaid">sequenceDiagram\n  A->>B: hi</pre>',
+        markdown: '```mermaid\ngraph TD\n  A --> B\n```\n\n```mermaid\nsequenceDiagram\n  A->>B: hi\n```',
+        lossy: 'the diagram <div> becomes a code block',
+    },
+    {
+        name: 'a rendered mermaid diagram has no source left',
+        html: '<div class="mermaid"><svg><text>A</text></svg></div>',
+        markdown: 'A',
+    },
+];
@@ -0,0 +1,236 @@
+const { parseHTML } = require('../../html-parser');
+
+module.exports = [
+    {
+        name: 'autolinks off',
+        html: '<a href="https://google.com">https://google.com</a>',
+        options: { autolinks: false },
+        markdown: '[https://google.com](https://google.com)',
+    },
+    {
+        name: 'bullets',
+        html: '<ul><li>a<ul><li>b</li></ul></li></ul>',
+        options: { bullets: '-' },
+        markdown: '- a\n  - b',
+    },
+    {
+        name: 'code_fence',
+        html: '<pre>x</pre>',
+        options: { code_fence: '~~~' },
+        markdown: '~~~\nx\n~~~',
+    },
+    {
+        name: 'code_language',
+        html: '<pre>x</pre>',
+        options: { code_language: 'js' },
+        markdown: '```js\nx\n```',
+        lossy: 'the code gets a language the HTML did not give it',
+    },
+    {
+        name: 'code_language_callback',
+        html: '<pre class="highlight-source-rb">x</pre><pre data-lang="go">y</pre>',
+        options: { code_language_callback: el => el.getAttribute('data-lang') },
+        markdown: '```rb\nx\n```\n\n```go\ny\n```',
+        lossy: 'the code gets a language the HTML did not give it',
+    },
+    {
+        name: 'convert',
+        html: '<b>a</b><i>b</i>',
+        options: { convert: ['b'] },
+        markdown: '**a**b',
+        lossy: 'only <b> is converted',
+    },
+    {
+        name: 'strip',
+        html: '<b>a</b><i>b</i>',
+        options: { strip: ['b'] },
+        markdown: 'a*b*',
+        lossy: '<b> is stripped',
+    },
+    {
+        name: 'strip and convert together',
+        html: 'x',
+        options: { strip: ['a'], convert: ['b'] },
+        error: /either tags to strip or tags to convert/,
+    },
+    {
+        name: 'default_title',
+        html: '<a href="/x">Link</a>',
+        options: { default_title: true },
+        markdown: '[Link](/x "/x")',
+        lossy: 'the href is added as the title',
+    },
+    {
+        name: 'definition_list_style bold',
+        html: '<dl><dt>Term</dt><dd>Def</dd></dl>',
+        options: { definition_list_style: 'bold' },
+        markdown: '**Term**\n\nDef',
+        lossy: 'the list becomes paragraphs',
+    },
+    {
+        name: 'definition_list_style bold with strong_em_symbol',
+        html: '<dl><dt>Term</dt><dd>Def</dd></dl>',
+        options: { definition_list_style: 'bold', strong_em_symbol: '_' },
+        markdown: '__Term__\n\nDef',
+        lossy: 'the list becomes paragraphs',
+    },
+    {
+        name: 'definition_list_style html',
+        html: '<dl><dt>Term</dt><dd>Def</dd></dl>',
+        options: { definition_list_style: 'html' },
+        markdown: '<dl>\n<dt>Term</dt>\n<dd>Def</dd>\n</dl>',
+    },
+    {
+        name: 'heading_style atx',
+        html: '<h1>Hello</h1>',
+        options: { heading_style: 'atx' },
+        markdown: '# Hello',
+    },
+    {
+        name: 'heading_style atx_closed',
+        html: '<h2>Hello</h2>',
+        options: { heading_style: 'atx_closed' },
+        markdown: '## Hello ##',
+    },
+    {
+        name: 'keep_inline_images_in',
+        html: '<h3>A <img src="/p.jpg" alt="Alt"></h3>',
+        options: { keep_inline_images_in: ['h3'] },
+        markdown: '### A ![Alt](/p.jpg)',
+    },
+    {
+        name: 'newline_style backslash',
+        html: 'a<br>b',
+        options: { newline_style: 'backslash' },
+        markdown: 'a\\\nb',
+    },
+    {
+        name: 'normalize_whitespace off keeps trailing spaces in code',
+        html: '<pre>x   \n</pre>',
+        options: { normalize_whitespace: false },
+        markdown: '```\nx   \n\n```',
+        lossy: 'the final newline of the code becomes an extra blank line',
+    },
+    {
+        name: 'parser',
+        html: '<p>a</p>',
+        options: { parser: html => parseHTML(html.replace('a', 'b')) },
+        markdown: 'b',
+        roundTrip: false,
+    },
+    {
+        name: 'rules',
+        html: '<p><u>u</u> <b>b</b></p>',
+        options: { rules: { u: (el, text) => `<u>${text}</u>` } },
+        markdown: '<u>u</u> **b**',
+    },
+    {
+        name: 'transforms',
+        html: '<p>x</p>',
+        options: { transforms: [text => text.toUpperCase()] },
+        markdown: 'X',
+        roundTrip: false,
+    },
+    {
+        name: 'strip_document off',
+        html: '<p>a</p>',
+        options: { strip_document: null },
+        markdown: '\n\na\n\n',
+    },
+    {
+        name: 'strip_document lstrip',
+        html: '<p>a</p>',
+        options: { strip_document: 'lstrip' },
+        markdown: 'a\n\n',
+    },
+    {
+        name: 'strip_document rstrip',
+        html: '<p>a</p>',
+        options: { strip_document: 'rstrip' },
+        markdown: '\n\na',
+    },
+    {
+        name: 'strong_em_symbol',
+        html: '<strong>a</strong> <em>b</em>',
+        options: { strong_em_symbol: '_' },
+        markdown: '__a__ _b_',
+    },
+    {
+        name: 'sub_symbol and sup_symbol',
+        html: 'H<sub>2</sub>O x<sup>2</sup>',
+        options: { sub_symbol: '~', sup_symbol: '^' },
+        markdown: 'H~2~O x^2^',
+        lossy: 'CommonMark has no sub or sup syntax',
+    },
+    {
+        name: 'sup_symbol as a tag',
+        html: 'a<sup>2</sup>',
+        options: { sup_symbol: '<sup>' },
+        markdown: 'a<sup>2</sup>',
+    },
+    {
+        name: 'table_fallback html',
+        html: '<table><tr><th>a</th></tr><tr><td><ul><li>x</li></ul></td></tr></table>',
+        options: { table_fallback: 'html' },
+        markdown: '<table>\n<tr>\n<th>a</th></tr>\n<tr>\n<td><ul>\n<li>x</li>\n</ul>\n</td></tr>\n</table>',
+    },
+    {
+        name: 'table_fallback html drops script URLs split by whitespace',
+        html: '<table><tr><th><a href="java&#10;script:alert(1)">a</a></th></tr>' +
+            '<tr><td><ul><li><a href="/x">x</a></li></ul></td></tr></table>',
+        options: { table_fallback: 'html' },
+        markdown: '<table>\n<tr>\n<th><a>a</a></th></tr>\n<tr>\n<td><ul>\n<li><a href="/x">x</a></li>\n</ul>\n</td></tr>\n</table>',
+        lossy: 'the javascript: URL is dropped',
+    },
+    {
+        name: 'table_infer_header',
+        html: '<table><tr><td>1</td><td>2</td></tr></table>',
+        options: { table_infer_header: true },
+        markdown: '| 1 | 2 |\n| --- | --- |',
+        roundTrip: false,
+    },
+    {
+        name: 'table_pad_columns and alignment',
+        html: '<table><thead><tr><th align="right">a</th><th style="text-align:center">bb</th></tr></thead>' +
+            '<tbody><tr><td>1</td><td>2</td></tr></tbody></table>',
+        options: { table_pad_columns: true },
+        markdown: '|   a | bb  |\n| --: | :-: |\n|   1 |  2  |',
+        roundTrip: false,
+    },
+    {
+        name: 'wrap',
+        html: '<p>one two three four five six seven</p>',
+        options: { wrap: true, wrap_width: 10 },
+        markdown: 'one two\nthree four\nfive six\nseven',
+    },
+    {
+        name: 'wrap keeps links whole',
+        html: '<p>one <a href="/a-very-long-url">link text here</a> three four five</p>',
+        options: { wrap: true, wrap_width: 20 },
+        markdown: 'one\n[link text here](/a-very-long-url)\nthree four five',
+    },
+    {
+        name: 'wrap with list and quote prefixes',
+        html: '<ul><li>one two three four five six</li></ul><blockquote>one two three four five</blockquote>',
+        options: { wrap: true, wrap_width: 12 },
+        markdown: '* one two\n  three four\n  five six\n\n> one two\n> three four\n> five',
+    },
+    {
+        name: 'wrap keeps a literal backslash off the end of a line',
+        html: '<p>foo x\\ bar baz</p>',
+        options: { wrap: true, wrap_width: 5 },
+        markdown: 'foo\nx\\ bar\nbaz',
+    },
+    {
+        name: 'wrap leaves no line that reads as a thematic break',
+        html: '<ul><li>--- - alpha beta gamma</li></ul>',
+        options: { wrap: true, wrap_width: 10 },
+        markdown: '* --- - alpha\n  beta\n  gamma',
+    },
+    {
+        name: 'wrap does not start a line with a run of * or _',
+        html: '<p>aaaa *** bbbb ___</p>',
+        options: { wrap: true, wrap_width: 5, escape_asterisks: false, escape_underscores: false },
+        markdown: 'aaaa ***\nbbbb ___',
+    },
+];
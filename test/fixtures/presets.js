@@ -0,0 +1,79 @@
+// Editor presets rewrite the HTML before conversion, so the Markdown is not
+// meant to render back to the input
+const wordList = '<p class=MsoListParagraphCxSpFirst style=\'mso-list:l0 level1 lfo1\'><![if !supportLists]>' +
+    '<span style=\'font-family:Symbol\'><span style=\'mso-list:Ignore\'>·<span>&nbsp;&nbsp; </span></span></span>' +
+    '<![endif]>One<o:p></o:p></p>' +
+    '<p class=MsoListParagraphCxSpMiddle style=\'mso-list:l0 level2 lfo1\'><!--[if !supportLists]-->' +
+    '<span style=\'mso-list:Ignore\'>o<span>&nbsp; </span></span><!--[endif]-->Nested<o:p></o:p></p>' +
+    '<p class=MsoListParagraphCxSpLast style=\'mso-list:l0 level1 lfo1\'>' +
+    '<span style=\'mso-list:Ignore\'>·<span>&nbsp; </span></span>Two<o:p></o:p></p>';
+const googleDocs = '<meta charset="utf-8"><b style="font-weight:normal;" id="docs-internal-guid-12ab">' +
+    '<h2 dir="ltr"><span style="font-size:16pt;font-weight:700;">Notes</span></h2>' +
+    '<p dir="ltr"><span style="font-weight:700;">Bold</span><span style="font-weight:400;"> and </span>' +
+    '<span style="font-style:italic;">italic</span>, <span style="text-decoration:line-through;">old</span> ' +
+    '<span style="font-family:\'Courier New\',monospace;">run()</span></p><br>' +
+    '<ul><li dir="ltr" aria-level="1"><p dir="ltr" role="presentation"><span>a</span></p></li>' +
+    '<ul><li aria-level="2"><p dir="ltr" role="presentation"><span>b</span></p></li></ul>' +
+    '<li aria-level="1"><p dir="ltr" role="presentation"><span>c</span></p></li></ul></b>';
+
+module.exports = [
+    {
+        name: 'word lists, title and empty paragraphs',
+        html: '<p class=MsoTitle>Report</p><p class=MsoNormal><o:p>&nbsp;</o:p></p>' + wordList +
+            '<p class=MsoNormal>Then <span style=\'font-family:"Courier New"\'>x</span></p>' +
+            '<p class=MsoListParagraph style=\'mso-list:l1 level1 lfo2\'><![if !supportLists]>' +
+            '<span style=\'mso-list:Ignore\'>3.<span>&nbsp;</span></span><![endif]>Three</p>' +
+            '<p class=MsoListParagraph style=\'mso-list:l1 level1 lfo2\'><![if !supportLists]>' +
+            '<span style=\'mso-list:Ignore\'>4.<span>&nbsp;</span></span><![endif]>Four</p>',
+        options: { presets: ['word'] },
+        markdown: 'Report\n======\n\n* One\n  + Nested\n* Two\n\nThen `x`\n\n3. Three\n4. Four',
+        roundTrip: false,
+    },
+    {
+        name: 'google docs styles and lists',
+        html: googleDocs,
+        options: { presets: ['google_docs'] },
+        markdown: 'Notes\n-----\n\n**Bold** and *italic*, ~~old~~ `run()`\n\n* a\n  + b\n* c',
+        roundTrip: false,
+    },
+    {
+        name: 'confluence code and panel macros',
+        html: '<div class="code panel pdl conf-macro output-block" data-macro-name="code"><div class="codeContent panelContent pdl">' +
+            '<pre class="syntaxhighlighter-pre" data-syntaxhighlighter-params="brush: java; gutter: false">int x = 1;</pre></div></div>' +
+            '<div class="confluence-information-macro confluence-information-macro-warning conf-macro output-block">' +
+            '<span class="aui-icon confluence-information-macro-icon"></span>' +
+            '<div class="confluence-information-macro-body"><p>Careful.</p></div></div>',
+        options: { presets: ['confluence'] },
+        markdown: '```java\nint x = 1;\n```\n\n> **Warning**\n>\n> Careful.',
+        roundTrip: false,
+    },
+    {
+        name: 'confluence storage format macros',
+        html: '<ac:structured-macro ac:name="info"><ac:parameter ac:name="title">Heads up</ac:parameter>' +
+            '<ac:rich-text-body><p>Stored.</p></ac:rich-text-body></ac:structured-macro>' +
+            '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">js</ac:parameter>' +
+            '<ac:plain-text-body><![CDATA[if (a < b) {}]]></ac:plain-text-body></ac:structured-macro>',
+        options: { presets: ['confluence'] },
+        markdown: '> **Heads up**\n>\n> Stored.\n\n```js\nif (a < b) {}\n```',
+        roundTrip: false,
+    },
+    {
+        name: 'auto applies the presets of the detected editors',
+        html: googleDocs,
+        options: { presets: ['auto'] },
+        markdown: 'Notes\n-----\n\n**Bold** and *italic*, ~~old~~ `run()`\n\n* a\n  + b\n* c',
+        roundTrip: false,
+    },
+    {
+        name: 'auto leaves other HTML alone',
+        html: '<p><span style="font-weight:bold">styled</span></p><ul><li><p>loose</p></li></ul>',
+        options: { presets: ['auto'] },
+        markdown: 'styled\n\n* loose',
+    },
+    {
+        name: 'unknown preset',
+        html: '<p>x</p>',
+        options: { presets: ['notion'] },
+        error: /Unknown preset "notion", expected one of: auto, google_docs, word, confluence/,
+    },
+];
@@ -0,0 +1,73 @@
+const page = '<header class="site-header"><nav><a href="/">Home</a> <a href="/about">About</a></nav></header>' +
+    '<div class="layout"><aside class="sidebar"><p>Related posts, popular posts and other reading.</p></aside>' +
+    '<article><h1>Title</h1><p>The first paragraph of the article, with some commas, and enough text.</p>' +
+    '<p>A second paragraph, long enough to count as content when the page is scored.</p></article></div>' +
+    '<footer><p>Copyright 2024, all rights reserved, and a link to the <a href="/terms">terms</a>.</p></footer>';
+
+module.exports = [
+    {
+        name: 'exclude_selector',
+        html: '<p>a <span class="ad">ad</span>b</p><div class="ad"><p>gone</p></div><p>c</p>',
+        options: { exclude_selector: '.ad' },
+        markdown: 'a b\n\nc',
+        lossy: 'excluded elements are dropped',
+    },
+    {
+        name: 'exclude_selector with combinators',
+        html: '<ul><li>a</li><li>b</li></ul><ol><li>c</li><li>d</li></ol>',
+        options: { exclude_selector: 'ul > li:first-child, ol li + li' },
+        markdown: '* b\n\n1. c',
+        lossy: 'excluded elements are dropped',
+    },
+    {
+        name: 'include_selector',
+        html: '<h1>Skip</h1><div><p>x</p><p class="keep">Kept <b>bold</b></p></div><p class="keep">Also</p>',
+        options: { include_selector: '.keep' },
+        markdown: 'Kept **bold**\n\nAlso',
+        lossy: 'only the included elements are converted',
+    },
+    {
+        name: 'include_selector drops the markup around included elements',
+        html: '<ul><li>a<pre>x</pre></li></ul><p>b</p><pre>y</pre>',
+        options: { include_selector: 'pre' },
+        markdown: '```\nx\n```\n\n```\ny\n```',
+        lossy: 'only the included elements are converted',
+    },
+    {
+        name: 'exclude_selector wins over include_selector',
+        html: '<main><p>a</p><p class="note">b</p></main><p>c</p>',
+        options: { include_selector: 'main', exclude_selector: '.note' },
+        markdown: 'a',
+        lossy: 'only the included elements are converted',
+    },
+    {
+        name: 'invalid selector',
+        html: 'x',
+        options: { include_selector: 'p[' },
+        error: /Invalid selector "p\["/,
+    },
+    {
+        name: 'main_content',
+        html: page,
+        options: { main_content: true },
+        markdown: 'Title\n=====\n\nThe first paragraph of the article, with some commas, and enough text.\n\n' +
+            'A second paragraph, long enough to count as content when the page is scored.',
+        lossy: 'only the main content is converted',
+    },
+    {
+        name: 'main_content picks a dense div',
+        html: '<div id="menu"><a href="/a">A link</a> <a href="/b">B link</a></div>' +
+            '<div class="entry"><div>Plain text in a div, written as a paragraph, without any markup.</div>' +
+            '<div>More text, making the entry the densest part, by far, of the page.</div></div>',
+        options: { main_content: true },
+        markdown: 'Plain text in a div, written as a paragraph, without any markup.\n\n' +
+            'More text, making the entry the densest part, by far, of the page.',
+        lossy: 'only the main content is converted',
+    },
+    {
+        name: 'main_content without content converts everything',
+        html: '<p>short</p>',
+        options: { main_content: true },
+        markdown: 'short',
+    },
+];
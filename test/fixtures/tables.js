@@ -0,0 +1,50 @@
+// Pipe tables are a GFM extension, so none of these round-trip through a
+// CommonMark parser; they are checked against their expected output only.
+module.exports = [
+    {
+        name: 'table with a header row',
+        html: '<table><tr><th>a</th><th>b</th></tr><tr><td>1</td><td>2</td></tr></table>',
+        markdown: '| a | b |\n| --- | --- |\n| 1 | 2 |',
+    },
+    {
+        name: 'table without a header row gets an empty one',
+        html: '<table><tr><td>1</td><td>2</td></tr></table>',
+        markdown: '|  |  |\n| --- | --- |\n| 1 | 2 |',
+    },
+    {
+        name: 'thead with td cells',
+        html: '<table><thead><tr><td>h</td></tr></thead><tbody><tr><td>1</td></tr></tbody></table>',
+        markdown: '| h |\n| --- |\n| 1 |',
+    },
+    {
+        name: 'short rows are filled',
+        html: '<table><tr><th>a</th><th>b</th></tr><tr><td>1</td></tr></table>',
+        markdown: '| a | b |\n| --- | --- |\n| 1 |  |',
+    },
+    {
+        name: 'colspan and rowspan',
+        html: '<table><tr><th rowspan="2">a</th><th colspan="2">b</th></tr><tr><td>1</td><td>2</td></tr></table>',
+        markdown: '| a | b |  |\n| --- | --- | --- |\n|  | 1 | 2 |',
+    },
+    {
+        name: 'pipes in cells are escaped',
+        html: '<table><tr><th>a</th></tr><tr><td>1|x</td></tr></table>',
+        markdown: '| a |\n| --- |\n| 1\\|x |',
+    },
+    {
+        name: 'inline markup in cells',
+        html: '<table><tr><th>a <b>b</b></th></tr><tr><td><a href="/x">x</a> <code>c</code></td></tr></table>',
+        markdown: '| a **b** |\n| --- |\n| [x](/x) `c` |',
+    },
+    {
+        name: 'caption',
+        html: '<table><caption>Cap</caption><tr><th>a</th></tr><tr><td>1</td></tr></table>',
+        markdown: 'Cap\n\n| a |\n| --- |\n| 1 |',
+    },
+    {
+        name: 'tr outside a converted table',
+        html: '<table><tr><td>1</td><td>2</td></tr></table>',
+        options: { strip: ['table'] },
+        markdown: '| 1 | 2 |',
+    },
+].map(fixture => ({ ...fixture, roundTrip: false }));
@@ -0,0 +1,75 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { parseHTML, HTMLTokenizer, TreeBuilder, decodeEntities, ELEMENT_NODE, TEXT_NODE } = require('../html-parser');
+
+// A compact dump of a tree, for comparing parses
+function dump(node) {
+    return Array.from(node.childNodes).map(child => {
+        if (child.nodeType === TEXT_NODE) return JSON.stringify(child.nodeValue);
+        if (child.nodeType !== ELEMENT_NODE) return `#${child.nodeType}`;
+        const attributes = child.attributes.map(({ name, value }) => ` ${name}=${JSON.stringify(value)}`).join('');
+        return `<${child.localName}${attributes}>${dump(child)}</${child.localName}>`;
+    }).join('');
+}
+
+describe('parseHTML', () => {
+    test('elements, attributes and text', () => {
+        const doc = parseHTML('<p class="a" id=b>x <b>y</b></p>');
+        const p = doc.querySelector('p');
+        assert.strictEqual(p.className, 'a');
+        assert.strictEqual(p.id, 'b');
+        assert.strictEqual(p.textContent, 'x y');
+        assert.strictEqual(p.firstChild.nextSibling.tagName, 'B');
+    });
+
+    test('implied end tags', () => {
+        assert.strictEqual(
+            dump(parseHTML('<ul><li>a<li>b</ul><p>c<p>d')),
+            '<ul><li>"a"</li><li>"b"</li></ul><p>"c"</p><p>"d"</p>'
+        );
+    });
+
+    test('void elements and self-closing tags', () => {
+        assert.strictEqual(dump(parseHTML('a<br>b<img src=x />c')), '"a"<br></br>"b"<img src="x"></img>"c"');
+    });
+
+    test('raw text elements', () => {
+        const doc = parseHTML('<script>if (a < b) x = "</p>"</script><p>y</p>');
+        assert.strictEqual(doc.querySelector('script').textContent, 'if (a < b) x = "</p>"');
+        assert.strictEqual(doc.querySelector('p').textContent, 'y');
+    });
+
+    test('entities', () => {
+        assert.strictEqual(decodeEntities('&lt;&amp;&gt; &quot;&#65;&#x42;&nbsp;&bogus;'), '<&> "AB &bogus;');
+        assert.strictEqual(parseHTML('<a title="&lt;x&gt;">&copy;</a>').querySelector('a').getAttribute('title'), '<x>');
+    });
+
+    test('long attribute values', () => {
+        const src = 'data:image/png;base64,' + 'A'.repeat(70000);
+        const img = parseHTML(`<img src="${src}" alt='a'><img src=${src}>`).querySelectorAll('img');
+        assert.strictEqual(img[0].getAttribute('src'), src);
+        assert.strictEqual(img[0].getAttribute('alt'), 'a');
+        assert.strictEqual(img[1].getAttribute('src'), src);
+    });
+
+    test('comments and doctype', () => {
+        assert.strictEqual(dump(parseHTML('<!DOCTYPE html><!-- c --><p>x</p>')), '#10#8<p>"x"</p>');
+    });
+});
+
+describe('HTMLTokenizer', () => {
+    const html = '<!DOCTYPE html><html><head><title>T &amp; t</title></head>\r\n<body>' +
+        '<p class="x y" data-a=\'1\'>Hello <b>world</b><!-- note --></p>' +
+        '<script>var s = "</div>";</script><pre>  code\r\n</pre><img alt="a > b" src=i.png></body></html>';
+
+    test('chunked input builds the same tree as a single write', () => {
+        const whole = dump(parseHTML(html));
+        for (const size of [1, 2, 3, 5, 13, 64]) {
+            const builder = new TreeBuilder();
+            const tokenizer = new HTMLTokenizer(builder);
+            for (let i = 0; i < html.length; i += size) tokenizer.write(html.slice(i, i + size));
+            tokenizer.end();
+            assert.strictEqual(dump(builder.document), whole, `chunk size ${size}`);
+        }
+    });
+});
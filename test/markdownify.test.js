@@ -0,0 +1,279 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const markdownify = require('../markdownify');
+const { MarkdownConverter, MarkdownStream } = markdownify;
+const { loadFixtures } = require('./fixtures');
+
+const fixtures = loadFixtures();
+
+for (const file of new Set(fixtures.map(fixture => fixture.file))) {
+    describe(file, () => {
+        for (const fixture of fixtures.filter(f => f.file === file)) {
+            test(fixture.name, () => {
+                if (fixture.error) {
+                    assert.throws(() => markdownify(fixture.html, fixture.options), fixture.error);
+                } else {
+                    assert.strictEqual(markdownify(fixture.html, fixture.options), fixture.markdown);
+                }
+            });
+        }
+    });
+}
+
+describe('fixture coverage', () => {
+    test('every convert_* method is exercised', () => {
+        const proto = MarkdownConverter.prototype;
+        const names = Object.getOwnPropertyNames(proto).filter(name => /^_?convert_/.test(name));
+        const called = new Set();
+        const originals = {};
+        for (const name of names) {
+            originals[name] = proto[name];
+            proto[name] = function (...args) {
+                called.add(name);
+                return originals[name].apply(this, args);
+            };
+        }
+        try {
+            for (const fixture of fixtures) {
+                if (!fixture.error) markdownify(fixture.html, fixture.options);
+            }
+        } finally {
+            Object.assign(proto, originals);
+        }
+        assert.deepStrictEqual(names.filter(name => !called.has(name)), []);
+    });
+
+    test('every option is used', () => {
+        const used = new Set(fixtures.flatMap(fixture => Object.keys(fixture.options)));
+        const options = Object.keys(new MarkdownConverter().options);
+        assert.deepStrictEqual(options.filter(name => !used.has(name)), []);
+    });
+});
+
+describe('MarkdownConverter', () => {
+    test('accepts a DOM node', () => {
+        const { parseHTML } = require('../html-parser');
+        const body = parseHTML('<p>a <b>b</b></p>');
+        assert.strictEqual(new MarkdownConverter().convert(body), 'a **b**');
+    });
+
+    test('accepts a DOM whose element lists are not arrays', () => {
+        const { parseHTML, ELEMENT_NODE } = require('../html-parser');
+        // as in browsers and jsdom, children is an array-like collection
+        const doc = parseHTML('<div><a href="/m">Menu</a></div><div class="entry"><div>' +
+            'Plain text in a div, long enough to be read as the page\'s main content, with commas, here.</div></div>');
+        for (const el of [doc, ...doc.getElementsByTagName('*')]) {
+            Object.defineProperty(el, 'children', {
+                get() {
+                    const elements = el.childNodes.filter(child => child.nodeType === ELEMENT_NODE);
+                    return { ...elements, length: elements.length, item: i => elements[i] || null };
+                },
+            });
+        }
+        const markdown = 'Plain text in a div, long enough to be read as the page\'s main content, with commas, here.';
+        assert.strictEqual(markdownify(doc, { main_content: true }), markdown);
+        assert.strictEqual(markdownify.convertWithReport(doc, { main_content: true }).markdown, markdown);
+        assert.strictEqual(markdownify.serializeAst(markdownify.convertToAst(doc, { main_content: true })), markdown);
+    });
+
+    test('addRule can delegate to the rule it replaces', () => {
+        const converter = new MarkdownConverter()
+            .addRule('a', (el, text, convertAsInline, context) => (
+                el.getAttribute('rel') === 'nofollow' ? text : context.next()
+            ));
+        assert.strictEqual(
+            converter.convert('<a href="/a">a</a> <a rel="nofollow" href="/b">b</a>'),
+            '[a](/a) b'
+        );
+    });
+
+    test('addRule with a predicate', () => {
+        const converter = new MarkdownConverter().addRule(el => el.hasAttribute('data-skip'), () => '');
+        assert.strictEqual(converter.convert('<p>a<span data-skip>b</span></p>'), 'a');
+    });
+
+    test('subclass overrides', () => {
+        class ImageBlockConverter extends MarkdownConverter {
+            convert_img(el, text, convertAsInline) {
+                return super.convert_img(el, text, convertAsInline) + '\n\n';
+            }
+        }
+        assert.strictEqual(
+            new ImageBlockConverter().convert('<img src="a.png">text'),
+            '![](a.png)\n\ntext'
+        );
+    });
+
+    test('state does not leak between conversions', () => {
+        const converter = new MarkdownConverter({ link_style: 'reference' });
+        converter.convert('<a href="/a">a</a>');
+        assert.strictEqual(converter.convert('<a href="/b">b</a>'), '[b][1]\n\n[1]: /b');
+    });
+
+    test('the default image_writer saves data: images in image_dir', () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdownify-'));
+        try {
+            const imageDir = path.join(dir, 'img');
+            const markdown = markdownify('<img src="data:image/png;base64,iVBORw0KGgo=" alt="a">', {
+                image_data_uris: 'extract',
+                image_dir: imageDir,
+            });
+            const file = path.join(imageDir, 'image-255c756c.png');
+            assert.strictEqual(markdown, `![a](${imageDir.split(path.sep).join('/')}/image-255c756c.png)`);
+            assert.deepStrictEqual(fs.readFileSync(file), Buffer.from('iVBORw0KGgo=', 'base64'));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('image_writer receives data: images over 64 KB', () => {
+        const bytes = Buffer.alloc(60000, 7);
+        const html = `<p><img src="data:image/png;base64,${bytes.toString('base64')}" alt="big"></p>`;
+        const options = {
+            image_data_uris: 'extract',
+            image_writer: (data, { name }) => (data.equals(bytes) ? `/img/${name}` : null),
+        };
+        const markdown = markdownify(html, options);
+        assert.match(markdown, /^!\[big\]\(\/img\/image-[0-9a-f]{8}\.png\)$/);
+        const stream = new MarkdownStream(options);
+        let streamed = '';
+        for (let i = 0; i < html.length; i += 4096) streamed += stream.write(html.slice(i, i + 4096));
+        assert.strictEqual(streamed + stream.end(), markdown);
+    });
+
+    test('presets leave a DOM passed in unchanged', () => {
+        const { parseHTML } = require('../html-parser');
+        const doc = parseHTML('<b id="docs-internal-guid-1" style="font-weight:normal"><p><span style="font-weight:700">a</span></p></b>');
+        assert.strictEqual(new MarkdownConverter({ presets: ['auto'] }).convert(doc), '**a**');
+        assert.ok(doc.getElementsByTagName('b')[0].getAttribute('id'));
+        assert.strictEqual(doc.getElementsByTagName('strong').length, 0);
+    });
+
+    test('deeply nested markup', () => {
+        const depth = 20000;
+        const html = '<div>'.repeat(depth) + '<b>deep</b>' + '</div>'.repeat(depth);
+        assert.strictEqual(markdownify(html), '**deep**');
+    });
+
+    test('deeply nested markup with keep_html', () => {
+        const depth = 20000;
+        const html = '<div>'.repeat(depth) + '<p><x-note>a</x-note> <code><x-note>b</x-note></code></p>' +
+            '</div>'.repeat(depth);
+        const options = { keep_html: 'unknown' };
+        assert.strictEqual(markdownify(html, options), '<x-note>a</x-note> `b`');
+        assert.strictEqual(markdownify.serializeAst(markdownify.convertToAst(html, options)), '<x-note>a</x-note> `b`');
+    });
+});
+
+describe('convertWithReport', () => {
+    const { convertWithReport } = markdownify;
+    const summary = report => report.entries.map(entry => `${entry.kind} ${entry.code} ${entry.path}`);
+
+    test('a lossless page', () => {
+        const { markdown, report } = convertWithReport('<h1>Title</h1><p>a <b>b</b> <a href="/x">x</a></p>');
+        assert.strictEqual(markdown, 'Title\n=====\n\na **b** [x](/x)');
+        assert.deepStrictEqual(report, { lossy: false, counts: { dropped: 0, lossy: 0, escaped: 0 }, entries: [] });
+    });
+
+    test('a full page with metadata, scripts and style sheets in its head', () => {
+        const { report } = convertWithReport(
+            '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>T</title>' +
+            '<meta name="viewport" content="width=device-width"><base href="/"><link rel="stylesheet" href="a.css">' +
+            '<style>p { margin: 0 }</style><script src="app.js"></script><noscript><link rel="stylesheet" href="b.css"></noscript>' +
+            '</head><body><h1>Hi</h1><p>Text <a href="/x">x</a></p><noscript><p>Enable JavaScript</p></noscript></body></html>'
+        );
+        assert.deepStrictEqual(report, { lossy: false, counts: { dropped: 0, lossy: 0, escaped: 0 }, entries: [] });
+    });
+
+    test('dropped and lossy elements with their paths', () => {
+        const { report } = convertWithReport(
+            '<body><h2>A <img src="a.png" alt="a"></h2><div><p><abbr title="x">X</abbr></p><p>b</p></div>' +
+            '<div><script>s()</script><p>c<sub>2</sub></p></div></body>'
+        );
+        assert.strictEqual(report.lossy, true);
+        assert.deepStrictEqual(summary(report), [
+            'lossy image-alt body > h2 > img',
+            'lossy unwrapped body > div:nth-of-type(1) > p:nth-of-type(1) > abbr',
+            'lossy attribute body > div:nth-of-type(1) > p:nth-of-type(1) > abbr',
+            'dropped script body > div:nth-of-type(2) > script',
+            'lossy sub-sup body > div:nth-of-type(2) > p > sub',
+        ]);
+        assert.deepStrictEqual(report.counts, { dropped: 1, lossy: 4, escaped: 0 });
+    });
+
+    test('paths select the reported element', () => {
+        const { parseHTML } = require('../html-parser');
+        const doc = parseHTML('<ul><li>a</li><li>b <u>c</u></li></ul>');
+        const [entry] = convertWithReport(doc).report.entries;
+        assert.strictEqual(doc.querySelector(entry.path).textContent, 'c');
+    });
+
+    test('tables', () => {
+        const { report } = convertWithReport(
+            '<table><tr><th colspan="2">a</th></tr><tr><td><p>b</p><p>c</p></td><td>d<br>e</td></tr></table>'
+        );
+        assert.deepStrictEqual(summary(report), [
+            'lossy line-break table > tr:nth-of-type(2) > td:nth-of-type(2) > br',
+            'lossy table-span table > tr:nth-of-type(1) > th',
+            'lossy table-structure table',
+        ]);
+    });
+
+    test('options that drop content', () => {
+        const { report } = convertWithReport('<p>a <a href="/x">x</a> <span class="ad">b</span> <i>c</i></p>', {
+            exclude_selector: '.ad',
+            strip: ['i'],
+            url_transform: () => null,
+        });
+        assert.deepStrictEqual(summary(report), [
+            'dropped excluded p > span',
+            'dropped url p > a',
+            'lossy stripped p > i',
+        ]);
+    });
+
+    test('kept HTML and rules are not lossy', () => {
+        const { report } = convertWithReport('<p><abbr title="x">X</abbr> <mark>m</mark></p>', {
+            keep_html: ['abbr'],
+            rules: { mark: (el, text) => `==${text}==` },
+        });
+        assert.deepStrictEqual(report.entries, []);
+    });
+
+    test('flavor degradations', () => {
+        const { report } = convertWithReport('<p>x<sup>2</sup></p><hr>', { flavor: 'discord' });
+        assert.deepStrictEqual(summary(report), ['lossy unsupported p > sup', 'dropped unsupported hr']);
+    });
+
+    test('escaped sequences', () => {
+        const { report } = convertWithReport('<p>2 * 3 \\ 4</p><pre>*</pre>', { escape_misc: true });
+        assert.deepStrictEqual(report.entries.map(entry => [entry.message, entry.path]), [
+            ['"*" escaped as "\\*"', 'p'],
+            ['"\\" escaped as "\\\\"', 'p'],
+        ]);
+        assert.strictEqual(report.lossy, false);
+    });
+
+    test('escaped sequences in smart escape_mode', () => {
+        const { markdown, report } = convertWithReport('<p>*a* and 1 * 2</p>', { escape_mode: 'smart' });
+        assert.strictEqual(markdown, '\\*a\\* and 1 * 2');
+        assert.deepStrictEqual(report.entries.map(entry => [entry.message, entry.path]), [
+            ['"*" escaped as "\\*"', null],
+            ['"*" escaped as "\\*"', null],
+        ]);
+    });
+
+    test('rules can report', () => {
+        const converter = new MarkdownConverter().addRule('video', (el, text, convertAsInline, context) => {
+            context.converter.note('dropped', 'video', el, 'videos are not supported');
+            return '';
+        });
+        assert.deepStrictEqual(summary(converter.convertWithReport('<video src="v.mp4"></video>').report), [
+            'dropped video video',
+        ]);
+        assert.strictEqual(converter.convert('<video src="v.mp4"></video>'), '');
+    });
+});
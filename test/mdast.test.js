@@ -0,0 +1,181 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { MarkdownConverter, convertToAst, serializeAst } = require('../markdownify');
+const { loadFixtures } = require('./fixtures');
+
+// Rules (and so the chat flavors') write text, so they have no part in the
+// tree, nor do the table of contents and `{#id}` heading attributes: those
+// options throw. Definition lists become paragraphs, and a table row is
+// only a table node inside a converted table.
+const unsupported = ['dl', 'tr outside a converted table'];
+const chatFlavors = ['slack', 'discord'];
+const rejects = options => Boolean(options.rules || chatFlavors.includes(options.flavor) || options.toc ||
+    options.heading_anchors === 'attribute');
+const fixtures = loadFixtures().filter(fixture => !fixture.error && !unsupported.includes(fixture.name));
+
+function throughAst(html, options) {
+    const converter = new MarkdownConverter(options);
+    return converter.serializeAst(converter.convertToAst(html));
+}
+
+describe('convertToAst and serializeAst', () => {
+    for (const fixture of fixtures) {
+        test(`${fixture.file}: ${fixture.name}`, () => {
+            if (rejects(fixture.options)) {
+                assert.throws(() => throughAst(fixture.html, fixture.options), /^Error: convertToAst does not support /);
+            } else {
+                assert.strictEqual(throughAst(fixture.html, fixture.options), fixture.markdown);
+            }
+        });
+    }
+
+    test('builds mdast nodes', () => {
+        const tree = convertToAst(
+            '<h2>Title</h2><p>a <b> b </b><a href="/x" title="t">x</a><br>c</p>' +
+            '<ol start="3"><li>one</li><li><p>two</p></li></ol><pre class="language-js">code</pre><hr>'
+        );
+        assert.deepStrictEqual(tree, {
+            type: 'root',
+            children: [
+                { type: 'heading', depth: 2, children: [{ type: 'text', value: 'Title' }] },
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'text', value: 'a ' },
+                        { type: 'strong', children: [{ type: 'text', value: 'b' }] },
+                        { type: 'text', value: ' ' },
+                        { type: 'link', url: '/x', title: 't', children: [{ type: 'text', value: 'x' }] },
+                        { type: 'break' },
+                        { type: 'text', value: 'c' },
+                    ],
+                },
+                {
+                    type: 'list',
+                    ordered: true,
+                    start: 3,
+                    spread: true,
+                    children: [
+                        {
+                            type: 'listItem',
+                            spread: true,
+                            checked: null,
+                            children: [{ type: 'paragraph', children: [{ type: 'text', value: 'one' }] }],
+                        },
+                        {
+                            type: 'listItem',
+                            spread: true,
+                            checked: null,
+                            children: [{ type: 'paragraph', children: [{ type: 'text', value: 'two' }] }],
+                        },
+                    ],
+                },
+                { type: 'code', lang: 'js', meta: null, value: 'code' },
+                { type: 'thematicBreak' },
+            ],
+        });
+    });
+
+    test('GFM and front matter nodes', () => {
+        const tree = convertToAst(
+            '<head><title>T</title></head><table><tr><th align="right">a</th></tr><tr><td><del>b</del></td></tr></table>' +
+            '<ul><li><input type="checkbox"> task</li></ul>',
+            { front_matter: 'yaml', extensions: ['task_lists'] }
+        );
+        assert.deepStrictEqual(tree.children.map(node => node.type), ['yaml', 'table', 'list']);
+        assert.strictEqual(tree.children[0].value, 'title: T');
+        assert.deepStrictEqual(tree.children[1].align, ['right']);
+        assert.deepStrictEqual(tree.children[1].children[1].children[0].children, [
+            { type: 'delete', children: [{ type: 'text', value: 'b' }] },
+        ]);
+        assert.strictEqual(tree.children[2].children[0].checked, false);
+        assert.deepStrictEqual(convertToAst('<title>T</title>', { front_matter: 'json' }).children, [
+            { type: 'json', value: '{\n  "title": "T"\n}' },
+        ]);
+    });
+
+    test('math and diagram nodes', () => {
+        const tree = convertToAst(
+            '<p>a <script type="math/tex">x^2</script></p><script type="math/tex; mode=display">\\sum</script>' +
+            '<div class="mermaid">graph TD</div>',
+            { extensions: ['math'] }
+        );
+        assert.deepStrictEqual(tree.children, [
+            { type: 'paragraph', children: [{ type: 'text', value: 'a ' }, { type: 'inlineMath', value: 'x^2' }] },
+            { type: 'math', meta: null, value: '\\sum' },
+            { type: 'code', lang: 'mermaid', meta: null, value: 'graph TD' },
+        ]);
+    });
+
+    test('the tree is plain data', () => {
+        const html = '<h1>a</h1><details><summary>s</summary><p>d</p></details><ul><li>x</li></ul><ul><li>y</li></ul>';
+        const tree = convertToAst(html, { keep_html: ['details'] });
+        assert.strictEqual(serializeAst(JSON.parse(JSON.stringify(tree))), serializeAst(tree));
+    });
+
+    test('serializes with the options', () => {
+        const tree = convertToAst('<h1>a <i>b</i></h1><ul><li>x<ul><li>y</li></ul></li></ul>');
+        assert.strictEqual(
+            serializeAst(tree, { heading_style: 'atx', strong_em_symbol: '_', bullets: '-+' }),
+            '# a _b_\n\n- x\n  + y'
+        );
+    });
+
+    test('serializes trees built elsewhere', () => {
+        const tree = {
+            type: 'root',
+            children: [
+                { type: 'toml', value: 'title = "T"' },
+                {
+                    type: 'paragraph',
+                    children: [
+                        { type: 'linkReference', identifier: 'a', label: 'A', referenceType: 'full', children: [{ type: 'text', value: 'x*' }] },
+                        { type: 'text', value: ' ' },
+                        { type: 'imageReference', identifier: 'i', label: 'i', referenceType: 'collapsed', alt: 'i' },
+                        { type: 'text', value: ' ' },
+                        { type: 'inlineCode', value: 'a`b' },
+                        { type: 'footnoteReference', identifier: '1', label: '1' },
+                    ],
+                },
+                { type: 'definition', identifier: 'a', label: 'A', url: '/a b', title: 'T' },
+                { type: 'footnoteDefinition', identifier: '1', label: '1', children: [{ type: 'paragraph', children: [{ type: 'text', value: 'note' }] }] },
+            ],
+        };
+        assert.strictEqual(
+            serializeAst(tree),
+            '+++\ntitle = "T"\n+++\n\n[x\\*][A] ![i][] ``a`b``[^1]\n\n[A]: </a b> "T"\n\n[^1]: note'
+        );
+    });
+
+    test('flavors', () => {
+        const html = '<p><del>a</del> <strike>b</strike></p><table><tr><th>x</th></tr><tr><td>y</td></tr></table>';
+        for (const flavor of ['commonmark', 'gfm', 'multimarkdown']) {
+            const converter = new MarkdownConverter({ flavor });
+            assert.strictEqual(converter.serializeAst(converter.convertToAst(html)), converter.convert(html));
+        }
+        const tree = convertToAst(html);
+        assert.strictEqual(serializeAst({ type: 'root', children: [tree.children[0]] }, { flavor: 'commonmark' }), 'a b');
+        assert.throws(() => serializeAst(tree, { flavor: 'commonmark' }),
+            /^Error: serializeAst cannot write table nodes in the commonmark flavor, which has no tables\.$/);
+    });
+
+    test('options the tree cannot honor', () => {
+        const tree = convertToAst('<p><b>b</b></p>');
+        assert.throws(() => serializeAst(tree, { flavor: 'slack' }),
+            /^Error: serializeAst does not support flavor "slack"; use convert\(\) instead\.$/);
+        assert.throws(() => convertToAst('<h1>a</h1>', { rules: { b: () => '' }, toc: true, heading_anchors: 'attribute' }),
+            /^Error: convertToAst does not support rules, toc, heading_anchors "attribute"; use convert\(\) instead\.$/);
+        const converter = new MarkdownConverter().addRule('b', () => '');
+        assert.throws(() => converter.serializeAst(tree), /does not support rules/);
+    });
+
+    test('unknown node types', () => {
+        assert.throws(() => serializeAst({ type: 'root', children: [{ type: 'custom', value: 'x' }] }),
+            /Unknown mdast node type "custom"/);
+    });
+
+    test('deeply nested markup', () => {
+        const depth = 20000;
+        const html = '<div>'.repeat(depth) + '<b>deep</b>' + '</div>'.repeat(depth);
+        assert.strictEqual(serializeAst(convertToAst(html)), '**deep**');
+    });
+});
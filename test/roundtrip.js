@@ -0,0 +1,258 @@
+// Round-trip checker: converts HTML to Markdown, renders that Markdown back
+// to HTML with the reference CommonMark parser (commonmark.js) and compares
+// the two documents after normalizing what Markdown cannot express anyway:
+// tag synonyms (<b>/<strong>), wrapper elements, attributes other than link
+// and image targets, and insignificant whitespace. Any remaining difference
+// means the conversion lost or changed something.
+//
+// Check HTML files:        node test/roundtrip.js page.html [options.json]
+// Report on the fixtures:  node test/roundtrip.js
+const fs = require('fs');
+const commonmark = require('commonmark');
+const markdownify = require('../markdownify');
+const { parseHTML, ELEMENT_NODE, TEXT_NODE } = require('../html-parser');
+
+const synonyms = {
+    b: 'strong',
+    i: 'em',
+    s: 'del',
+    strike: 'del',
+    kbd: 'code',
+    samp: 'code',
+};
+
+// Wrapper elements whose content is compared but whose own markup is not;
+// they still separate paragraphs
+const transparentBlocks = [
+    'html', 'body', 'div', 'article', 'section', 'main', 'header', 'footer',
+    'nav', 'aside', 'figure', 'figcaption', 'thead', 'tbody', 'tfoot',
+    'details', 'summary',
+];
+
+// Inline elements Markdown can express; any other inline element (and <a>
+// without href) is compared by its content only
+const inlineElements = ['a', 'strong', 'em', 'code', 'del', 'img', 'br', 'sub', 'sup'];
+
+// Marks where a transparent block ended a paragraph
+const BREAK = { tag: '#break', attributes: {}, children: [] };
+
+// Elements that produce no Markdown content
+const ignoredElements = ['head', 'script', 'style', 'template'];
+
+const blockElements = [
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote',
+    'pre', 'hr', 'table', 'caption', 'tr', 'th', 'td', 'dl', 'dt', 'dd',
+];
+
+// Containers whose loose inline content Markdown turns into paragraphs
+const paragraphContainers = ['#root', 'blockquote'];
+
+// Containers whose paragraphs are not kept apart (tight vs loose lists)
+const unwrapParagraphs = ['li', 'dd', 'td', 'th'];
+
+const voidElements = ['br', 'hr', 'img'];
+
+const keptAttributes = {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+};
+
+function isBlock(node) {
+    return typeof node !== 'string' && blockElements.includes(node.tag);
+}
+
+function normalizeUrl(url) {
+    try {
+        return decodeURI(url);
+    } catch (e) {
+        return url;
+    }
+}
+
+function normalizeAttributes(el, tag) {
+    const attributes = {};
+    for (const name of keptAttributes[tag] || []) {
+        let value = el.getAttribute(name);
+        if (value === null || value === '') continue;
+        if (name === 'href' || name === 'src') value = normalizeUrl(value);
+        if (name === 'start') {
+            // only a number can start a Markdown list
+            if (!/^\d+$/.test(value) || Number(value) === 1) continue;
+            value = String(Number(value));
+        }
+        attributes[name] = value;
+    }
+    return attributes;
+}
+
+// <pre> and <pre><code> both become a pre node holding the code text and
+// its language, if any
+function normalizePre(el) {
+    const code = el.children.length === 1 && el.children[0].tagName.toLowerCase() === 'code' ?
+        el.children[0] : null;
+    const attributes = {};
+    const match = /(?:^|\s)language-(\S+)/.exec((code && code.getAttribute('class')) || '');
+    if (match) attributes.lang = match[1];
+    return { tag: 'pre', attributes, children: [el.textContent.replace(/\n$/, '')] };
+}
+
+function normalizeChildren(node) {
+    const result = [];
+    for (const child of node.childNodes) {
+        if (child.nodeType === TEXT_NODE) {
+            result.push(child.nodeValue.replace(/\s+/g, ' '));
+            continue;
+        }
+        if (child.nodeType !== ELEMENT_NODE) continue;
+        const name = child.tagName.toLowerCase();
+        const tag = synonyms[name] || name;
+        if (ignoredElements.includes(tag)) continue;
+        if (tag === 'pre') {
+            result.push(normalizePre(child));
+        } else if (transparentBlocks.includes(tag)) {
+            result.push(BREAK, ...normalizeChildren(child), BREAK);
+        } else if (blockElements.includes(tag)) {
+            const children = normalizeBlock(tag, normalizeChildren(child));
+            if (children.length || voidElements.includes(tag)) {
+                result.push({ tag, attributes: normalizeAttributes(child, tag), children });
+            }
+        } else if (!inlineElements.includes(tag) || (tag === 'a' && !child.hasAttribute('href'))) {
+            result.push(...normalizeChildren(child));
+        } else {
+            result.push(...normalizeInline(child, tag));
+        }
+    }
+    return mergeText(result);
+}
+
+// An inline element, with the whitespace at its edges moved outside it and
+// nothing left of it when it is empty
+function normalizeInline(el, tag) {
+    let children = tag === 'code' ?
+        [el.textContent.replace(/\s+/g, ' ')] :
+        normalizeChildren(el).filter(child => child !== BREAK);
+    const before = typeof children[0] === 'string' && children[0].startsWith(' ') ? ' ' : '';
+    const after = typeof children[children.length - 1] === 'string' && children[children.length - 1].endsWith(' ') ? ' ' : '';
+    if (tag !== 'code') children = trimInline(children);
+    if (!children.length && !voidElements.includes(tag)) return [before || after];
+    return [before, { tag, attributes: normalizeAttributes(el, tag), children }, after];
+}
+
+function mergeText(nodes) {
+    const result = [];
+    for (const node of nodes) {
+        if (node === '') continue;
+        const last = result[result.length - 1];
+        if (typeof node === 'string' && typeof last === 'string') {
+            result[result.length - 1] = (last + node).replace(/ {2,}/g, ' ');
+        } else {
+            result.push(node);
+        }
+    }
+    return result;
+}
+
+// Trim a run of inline content, including the whitespace around <br>
+function trimInline(nodes) {
+    nodes = nodes.map((node, i) => {
+        if (typeof node !== 'string') return node;
+        if (i === 0 || nodes[i - 1].tag === 'br') node = node.trimStart();
+        if (i === nodes.length - 1 || nodes[i + 1].tag === 'br') node = node.trimEnd();
+        return node;
+    });
+    return nodes.filter(node => node !== '');
+}
+
+// Give the children of a block its Markdown structure: loose inline content
+// becomes paragraphs, and whitespace between blocks is dropped
+function normalizeBlock(tag, children) {
+    if (unwrapParagraphs.includes(tag)) {
+        children = mergeText(children.flatMap(child => (
+            typeof child !== 'string' && child.tag === 'p' ? [' ', ...child.children, ' '] : [child]
+        )));
+    }
+    const wrap = paragraphContainers.includes(tag);
+    const result = [];
+    let run = [];
+    const flush = () => {
+        run = trimInline(run);
+        if (run.length) {
+            result.push(wrap ? { tag: 'p', attributes: {}, children: run } : run);
+        }
+        run = [];
+    };
+    for (const child of children) {
+        if (child === BREAK) {
+            flush();
+        } else if (isBlock(child)) {
+            flush();
+            result.push(child);
+        } else {
+            run.push(child);
+        }
+    }
+    flush();
+    return result.flat();
+}
+
+function serialize(nodes, indent = '') {
+    return nodes.map(node => {
+        if (typeof node === 'string') return JSON.stringify(node);
+        const attributes = Object.keys(node.attributes).sort()
+            .map(name => ` ${name}=${JSON.stringify(node.attributes[name])}`)
+            .join('');
+        if (voidElements.includes(node.tag)) return `<${node.tag}${attributes}>`;
+        if (!isBlock(node)) {
+            return `<${node.tag}${attributes}>${serialize(node.children, indent)}</${node.tag}>`;
+        }
+        if (!node.children.some(isBlock)) {
+            return `\n${indent}<${node.tag}${attributes}>${serialize(node.children, indent)}</${node.tag}>`;
+        }
+        return `\n${indent}<${node.tag}${attributes}>${serialize(node.children, indent + '  ')}\n${indent}</${node.tag}>`;
+    }).join('').replace(/^\n/, '');
+}
+
+// normalizeHTML: a canonical, line-per-block form of an HTML document
+function normalizeHTML(html) {
+    return serialize(normalizeBlock('#root', normalizeChildren(parseHTML(html))));
+}
+
+function renderCommonMark(markdown) {
+    const tree = new commonmark.Parser().parse(markdown);
+    return new commonmark.HtmlRenderer().render(tree);
+}
+
+function checkRoundTrip(html, options = {}) {
+    const markdown = markdownify(html, options);
+    const rendered = renderCommonMark(markdown);
+    const expected = normalizeHTML(html);
+    const actual = normalizeHTML(rendered);
+    return { markdown, rendered, expected, actual, lossless: expected === actual };
+}
+
+function report(name, result) {
+    console.log(`${result.lossless ? 'ok   ' : 'LOSSY'} ${name}`);
+    if (result.lossless) return;
+    console.log(`  markdown: ${JSON.stringify(result.markdown)}`);
+    console.log(`  expected:\n    ${result.expected.replace(/\n/g, '\n    ')}`);
+    console.log(`  actual:\n    ${result.actual.replace(/\n/g, '\n    ')}`);
+}
+
+if (require.main === module) {
+    const [file, optionsFile] = process.argv.slice(2);
+    if (file) {
+        const options = optionsFile ? JSON.parse(fs.readFileSync(optionsFile, 'utf8')) : {};
+        const result = checkRoundTrip(fs.readFileSync(file, 'utf8'), options);
+        report(file, result);
+        process.exitCode = result.lossless ? 0 : 1;
+    } else {
+        const { loadFixtures } = require('./fixtures');
+        for (const fixture of loadFixtures()) {
+            if (fixture.error || fixture.roundTrip === false) continue;
+            report(`${fixture.file}: ${fixture.name}`, checkRoundTrip(fixture.html, fixture.options));
+        }
+    }
+}
+
+module.exports = { checkRoundTrip, normalizeHTML, renderCommonMark };
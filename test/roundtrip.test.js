@@ -0,0 +1,66 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { checkRoundTrip, normalizeHTML } = require('./roundtrip');
+const { loadFixtures } = require('./fixtures');
+
+const fixtures = loadFixtures().filter(fixture => !fixture.error && fixture.roundTrip !== false);
+
+describe('round trip through CommonMark', () => {
+    for (const fixture of fixtures) {
+        test(`${fixture.file}: ${fixture.name}`, () => {
+            const result = checkRoundTrip(fixture.html, fixture.options);
+            if (fixture.lossy) {
+                assert.ok(!result.lossless, `now round-trips, remove "lossy: ${fixture.lossy}"`);
+            } else {
+                assert.strictEqual(result.actual, result.expected, `markdown: ${JSON.stringify(result.markdown)}`);
+            }
+        });
+    }
+});
+
+// Short paragraphs of markup characters: with escape_mode 'smart', the
+// Markdown must read back as the same text
+describe('smart escaping fuzz', () => {
+    const alphabet = ['\\', '_', '*', '`', '&gt;', '=', '-', '#', '+', '.', ')', '1', 'a', ' ', '[', ']', '~', '|', '!', '&lt;', '&amp;', '<br>'];
+    let seed = 1;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+
+    test('round-trips random text', () => {
+        for (let n = 0; n < 2000; n++) {
+            let html = '';
+            const length = 1 + Math.floor(random() * 10);
+            for (let i = 0; i < length; i++) html += alphabet[Math.floor(random() * alphabet.length)];
+            // breaks at the ends of a paragraph, or in a row, do not survive any conversion
+            html = html.replace(/(?: *<br> *)+/g, '<br>').replace(/^(?:<br>| )+|(?:<br>| )+$/g, '');
+            if (!html) continue;
+            const result = checkRoundTrip(`<p>${html}</p>`, { escape_mode: 'smart' });
+            assert.strictEqual(result.actual, result.expected, `html: ${JSON.stringify(html)}, markdown: ${JSON.stringify(result.markdown)}`);
+        }
+    });
+});
+
+describe('normalizeHTML', () => {
+    test('treats tag synonyms alike', () => {
+        assert.strictEqual(normalizeHTML('<p><b>a</b> <i>b</i></p>'), normalizeHTML('<p><strong>a</strong> <em>b</em></p>'));
+    });
+
+    test('turns loose text into paragraphs', () => {
+        assert.strictEqual(normalizeHTML('<div>a</div><div>b</div>'), normalizeHTML('<p>a</p>\n<p>b</p>'));
+    });
+
+    test('ignores tight and loose lists', () => {
+        assert.strictEqual(normalizeHTML('<ul><li><p>a</p></li></ul>'), normalizeHTML('<ul>\n<li>a</li>\n</ul>'));
+    });
+
+    test('moves whitespace out of inline elements', () => {
+        assert.strictEqual(normalizeHTML('<p>a<b> b </b>c</p>'), normalizeHTML('<p>a <strong>b</strong> c</p>'));
+    });
+
+    test('keeps link targets', () => {
+        assert.notStrictEqual(normalizeHTML('<a href="/a">x</a>'), normalizeHTML('<a href="/b">x</a>'));
+    });
+
+    test('keeps the text of code blocks', () => {
+        assert.notStrictEqual(normalizeHTML('<pre>a  b</pre>'), normalizeHTML('<pre>a b</pre>'));
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { parseHTML } = require('../html-parser');
+const { compileSelector, matches, closest, querySelector, querySelectorAll } = require('../selector');
+const { findMainContent } = require('../markdownify');
+
+const doc = parseHTML(
+    '<div id="main" class="a b"><p lang="en-US" data-x="Foo">one</p><p>two</p><span></span>' +
+    '<ul><li>1</li><li class="odd">2</li><li>3</li><li>4</li></ul></div><p>three</p>'
+);
+
+// The text of each element matching the selector, or its tag when empty
+function select(selector) {
+    return querySelectorAll(doc, selector).map(el => el.textContent || el.localName).join(' ');
+}
+
+describe('selectors', () => {
+    test('type, universal, id and class', () => {
+        assert.strictEqual(select('p'), 'one two three');
+        assert.strictEqual(select('#main > *').split(' ').length, 4);
+        assert.strictEqual(select('div.a.b > span'), 'span');
+        assert.strictEqual(select('.c'), '');
+    });
+
+    test('attributes', () => {
+        assert.strictEqual(select('[lang]'), 'one');
+        assert.strictEqual(select('[lang|=en]'), 'one');
+        assert.strictEqual(select('[data-x="foo"]'), '');
+        assert.strictEqual(select('[data-x="foo" i]'), 'one');
+        assert.strictEqual(select('[data-x^=F][data-x$=o][data-x*=o]'), 'one');
+        assert.strictEqual(select('[class~=b]').length > 0, true);
+    });
+
+    test('combinators and lists', () => {
+        assert.strictEqual(select('div p'), 'one two');
+        assert.strictEqual(select('div + p'), 'three');
+        assert.strictEqual(select('p ~ span'), 'span');
+        assert.strictEqual(select('li.odd + li, span'), 'span 3');
+    });
+
+    test('pseudo-classes', () => {
+        assert.strictEqual(select('li:first-child, li:last-child'), '1 4');
+        assert.strictEqual(select('li:nth-child(2n+1)'), '1 3');
+        assert.strictEqual(select('li:nth-last-child(-n+2)'), '3 4');
+        assert.strictEqual(select('div > p:first-of-type'), 'one');
+        assert.strictEqual(select('span:empty'), 'span');
+        assert.strictEqual(select('li:not(.odd, :first-child)'), '3 4');
+        assert.strictEqual(select('div:has(li.odd) > p:is(:last-of-type)'), 'two');
+        assert.strictEqual(select(':root').startsWith('one'), true);
+    });
+
+    test('matches and closest', () => {
+        const li = querySelector(doc, 'li.odd');
+        assert.strictEqual(matches(li, 'ul > li'), true);
+        assert.strictEqual(closest(li, 'div').id, 'main');
+        assert.strictEqual(closest(li, 'p'), null);
+        assert.strictEqual(li.closest('#main'), closest(li, '#main'));
+    });
+
+    test('invalid selectors throw', () => {
+        for (const selector of ['', 'p[', 'p >', ':nth-child(x)', ':unknown', 'a,,b']) {
+            assert.throws(() => compileSelector(selector), /Invalid selector/, selector);
+        }
+    });
+});
+
+describe('findMainContent', () => {
+    test('prefers the article over boilerplate', () => {
+        const text = 'A paragraph with enough text, and a few commas, to be scored as content. ';
+        const page = parseHTML(
+            `<nav><p>${text}</p></nav><div class="sidebar"><p>${text}</p></div>` +
+            `<article id="story"><p>${text}</p><p>${text}</p></article>`
+        );
+        assert.strictEqual(findMainContent(page).id, 'story');
+    });
+
+    test('link-heavy blocks lose', () => {
+        const links = '<a href="/a">a long link text here, with commas, and more words</a> '.repeat(3);
+        const page = parseHTML(
+            `<div id="links"><p>${links}</p><p>${links}</p></div>` +
+            '<div id="text"><p>Some plain text that is long enough to be scored, and here it is.</p></div>'
+        );
+        assert.strictEqual(findMainContent(page).id, 'text');
+    });
+
+    test('returns null without content', () => {
+        assert.strictEqual(findMainContent(parseHTML('<p>short</p>')), null);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { MarkdownStream, convertStream, createTransform } = require('../markdownify');
+const { loadFixtures } = require('./fixtures');
+
+// The streaming API runs transforms per chunk rather than on the whole
+// document, and throws on parser, main_content, toc and presets
+const fixtures = loadFixtures().filter(fixture => !fixture.error && !fixture.options.transforms);
+const rejects = options => Boolean(options.parser || options.main_content || options.toc || options.presets);
+
+function streamInChunks(html, options, size) {
+    const stream = new MarkdownStream(options);
+    let markdown = '';
+    for (let i = 0; i < html.length; i += size) {
+        markdown += stream.write(html.slice(i, i + size));
+    }
+    return markdown + stream.end();
+}
+
+describe('MarkdownStream', () => {
+    for (const fixture of fixtures) {
+        test(`${fixture.file}: ${fixture.name}`, () => {
+            if (rejects(fixture.options)) {
+                assert.throws(() => new MarkdownStream(fixture.options), /^Error: MarkdownStream does not support /);
+                return;
+            }
+            for (const size of [1, 7, Infinity]) {
+                assert.strictEqual(streamInChunks(fixture.html, fixture.options, size), fixture.markdown);
+            }
+        });
+    }
+
+    test('releases blocks before the input ends', () => {
+        const stream = new MarkdownStream();
+        assert.strictEqual(stream.write('<p>one</p><p>two</p><p>thr'), 'one');
+        assert.strictEqual(stream.write('ee</p>'), '\n\ntwo');
+        assert.strictEqual(stream.end(), '\n\nthree');
+    });
+
+    test('drops converted nodes', () => {
+        const stream = new MarkdownStream();
+        stream.write('<body>' + '<p>para</p>'.repeat(100));
+        assert.ok(stream.builder.document.getElementsByTagName('p').length <= 2);
+    });
+
+    test('options that need the whole document', () => {
+        assert.throws(() => new MarkdownStream({ presets: ['word'], toc: true }),
+            /^Error: MarkdownStream does not support toc, presets; use convert\(\) instead\.$/);
+        assert.doesNotThrow(() => new MarkdownStream({ presets: [], toc: false }));
+    });
+
+    test('write after end', () => {
+        const stream = new MarkdownStream();
+        stream.end();
+        assert.throws(() => stream.write('<p>x</p>'), /after end/);
+    });
+});
+
+describe('convertStream', () => {
+    test('converts an async iterable of byte chunks', async () => {
+        const bytes = Buffer.from('<p>café</p><p>ok</p>');
+        // split inside the two-byte é
+        const source = Readable.from([bytes.subarray(0, 7), bytes.subarray(7)]);
+        const chunks = [];
+        for await (const chunk of convertStream(source)) chunks.push(chunk);
+        assert.strictEqual(chunks.join(''), 'café\n\nok');
+    });
+});
+
+describe('createTransform', () => {
+    test('pipes HTML to Markdown', async () => {
+        const transform = Readable.from(['<h1>Ti', 'tle</h1><p>x</p>']).pipe(createTransform({ heading_style: 'atx' }));
+        let markdown = '';
+        for await (const chunk of transform) markdown += chunk;
+        assert.strictEqual(markdown, '# Title\n\nx');
+    });
+});